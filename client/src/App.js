@@ -4,9 +4,8 @@ function App() {
   const initialBot = 'Olá! Posso ajudar com informações e agendamentos. Como posso ajudar hoje?';
 
   const [msgs, setMsgs] = useState([{ role: 'assistant', text: initialBot }]);
-  const [ctx, setCtx]   = useState([
-    { role: 'model', parts: [{ text: initialBot }] }  // <- contexto técnico
-  ]);
+  // token da sessão: o histórico da conversa fica no servidor
+  const [sessionId, setSessionId] = useState(() => sessionStorage.getItem('chatSessionId'));
   const [input, setInput] = useState('');
 
   const send = async () => {
@@ -15,27 +14,27 @@ function App() {
 
     // UI primeiro
     setMsgs(prev => [...prev, { role: 'user', text: userText }]);
-
-    // chama API passando o contexto técnico
-    const r = await fetch('http://localhost:8080/api/chat', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ history: ctx, message: userText })
-    });
-
-    const data = await r.json();
-
-    // UI: resposta do bot
-    setMsgs(prev => [...prev, { role: 'assistant', text: data.text }]);
-
-    // CONTEXTO: adiciona user + ctxDelta do backend
-    setCtx(prev => [
-      ...prev,
-      { role: 'user', parts: [{ text: userText }] },      // este turno do usuário
-      ...(data.ctxDelta || [])                            // eco da função + tool + texto do bot
-    ]);
-
     setInput('');
+
+    try {
+      const r = await fetch('http://localhost:8080/api/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, message: userText })
+      });
+
+      const data = await r.json();
+
+      if (data.sessionId && data.sessionId !== sessionId) {
+        setSessionId(data.sessionId);
+        sessionStorage.setItem('chatSessionId', data.sessionId);
+      }
+
+      // UI: resposta do bot
+      setMsgs(prev => [...prev, { role: 'assistant', text: data.text || data.error }]);
+    } catch {
+      setMsgs(prev => [...prev, { role: 'assistant', text: 'Falha de conexão. Tente novamente.' }]);
+    }
   };
 
   return (
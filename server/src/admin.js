@@ -0,0 +1,112 @@
+// admin.js — ações da equipe da clínica (Bearer ADMIN_TOKEN)
+import express from 'express';
+import crypto from 'crypto';
+import { repos } from './repositories/index.js';
+import { transitionAppointment, StatusTransitionError } from './appointment-status.js';
+import { BLOCK_KINDS } from './agenda-blocks.js';
+
+const HTTP_BY_CODE = {
+    NAO_ENCONTRADO: 404,
+    TRANSICAO_INVALIDA: 422,
+    CONFLITO: 409
+};
+
+function tokenMatches(given, expected) {
+    const a = Buffer.from(String(given || ''));
+    const b = Buffer.from(String(expected || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ========= Router (/admin) ========= */
+// agendaBlocks (opcional): serviço de agenda-blocks.js — habilita POST /admin/agenda/blocks
+export function createAdminRouter({ adminToken = process.env.ADMIN_TOKEN, agendaBlocks = null } = {}) {
+    const router = express.Router();
+
+    // Sem ADMIN_TOKEN configurado, a área admin fica fechada
+    router.use((req, res, next) => {
+        const given = String(req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+        if (!adminToken || !tokenMatches(given, adminToken)) return res.sendStatus(401);
+        next();
+    });
+
+    // GET /admin/appointments/:id/history — status atual + transições
+    router.get('/appointments/:id/history', async (req, res) => {
+        const { data: appt, error } = await repos.appointments.getById(req.params.id);
+        if (error) return res.status(500).json({ error: 'Erro ao buscar agendamento.' });
+        if (!appt) return res.status(404).json({ error: 'Agendamento não encontrado.' });
+
+        const { data: history, error: hErr } = await repos.appointments.listStatusHistory(appt.id);
+        if (hErr) return res.status(500).json({ error: 'Erro ao buscar histórico.' });
+
+        return res.json({ id: appt.id, status: appt.status, history });
+    });
+
+    // POST /admin/appointments/:id/status  { status, reason? } — ex.: realizado / faltou
+    router.post('/appointments/:id/status', async (req, res) => {
+        const status = String(req.body?.status || '').trim().toLowerCase();
+        const reason = req.body?.reason ? String(req.body.reason).slice(0, 500) : null;
+        if (!status) return res.status(400).json({ error: 'Campo "status" é obrigatório.' });
+
+        try {
+            const result = await transitionAppointment(req.params.id, status, { actor: 'equipe', reason });
+            return res.json(result);
+        } catch (err) {
+            if (err instanceof StatusTransitionError) {
+                return res.status(HTTP_BY_CODE[err.code] || 500).json({ error: err.message, code: err.code });
+            }
+            console.error('❌ Erro no /admin status:', err);
+            return res.status(500).json({ error: 'Falha ao atualizar o agendamento.' });
+        }
+    });
+
+    // POST /admin/agenda/blocks  { kind, dateFrom, dateTo?, medicoId?, reason? }
+    // Férias/ausência (kind "ausencia", com medicoId), feriado municipal/estadual ou
+    // fechamento da clínica. Bloqueia os slots e avisa quem tinha consulta nesses dias.
+    router.post('/agenda/blocks', async (req, res) => {
+        if (!agendaBlocks) return res.sendStatus(503);
+
+        const kind = String(req.body?.kind || '').trim().toLowerCase();
+        const dateFrom = String(req.body?.dateFrom || '').trim();
+        const dateTo = String(req.body?.dateTo || dateFrom).trim();
+        const medicoId = req.body?.medicoId != null && req.body.medicoId !== '' ? String(req.body.medicoId) : null;
+        const reason = req.body?.reason ? String(req.body.reason).slice(0, 200) : null;
+
+        if (!BLOCK_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `Campo "kind" deve ser: ${BLOCK_KINDS.join(', ')}.` });
+        }
+        if (!YMD_RE.test(dateFrom) || !YMD_RE.test(dateTo) || dateFrom > dateTo) {
+            return res.status(400).json({ error: 'Datas inválidas: use "dateFrom" e "dateTo" em AAAA-MM-DD, com dateFrom <= dateTo.' });
+        }
+        if (kind === 'ausencia' && !medicoId) {
+            return res.status(400).json({ error: 'Ausência precisa de "medicoId".' });
+        }
+
+        try {
+            const result = await agendaBlocks.addBlock({ medicoId, dateFrom, dateTo, kind, reason });
+            return res.status(201).json(result);
+        } catch (err) {
+            console.error('❌ Erro no /admin agenda/blocks:', err);
+            return res.status(500).json({ error: 'Falha ao cadastrar o bloqueio.' });
+        }
+    });
+
+    // GET /admin/safety-alerts — conversas sinalizadas (emergência / risco) ainda não atendidas
+    router.get('/safety-alerts', async (req, res) => {
+        const { data, error } = await repos.safetyAlerts.listOpen();
+        if (error) return res.status(500).json({ error: 'Erro ao buscar alertas.' });
+        return res.json({ alerts: data });
+    });
+
+    // POST /admin/safety-alerts/:id/resolve  { handledBy? } — equipe já fez contato
+    router.post('/safety-alerts/:id/resolve', async (req, res) => {
+        const handledBy = req.body?.handledBy ? String(req.body.handledBy).slice(0, 100) : null;
+        const { data, error } = await repos.safetyAlerts.resolve(req.params.id, { handledBy });
+        if (error) return res.status(500).json({ error: 'Erro ao atualizar o alerta.' });
+        if (!data) return res.status(404).json({ error: 'Alerta não encontrado ou já atendido.' });
+        return res.json(data);
+    });
+
+    return router;
+}
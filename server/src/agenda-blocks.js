@@ -0,0 +1,326 @@
+// agenda-blocks.js — ausências de médico, feriados e fechamentos da clínica
+//
+// Um bloqueio fecha dias locais inteiros (CLINIC_TZ): da clínica toda (medico_id
+// null) ou de um médico. Fontes: agenda_blocks (cadastro da equipe) + feriados
+// nacionais embutidos (helpers/holidays.js; CLINIC_NATIONAL_HOLIDAYS=off desliga).
+// Aplicar os bloqueios:
+//   1. slots dos dias fechados (livre/agendado/oferta) → "bloqueado";
+//   2. consultas ativas nesses slots → canceladas (actor sistema, com o motivo);
+//   3. o paciente recebe o template "appointment_rebook" com o próximo horário livre
+//      do mesmo médico (sem vaga: da mesma especialidade), retido para ele por
+//      REBOOK_HOLD_MIN minutos, e os botões Aceitar / Outro horário.
+// O gerador de agenda (slot-generator.js) não cria slots em dias bloqueados.
+import cron from 'node-cron';
+import { repos } from './repositories/index.js';
+import { brazilianHolidaysBetween } from './helpers/holidays.js';
+import { utcFromTZComponents } from './helpers/datetime.js';
+import { normalizeWhatsNumber } from './helpers/validators.js';
+import { transitionAppointment, StatusTransitionError, ACTIVE_STATUSES, STATUS } from './appointment-status.js';
+import { holderOf, holdSlot } from './slot-holds.js';
+import { acquireLock, releaseLock } from './lock.js';
+
+const CLINIC_TZ = process.env.CLINIC_TZ || 'America/Sao_Paulo';
+
+export const BLOCK_KINDS = ['ausencia', 'feriado', 'fechamento'];
+
+const LEADER_LOCK_KEY = 'agenda-blocks:leader';
+const LEADER_LOCK_TTL_MS = 10 * 60 * 1000;
+
+// Janela de busca do horário oferecido no lugar da consulta cancelada
+const REBOOK_SEARCH_DAYS = 60;
+
+const PAYLOAD_RE = /^REAGENDAR(_OUTRO)?:([0-9a-f-]{36})(?::(\d+))?$/i;
+
+// Payloads dos botões do template "appointment_rebook" (mesma ordem do template)
+export function rebookButtons(appointmentId, slotId) {
+  return [`REAGENDAR:${appointmentId}:${slotId}`, `REAGENDAR_OUTRO:${appointmentId}`];
+}
+
+export function parseRebookPayload(payload) {
+  const m = String(payload || '').trim().match(PAYLOAD_RE);
+  if (!m) return null;
+  if (m[1]) return m[3] ? null : { action: 'outro', appointmentId: m[2].toLowerCase() };
+  return m[3] ? { action: 'aceitar', appointmentId: m[2].toLowerCase(), slotId: m[3] } : null;
+}
+
+function addDaysYMD(ymd, n) {
+  const [y, M, d] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(y, M - 1, d + n)).toISOString().slice(0, 10);
+}
+
+const ymdLocal = (date, tz = CLINIC_TZ) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
+}).format(new Date(date));
+
+// 00:00 local do dia → instante UTC
+const dayStart = (ymd, tz = CLINIC_TZ) => {
+  const [y, M, d] = ymd.split('-').map(Number);
+  return utcFromTZComponents(tz, y, M, d);
+};
+
+const fmtLocal = (iso) => new Date(iso).toLocaleString('pt-BR', {
+  timeZone: CLINIC_TZ, weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric',
+  hour: '2-digit', minute: '2-digit'
+});
+
+const reasonOf = (block) => block.reason || {
+  ausencia: 'ausência do médico',
+  feriado: 'feriado',
+  fechamento: 'clínica fechada'
+}[block.kind] || 'agenda bloqueada';
+
+/**
+ * Bloqueios que tocam [fromYMD, toYMD] (inclusive): cadastro + feriados nacionais.
+ * → [{ medico_id (null = clínica), date_from, date_to, kind, reason }]
+ */
+export async function loadBlocks({ fromYMD, toYMD }) {
+  if (fromYMD > toYMD) return [];
+  const { data, error } = await repos.agendaBlocks.listOverlapping({ fromYMD, toYMD });
+  if (error) throw new Error(`agendaBlocks.listOverlapping: ${error.message}`);
+
+  const national = String(process.env.CLINIC_NATIONAL_HOLIDAYS || 'on').toLowerCase() === 'off'
+    ? []
+    : brazilianHolidaysBetween(fromYMD, toYMD).map(h => ({
+      medico_id: null, date_from: h.date, date_to: h.date, kind: 'feriado', reason: h.nome
+    }));
+
+  return [...national, ...(data || []).map(b => ({
+    ...b,
+    date_from: String(b.date_from).slice(0, 10),
+    date_to: String(b.date_to).slice(0, 10)
+  }))];
+}
+
+// Bloqueio que fecha o dia `ymd` para o médico (ou null)
+export function blockFor(blocks, medicoId, ymd) {
+  return blocks.find(b =>
+    ymd >= b.date_from && ymd <= b.date_to &&
+    (b.medico_id == null || String(b.medico_id) === String(medicoId))
+  ) || null;
+}
+
+export function createAgendaBlockService({
+  sendWhatsAppTemplate,
+  appendHistory,
+  holdMinutes = Number(process.env.REBOOK_HOLD_MIN || 30),   // como a oferta da lista de espera
+  now = () => new Date()
+}) {
+  async function medicoOf(medicoId) {
+    if (medicoId == null) return null;
+    const { data } = await repos.doctors.listByIds([String(medicoId)]);
+    return data?.[0] || null;
+  }
+
+  // Próximo slot livre depois da consulta: mesmo médico; sem vaga, a mesma especialidade
+  async function nextSlotFor(appt, medico, holder) {
+    const from = new Date(Math.max(now().getTime(), new Date(appt.datetime).getTime()));
+    const to = new Date(from.getTime() + REBOOK_SEARCH_DAYS * 86400000);
+
+    if (medico) {
+      const { data } = await repos.slots.listFree({ medicoIds: [String(medico.id)], from, to, limit: 1, holder });
+      if (data?.length) return data[0];
+    }
+    if (medico?.especialidade_id == null) return null;
+
+    const { data: peers } = await repos.doctors.listBySpecialty([medico.especialidade_id]);
+    const ids = (peers || []).map(m => String(m.id));
+    if (!ids.length) return null;
+    const { data } = await repos.slots.listFree({ medicoIds: ids, from, to, limit: 1, holder });
+    return data?.[0] || null;
+  }
+
+  // Avisa o paciente e oferece um horário; false = não foi possível enviar
+  async function notifyRebook(appt, block) {
+    const contact = { channel: 'whatsapp', waId: appt.phone };
+    const motivo = reasonOf(block);
+    const quando = fmtLocal(appt.datetime);
+
+    const medico = await medicoOf(appt.medico_id);
+    let slot = await nextSlotFor(appt, medico, holderOf(contact));
+    let hold = null;
+    if (slot) {
+      hold = await holdSlot(slot.id, contact, { now: now(), minutes: holdMinutes });
+      if (!hold.ok) slot = null;
+    }
+
+    try {
+      if (slot) {
+        await sendWhatsAppTemplate(appt.phone, 'appointment_rebook', [
+          appt.name, quando, motivo, fmtLocal(slot.datetime), slot.medicos?.nome || 'médico'
+        ], { buttons: rebookButtons(appt.id, slot.id) });
+      } else {
+        await sendWhatsAppTemplate(appt.phone, 'appointment_blocked', [appt.name, quando, motivo]);
+      }
+    } catch (e) {
+      console.error(`❌ Bloqueio de agenda: aviso da consulta ${appt.id} não foi enviado:`, e?.message || e);
+      return false;
+    }
+
+    // Histórico do contato (o modelo fica sabendo do aviso)
+    const note = slot
+      ? `🔔 [sistema] A consulta ${appt.id} de ${quando} foi cancelada pela clínica (${motivo}). Oferecido o horário ${fmtLocal(slot.datetime)} com ${slot.medicos?.nome || 'o médico'}${hold?.heldUntil ? `, reservado até ${fmtLocal(hold.heldUntil)}` : ''}; o paciente aceita pelo botão da mensagem ou pede outro horário.`
+      : `🔔 [sistema] A consulta ${appt.id} de ${quando} foi cancelada pela clínica (${motivo}). Não havia horário livre para oferecer; ajude o paciente a escolher um novo horário.`;
+    try {
+      await appendHistory(appt.phone, [{ role: 'model', parts: [{ text: note }] }]);
+    } catch (e) {
+      console.error(`❌ Bloqueio de agenda: falha ao gravar o aviso da consulta ${appt.id} no histórico:`, e?.message || e);
+    }
+    return true;
+  }
+
+  /**
+   * Aplica os bloqueios dos dias [fromYMD, toYMD] (padrão: hoje + `weeks` semanas).
+   * Idempotente: slots já bloqueados não são tocados de novo, então cada consulta
+   * é cancelada e avisada uma vez só.
+   * → { blocks, blocked, cancelled, notified, notifyFailed: [appointmentId] }
+   */
+  async function applyBlocks({ fromYMD, toYMD, weeks = 8 } = {}) {
+    const today = ymdLocal(now());
+    fromYMD = fromYMD && fromYMD > today ? fromYMD : today;
+    toYMD = toYMD || addDaysYMD(today, weeks * 7);
+
+    const blocks = await loadBlocks({ fromYMD, toYMD });
+
+    // 1) fecha todos os dias antes de procurar horários para oferecer
+    const blockBySlot = new Map();
+    for (const block of blocks) {
+      const from = new Date(Math.max(dayStart(block.date_from < fromYMD ? fromYMD : block.date_from).getTime(), now().getTime()));
+      const to = dayStart(addDaysYMD(block.date_to > toYMD ? toYMD : block.date_to, 1));
+      if (from >= to) continue;
+
+      const { data: slots, error } = await repos.slots.blockBetween({ from, to, medicoId: block.medico_id ?? null });
+      if (error) {
+        console.error(`❌ Bloqueio de agenda (${reasonOf(block)}):`, error);
+        continue;
+      }
+      for (const s of slots || []) blockBySlot.set(String(s.id), block);
+    }
+
+    // 2) e 3) cancela e avisa quem tinha consulta nos slots fechados agora
+    let cancelled = 0;
+    let notified = 0;
+    const notifyFailed = [];
+    const slotIds = [...blockBySlot.keys()];
+    const { data: appts, error } = slotIds.length
+      ? await repos.appointments.listBySlots(slotIds, { statuses: ACTIVE_STATUSES })
+      : { data: [], error: null };
+    if (error) console.error('❌ Bloqueio de agenda: erro ao buscar consultas afetadas:', error);
+
+    for (const appt of appts || []) {
+      const block = blockBySlot.get(String(appt.slot_id));
+      try {
+        await transitionAppointment(appt, STATUS.CANCELADO, { actor: 'sistema', reason: `Agenda bloqueada: ${reasonOf(block)}` });
+      } catch (e) {
+        if (!(e instanceof StatusTransitionError)) throw e;
+        console.warn(`⚠️ Bloqueio de agenda: consulta ${appt.id} não cancelada (${e.code})`);
+        continue;
+      }
+      cancelled++;
+      if (await notifyRebook(appt, block)) notified++;
+      else notifyFailed.push(appt.id);
+    }
+
+    console.log(`⛔ Bloqueios de agenda ${fromYMD}..${toYMD}: ${blocks.length} bloqueio(s), ${blockBySlot.size} slot(s) bloqueado(s), ${cancelled} consulta(s) cancelada(s), ${notified} aviso(s)`);
+    return { blocks: blocks.length, blocked: blockBySlot.size, cancelled, notified, notifyFailed };
+  }
+
+  // Cadastra (equipe) e já aplica no período do bloqueio
+  async function addBlock({ medicoId = null, dateFrom, dateTo = dateFrom, kind, reason = null }) {
+    const { data: block, error } = await repos.agendaBlocks.insert({
+      medico_id: medicoId == null ? null : String(medicoId),
+      date_from: dateFrom,
+      date_to: dateTo,
+      kind,
+      reason
+    });
+    if (error) throw new Error(`agendaBlocks.insert: ${error.message}`);
+    console.log(`⛔ Bloqueio cadastrado: ${kind} ${dateFrom}..${dateTo}${medicoId ? ` (médico ${medicoId})` : ''}`);
+
+    const result = await applyBlocks({ fromYMD: dateFrom, toYMD: dateTo });
+    return { block, ...result };
+  }
+
+  async function rebook(appt, slotId, ctx) {
+    const unavailable = { text: 'Que pena, esse horário não está mais disponível. Me diga qual dia prefere que eu procuro outro.' };
+    const { data: slot } = await repos.slots.reserveById(slotId, { holder: holderOf(ctx), now: now() });
+    if (!slot) return unavailable;
+
+    const { data: created, error } = await repos.appointments.insert({
+      name: appt.name,
+      cpf: appt.cpf,
+      birthdate: appt.birthdate,
+      specialty: appt.specialty ?? null,
+      region: appt.region ?? null,
+      phone: appt.phone,
+      email: appt.email,
+      reason: appt.reason ?? null,
+      datetime: slot.datetime,
+      consent: true,
+      status: STATUS.PENDENTE,
+      source: appt.source ?? null,
+      slot_id: slot.id,
+      medico_id: slot.medico_id,
+      meta: { reagendado_de: appt.id }
+    });
+    if (error) {
+      console.error('[agenda-blocks.rebook] appointments.insert error:', error);
+      await repos.slots.release(slot.id, { onlyIfStatus: 'agendado' });
+      return { text: 'Não consegui concluir o agendamento agora. Por favor, fale com a recepção.' };
+    }
+
+    console.log(`✅ Bloqueio de agenda: consulta ${appt.id} reagendada como ${created.id}`);
+    const medico = await medicoOf(slot.medico_id);
+    return {
+      text: `✅ Consulta remarcada para ${fmtLocal(created.datetime)}${medico ? ` com ${medico.nome}` : ''}. ID da consulta: ${created.id}. Guarde este ID — ele será necessário se você quiser cancelar.`
+    };
+  }
+
+  /**
+   * Botões do aviso, mesmo contrato de runReminderAction:
+   * null (não é payload de reagendamento) | { text } | { chatText }
+   */
+  async function runRebookAction(payload, ctx = {}) {
+    const parsed = parseRebookPayload(payload);
+    if (!parsed) return null;
+
+    const { data: appt } = await repos.appointments.getFullById(parsed.appointmentId);
+    // Só o próprio paciente responde pelos botões
+    if (!appt || !ctx.waId || normalizeWhatsNumber(ctx.waId) !== normalizeWhatsNumber(appt.phone)) {
+      return { text: 'Não encontrei essa consulta.' };
+    }
+
+    if (parsed.action === 'outro') {
+      return { chatText: `Quero escolher outro horário no lugar da consulta ${appt.id}, que foi cancelada pela clínica` };
+    }
+    if (appt.status !== STATUS.CANCELADO) return { text: 'Essa consulta continua marcada, não precisa reagendar.' };
+    return rebook(appt, parsed.slotId, ctx);
+  }
+
+  let task = null;
+  return {
+    applyBlocks,
+    addBlock,
+    runRebookAction,
+    // Job diário (uma instância por vez): bloqueios cadastrados direto no banco e
+    // feriados que entram na janela da agenda
+    start({
+      weeks = Number(process.env.SLOT_GEN_WEEKS || 8),
+      schedule = process.env.AGENDA_BLOCKS_CRON || '30 3 * * *'
+    } = {}) {
+      task = cron.schedule(schedule, async () => {
+        const token = await acquireLock(LEADER_LOCK_KEY, LEADER_LOCK_TTL_MS).catch(() => null);
+        if (!token) return;
+        try {
+          await applyBlocks({ weeks });
+        } catch (e) {
+          console.error('❌ Bloqueios de agenda falharam:', e?.message || e);
+        } finally {
+          await releaseLock(LEADER_LOCK_KEY, token);
+        }
+      }, { timezone: CLINIC_TZ });
+    },
+    stop() {
+      task?.stop();
+    }
+  };
+}
@@ -0,0 +1,43 @@
+// app.js — monta o app Express (sem listen/cron), reaproveitado pelo index e pelos testes
+import express from 'express';
+import cors from 'cors';
+import {
+    alreadyProcessed,
+    forgetProcessed,
+    pushInbox,
+    getWebHistory,
+    saveWebHistory,
+    webSessionExists
+} from './session.js';
+import { runChatTurn } from './chat.js';
+import { createWhatsAppRouter } from './whatsapp.js';
+import { createWebChatRouter } from './web.js';
+import { createAdminRouter } from './admin.js';
+
+// agendaBlocks (opcional): serviço de bloqueios de agenda usado pela área admin
+export function createApp({ agendaBlocks = null } = {}) {
+    const app = express();
+    // Atrás de proxy / load balancer: TRUST_PROXY=<nº de saltos> para req.ip vir do X-Forwarded-For
+    if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY));
+    app.use(cors());
+
+    // antes do express.json(): o webhook precisa do corpo RAW para validar a assinatura
+    app.use('/whatsapp', createWhatsAppRouter({
+        alreadyProcessed,
+        forgetProcessed,
+        pushInbox
+    }));
+
+    app.use(express.json());
+
+    app.use('/api', createWebChatRouter({
+        runChatTurn,
+        getWebHistory,
+        saveWebHistory,
+        webSessionExists
+    }));
+
+    app.use('/admin', createAdminRouter({ agendaBlocks }));
+
+    return app;
+}
@@ -0,0 +1,92 @@
+// appointment-status.js — ciclo de vida do agendamento (única porta para mudar status)
+//
+//   pendente ──► confirmado ──► realizado
+//      │             ├────────► faltou
+//      └─────────────┴────────► cancelado
+//
+// Toda transição passa por transitionAppointment: valida a regra aqui, aplica no
+// banco com compare-and-set (status atual = esperado) e grava o histórico
+// (appointment_status_history) com quem disparou e quando. Cancelar libera o slot
+// (e avisa via slot-events, ex.: para a lista de espera).
+import { repos } from './repositories/index.js';
+import { emitSlotFreed } from './slot-events.js';
+
+export const STATUS = Object.freeze({
+  PENDENTE: 'pendente',
+  CONFIRMADO: 'confirmado',
+  REALIZADO: 'realizado',
+  FALTOU: 'faltou',
+  CANCELADO: 'cancelado'
+});
+
+const TRANSITIONS = {
+  pendente: ['confirmado', 'cancelado'],
+  confirmado: ['realizado', 'faltou', 'cancelado'],
+  realizado: [],
+  faltou: [],
+  cancelado: []
+};
+
+// Quem disparou a transição (vai para o histórico)
+export const ACTORS = ['paciente', 'lembrete', 'equipe', 'sistema'];
+
+// Consultas que ainda vão acontecer (podem ser confirmadas, remarcadas, lembradas)
+export const ACTIVE_STATUSES = [STATUS.PENDENTE, STATUS.CONFIRMADO];
+
+export const isActiveStatus = (status) => ACTIVE_STATUSES.includes(String(status || '').toLowerCase());
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[String(from || '').toLowerCase()] || []).includes(to);
+}
+
+export class StatusTransitionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'StatusTransitionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Move o agendamento para `to`.
+ * - `appt` = { id, status } já lido (evita uma leitura extra) ou só o id (string)
+ * - retorna { id, status, previousStatus, slotId, datetime }
+ * - lança StatusTransitionError: NAO_ENCONTRADO | TRANSICAO_INVALIDA | CONFLITO | FALHA
+ */
+export async function transitionAppointment(appt, to, { actor = 'sistema', reason = null } = {}) {
+  if (!TRANSITIONS[to]) throw new StatusTransitionError('TRANSICAO_INVALIDA', `Status desconhecido: ${to}`);
+  if (!ACTORS.includes(actor)) throw new Error(`actor inválido: ${actor}`);
+
+  let current = typeof appt === 'string' ? null : appt;
+  if (!current) {
+    const { data, error } = await repos.appointments.getById(appt);
+    if (error) throw new StatusTransitionError('FALHA', 'Erro ao buscar agendamento.');
+    if (!data) throw new StatusTransitionError('NAO_ENCONTRADO', 'Agendamento não encontrado.');
+    current = data;
+  }
+
+  const from = String(current.status || '').toLowerCase();
+  if (!canTransition(from, to)) {
+    throw new StatusTransitionError('TRANSICAO_INVALIDA', `Não é possível passar de "${from}" para "${to}".`);
+  }
+
+  const { data, error } = await repos.appointments.transitionStatus(current.id, { from, to, actor, reason });
+  if (error) {
+    // CONFLITO = o status mudou entre a leitura e a escrita (outra transição ganhou)
+    const code = String(error.message || '').includes('TRANSICAO_CONFLITO') ? 'CONFLITO' : 'FALHA';
+    console.error(`[transitionAppointment] ${current.id} ${from} → ${to} falhou:`, error);
+    throw new StatusTransitionError(code, code === 'CONFLITO'
+      ? 'O agendamento foi alterado por outra ação. Tente novamente.'
+      : 'Falha ao atualizar o agendamento.');
+  }
+
+  console.log(`📋 Agendamento ${current.id}: ${from} → ${to} (${actor}${reason ? `: ${reason}` : ''})`);
+  if (to === STATUS.CANCELADO) emitSlotFreed(data.slot_id ?? null, 'cancelamento');
+  return {
+    id: data.id,
+    status: data.status,
+    previousStatus: data.previous_status,
+    slotId: data.slot_id ?? null,
+    datetime: data.datetime
+  };
+}
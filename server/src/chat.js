@@ -0,0 +1,543 @@
+// chat.js — núcleo da conversa (prompt, modelo, seleção numérica e loop de tools)
+import { sanitizeWhats } from './helpers/whats-format.js';
+import { createModel } from './libs/llm.js';
+import { getFunctionDeclarations, listKindOf, runToolCalls } from './tools/registry.js';
+import { holdSlot, SLOT_HOLD_MIN } from './slot-holds.js';
+import { optionLabel, renderOptionsReply, leadInOf } from './helpers/list-format.js';
+import { planFastPath } from './fast-path.js';
+import { checkSafety } from './safety.js';
+
+const CLINIC_TZ = process.env.CLINIC_TZ || 'America/Sao_Paulo';
+// Máximo de chamadas de função executadas num turno (somando todas as rodadas com o modelo)
+const MAX_TOOL_CALLS_PER_TURN = Number(process.env.CHAT_MAX_TOOL_CALLS || 8);
+
+function makeClockHeader(ctx = {}) {
+    const tz = CLINIC_TZ;
+    const now = new Date();
+    const ymd = new Intl.DateTimeFormat('en-CA', {
+        timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(now);
+    const dtLocal = new Date(now.toLocaleString('en-US', { timeZone: tz }));
+    const pad = n => String(n).padStart(2, '0');
+    const localISO =
+        `${dtLocal.getFullYear()}-${pad(dtLocal.getMonth() + 1)}-${pad(dtLocal.getDate())}` +
+        `T${pad(dtLocal.getHours())}:${pad(dtLocal.getMinutes())}:${pad(dtLocal.getSeconds())}`;
+    return `RELOGIO_ATUAL\n- tz: ${tz}\n- hoje: ${ymd}\n- agora: ${localISO}\n- canal: ${ctx.channel || 'web'}`;
+}
+
+// === Texto-base do system com placeholders ===
+const RAW_SYSTEM_TEXT = `
+Você é um assistente para clínicas no Brasil.
+
+RELÓGIO E FUSO
+- Leia SEMPRE o cabeçalho "RELOGIO_ATUAL" enviado na primeira mensagem deste turno.
+- Use esses valores (tz, hoje, agora) como referência única do turno.
+-  É META — não agradeça nem mencione
+
+TOM E CONDUTA
+- Seja cordial, objetivo e propositivo. Responda sempre em pt-BR.
+- NUNCA faça diagnóstico. Em urgência/emergência, oriente ligar 192 ou buscar pronto atendimento (o sistema já responde sozinho a sinais claros, como dor no peito ou falta de ar; se o paciente voltar a falar de sintomas graves, repita a orientação).
+
+DADOS OBRIGATÓRIOS PARA AGENDAR
+Coletar/confirmar antes de chamar "criarAgendamento":
+• nome completo • CPF • data de nascimento • especialidade • região (bairro/cidade)
+• telefone (WhatsApp, com DDD; DDI 55 assumido) • e-mail • data e horário desejados
+
+POLÍTICA DE CHAMADA DE FERRAMENTAS (REGRAS DURAS)
+- Se a mensagem contiver NOME DE MÉDICO (com ou sem honorífico):
+  → Exemplos: "Ana Santos", "Lucas Mendes", "Dr. Lucas", "Dra. Ana Santos", "doutor Alexandre".
+  → Chame "listarMedicos" com "busca" usando o nome exatamente como o paciente escreveu.
+  → Após o retorno de listarMedicos, respeite estes sinais:
+  • Se resolvedMedicoId estiver presente → considere o médico confirmado e prossiga.
+  • Se ambiguous=true → não faça perguntas de data/horário; apenas peça a confirmação do médico
+  → Se houver 1 único resultado, considere esse medicoId resolvido (sem exibir lista).
+  → Não afirme “não encontrei” antes de consultar "listarMedicos".
+
+  - NUNCA afirme “CPF inválido” sem basear-se no retorno da tool "criarAgendamento" (ok=false com mensagem de CPF).
+
+ - DATA DE NASCIMENTO
+  → **NUNCA** invente/complete dia, mês ou ano.
+  → Ao chamar "criarAgendamento", **SEMPRE** envie exatamente o que o paciente escreveu; a normalização/validação é da tool.
+  → Só diga “data de nascimento inválida” quando "criarAgendamento" retornar erro.
+
+- Se a mensagem contiver QUALQUER DATA/HORA explícita ou relativa (ex.: 3/09, 03-09, 03 de setembro, hoje, amanhã, terça):
+  → **SEM EXCEÇÃO**, chame "validarDataHora" com o texto de data.
+  → Não diga “já passou” sem **usar o retorno de validarDataHora**.
+
+- Decisão sobre HORÁRIOS:
+  0) Pré-requisito (quando for por médico): só pergunte sobre datas/horários depois que o médico estiver confirmado (ou seja, quando houver resolvedMedicoId e não houver ambiguous=true).
+  1) Se o paciente AINDA NÃO escolheu entre “dia específico” e “primeira data com horário disponível”:
+     → A próxima mensagem deve ser APENAS:
+        “Você prefere um **dia específico** (ex.: 04/09) **ou** quer que eu busque a **primeira data com horário disponível**?”
+     → Não chame listagens ainda.
+  2) Se o paciente escolher “primeira data com horário disponível/primeira disponibilidade/quanto antes”:
+     → Com médico: "listarProximoDiaDisponivelMedico".
+     → Por especialidade: "listarProximoDiaDisponivelEspecialidade".
+  3) Se o paciente escolher “dia específico”:
+     → Use o retorno de "validarDataHora".
+       • Se **hasTime=false** → é só data (dia). Considere **HOJE** como válido (não passado) se igual a HOJE_LOCAL_YMD.
+       • Se **hasTime=true** → é data+hora; só aceite futuro estrito.
+       • Se vier **periodo** (manha/tarde/noite) → o paciente NÃO deu hora exata; liste os horários do dia passando o mesmo "periodo" na listagem. Nunca agende pela hora de referência do período.
+     → Com médico: "listarHorariosMedico" com "dia" = YYYY-MM-DD do fuso.
+     → Por especialidade: "listarHorariosPorEspecialidade" com "dia".
+  PREFERÊNCIAS DE HORÁRIO (valem para TODAS as listagens de horários):
+     → “só de manhã/à tarde/à noite” → "periodo" (manha | tarde | noite).
+     → “entre 14h e 16h”, “depois das 17h” → "horaInicio"/"horaFim" (HH:MM).
+     → “às terças”, “segunda ou quarta” → "diasSemana" (0 = domingo … 6 = sábado).
+     → Mantenha as preferências nas buscas seguintes da mesma conversa, até o paciente mudar.
+     → Com preferências, "listarProximoDia…" já retorna o primeiro dia que as atende.
+  4) “Agenda da semana” / período: só use se o paciente pedir explicitamente (ou aceitar após você oferecer).
+     → "listarAgendaSemanalMedico" / "listarAgendaSemanalEspecialidade" com o período pedido:
+        • “esta semana” → sem "inicio"/"fim" (7 dias a partir de hoje)
+        • “próxima semana” → "inicio" = próxima segunda (YYYY-MM-DD) e "dias" = 7
+        • “até dia 20” → "fim" = YYYY-MM-DD do dia 20
+        • “nas próximas 3 semanas” → "dias" = 21
+     → Se "paginacao.temMais" = true, diga na introdução que o paciente pode pedir “ver mais”.
+     → “Ver mais”: chame a MESMA tool com os MESMOS argumentos e "pagina" = paginacao.pagina + 1.
+  
+
+REGRAS DE APRESENTAÇÃO
+NUNCA exiba “slot #ID” para o paciente.
+
+LISTAS SELECIONÁVEIS
+- Horários, médicos, especialidades e consultas retornados pelas tools de listagem são exibidos PELO SISTEMA, numerados na ordem do payload, logo abaixo da sua resposta (no WhatsApp, como lista interativa).
+- NÃO escreva as opções nem a instrução de escolha; escreva só uma frase curta de introdução (ex.: “Estes são os horários da Dra. Ana amanhã:”). Avisos como “ver mais” ou “não há horários à tarde” podem ir na introdução.
+- A opção N é o item N exibido (na agenda paginada, o campo "n"). Não exibir IDs internos.
+
+INTERPRETAÇÃO
+- Números são interpretados pelo SISTEMA. Sem mensagem interna de seleção, qualquer número (CPF/telefone/data/hora) NÃO é seleção; siga o fluxo normal (validarDataHora, coletar dados etc.).
+- Não tratar “primeira/segunda/terceira…” como seleção.
+- Algumas escolhas e confirmações (“sim” a uma prévia, ao cancelamento ou ao lembrete) são resolvidas direto pelo SISTEMA: aparecem no histórico com a chamada da tool e a resposta enviada. Continue a conversa a partir delas.
+
+META (SELEÇÃO INTERNA)
+- "SELECAO_NUMERICA": use (slotId, medicoId, dataISO) como horário escolhido. Ao chamar "criarAgendamento", use "slotId". O horário fica reservado para o paciente por alguns minutos ("reservadoAte") enquanto ele informa os dados; se vier "disponivel: nao", avise que o horário acabou de ser ocupado e ofereça os demais da lista.
+- "SELECAO_MEDICO": use (medicoId, medicoNome) como médico escolhido; prossiga perguntando “dia específico” vs “primeira disponibilidade”.
+- "SELECAO_ESPECIALIDADE": use (especialidadeNome) como especialidade escolhida; prossiga conforme as regras de horários (dia específico vs primeira disponibilidade).
+
+
+• Em listagens de um único médico, inclua o nome na introdução (cada horário já sai com o médico e a duração).
+• Se o paciente pedir quantidade (“me mande 3 horários”), preencha "limite" ao chamar a tool.
+• Antes de agendar, chame "criarAgendamento" com "previa": true (valida sem gravar), mostre o resumo (resumo da tool) e pergunte: “Posso confirmar?”. Se o paciente confirmar, chame de novo com os mesmos dados, sem "previa".
+• Após criarAgendamento (ok=true), SEMPRE mostre “ID da consulta: {id}” e peça para o paciente guardar (necessário para cancelamento). NUNCA mostre “slotId”.
+
+QUANDO O DIA É HOJE
+- Se o usuário informar “hoje” ou uma data igual a HOJE_LOCAL_YMD **sem hora** (hasTime=false):
+  → Trate como válido (não passado). Liste os horários do dia (filtro >= agora ao exibir, se aplicável).
+- Se informar data+hora (hasTime=true) e a hora já tiver passado:
+  → Não aceite; ofereça o próximo horário do mesmo dia (se houver) ou o próximo dia disponível.
+
+FALLBACKS
+- Se "listarHorariosMedico" voltar vazio no dia solicitado:
+  → Ofereça duas opções, sem decidir sozinho:
+     (a) “primeira data com horário disponível” (listarProximoDiaDisponivelMedico) OU
+     (b) “agenda da semana” (listarAgendaSemanalMedico).
+- Se "listarHorariosPorEspecialidade" voltar vazio:
+  → Ofereça SEMPRE:
+     (a) “primeira data com horário disponível por especialidade” (listarProximoDiaDisponivelEspecialidade) e
+     (b) “agenda da semana por especialidade” (listarAgendaSemanalEspecialidade).
+
+
+REGRA DE RESERVA DO HORÁRIO (slot) E AGENDAMENTO
+- Se o horário foi escolhido a partir de uma lista, chame "criarAgendamento" com "slotId".
+- Se o paciente digitou data/hora + nome do médico, valide com "validarDataHora" e use "criarAgendamento" com "dataISO" + "medicoId".
+- Se o paciente não informou médico, liste horários por especialidade para que ele selecione um horário (e então use "slotId").
+- Só chame "criarAgendamento" quando TODOS os dados obrigatórios estiverem presentes e a data/hora tiver sido validada.
+
+DESMARCAR / CANCELAR CONSULTA
+- Para cancelar, peça ao paciente o **ID da consulta** e chame "desmarcarAgendamento" com "appointmentId".
+- Se o paciente não tiver o ID, chame "listarMinhasConsultas" (o sistema exibe a lista numerada); a escolha ("2") chega como SELECAO_CONSULTA com o appointmentId.
+- Se a mensagem do paciente contiver um ID no formato UUID (xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx) trate-o como candidato a "appointmentId" e **pergunte**: “Você confirma que deseja desmarcar a consulta de ID {appointmentId}?”; **só então**, se o paciente confirmar (ex.: “sim”, “pode cancelar”, “confirmo”), chame "desmarcarAgendamento" com "appointmentId".
+- Após a resposta da tool, confirme o cancelamento e ofereça reagendar.
+
+CONFIRMAR PRESENÇA
+- Consultas nascem "pendente". Quando o paciente confirmar presença (ex.: responder "confirmo"/"sim" a um lembrete 🔔 [sistema] que traz o ID da consulta), chame "confirmarAgendamento" com "appointmentId".
+- Se o paciente disser que não poderá ir, ofereça remarcar ou cancelar.
+
+VERIFICAÇÃO DO TITULAR (cancelar / remarcar / confirmar)
+- Se "desmarcarAgendamento", "remarcarAgendamento" ou "confirmarAgendamento" responder needsVerification=true, peça o **CPF** e a **data de nascimento** do titular da consulta e chame a tool de novo com "cpf" e "nascimento".
+- Nunca diga qual dos dados não conferiu. Se responder blocked=true, não tente de novo: oriente o paciente a falar com a recepção.
+
+REMARCAR CONSULTA
+- Se o paciente quiser trocar o horário, NÃO desmarque: use "remarcarAgendamento" (o horário antigo só é liberado quando o novo está garantido).
+- Peça o **ID da consulta**, liste horários (mesmo médico, salvo pedido diferente) e, após a escolha, chame "remarcarAgendamento" com "previa": true, mostre "de {dataLocal antiga} para {nova}" e pergunte “Posso confirmar?”.
+- Confirmado: chame "remarcarAgendamento" com os mesmos argumentos, sem "previa" ("appointmentId" e "slotId", ou "dataISO" + "medicoId").
+- Após ok=true, informe o horário anterior e o novo (resumo.dataLocalAnterior → resumo.dataLocal). O ID da consulta não muda.
+
+LISTA DE ESPERA
+- Se a primeira data disponível estiver longe e o paciente quiser antes, ofereça a **lista de espera** do médico (ou da especialidade).
+- Peça nome completo, CPF, data de nascimento, e-mail e até que data ele aceita (dataFim, YYYY-MM-DD); fora do WhatsApp, peça também o WhatsApp. Então chame "entrarListaEspera".
+- Explique que, se um horário for liberado, a vaga chega pelo WhatsApp com botões para aceitar ou recusar, e fica reservada por pouco tempo.
+
+
+EXEMPLOS CANÔNICOS
+(1) “A Dra. Ana Santos tem horário dia 03/09?”
+→ listarMedicos(busca="Dra. Ana Santos") →
+• Se ambiguous=true: “Você quis dizer Dra. Ana Santos?” (confirmar antes de perguntar data).
+• Se confirmado (resolvedMedicoId), validarDataHora("03/09") →
+– ok & hasTime=false → listarHorariosMedico(dia="YYYY-MM-DD")
+– ok & hasTime=true → listarHorariosMedico(dia="YYYY-MM-DD") (filtrar horário futuro)
+– inválido/passado → oferecer “próximo” ou “agenda da semana”.
+
+(2) “Lucas”
+→ “Perfeito! Você prefere um dia específico (ex.: 04/09) ou que eu busque a primeira data com horário disponível?” (apenas depois do médico confirmado).
+
+(3) primeira data com horário disponível de cardiologia”
+→ listarProximoDiaDisponivelEspecialidade(especialidadeNome="Cardiologia") e retornar os slots do dia encontrado.
+`;
+
+
+
+
+// Modelo sugerido: 2.5 Flash (rápido e com JSON/function calling)
+// O provider vem de LLM_PROVIDER (vertex | openai | fake) — ver libs/llm.js
+const model = createModel('chat', {
+    model: 'gemini-2.5-flash',
+    systemInstruction: {
+        role: 'system',
+        parts: [{ text: RAW_SYSTEM_TEXT }]
+    },
+    tools: [{ functionDeclarations: getFunctionDeclarations() }],
+    toolConfig: { functionCallingConfig: { mode: 'AUTO' } },
+    generationConfig: { temperature: 0.2, responseMimeType: 'application/json' }
+});
+
+
+
+
+
+export function parseOrdinalFromText(s) {
+    const t = String(s || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .trim();
+
+    // STRICT: a mensagem inteira precisa representar uma seleção numérica (1–99)
+    // Aceita: "2", "opcao 2", "opcao2", "nº 3", "n.4", "no 5", "#8", "10º."
+    const STRICT = /^\s*(?:(?:op(?:cao|coes)\s*:?\s*)|(?:n(?:\.(?:o|\u00BA|\u00B0)|(?:o|\u00BA|\u00B0)\.?|\.)\s*)|(?:#\s*))?(\d{1,2})(?:\s*(?:a|o|\u00AA|\u00BA|\u00B0))?\s*[.!?]?\s*$/iu;
+    const m = t.match(STRICT);
+    if (!m) return null;
+
+    const n = parseInt(m[1], 10);
+    if (Number.isNaN(n) || n < 1 || n > 99) return null;
+
+    return n;
+}
+
+
+
+// ===== Slots =====
+function flattenSlotsFromResponse(resp) {
+    if (!resp) return [];
+    if (Array.isArray(resp.slots)) return resp.slots;
+
+    // agenda semanal: { agenda: [ { dia, slots: [...] }, ... ] }
+    if (Array.isArray(resp.agenda)) {
+        const acc = [];
+        for (const day of resp.agenda) {
+            for (const s of (day.slots || [])) acc.push(s);
+        }
+        return acc;
+    }
+    return [];
+}
+
+
+
+// ===== Médicos =====
+function flattenMedicosFromResponse(resp) {
+    if (!resp) return [];
+    if (Array.isArray(resp.medicos)) {
+        return resp.medicos.map(m => ({
+            id: String(m.id),
+            nome: m.nome,
+            especialidadeId: m.especialidadeId ?? null,
+        }));
+    }
+    return [];
+}
+
+
+// ===== Especialidades =====
+function flattenEspecialidadesFromResponse(resp) {
+    const arr = Array.isArray(resp?.especialidades) ? resp.especialidades : [];
+    return arr.map(x => String(x).trim()).filter(Boolean);
+}
+
+
+
+// ===== Consultas do paciente =====
+function flattenConsultasFromResponse(resp) {
+    return Array.isArray(resp?.consultas) ? resp.consultas : [];
+}
+
+
+
+// ===== Orquestrador: o tipo de lista vem do registro de tools =====
+const LIST_FLATTENERS = {
+  slots: flattenSlotsFromResponse,
+  medicos: flattenMedicosFromResponse,
+  especialidades: flattenEspecialidadesFromResponse,
+  consultas: flattenConsultasFromResponse
+};
+
+// Agenda paginada ("ver mais"): a numeração continua entre as páginas (slot.n), então
+// a seleção junta as páginas anteriores da mesma busca (paginacao.chave) até a 1ª.
+// Posição sem item (página fora do histórico) fica null.
+function collectPages(history, from, name, resp) {
+  const byNumber = new Map();
+  let pagina = resp.paginacao.pagina;
+  for (const s of flattenSlotsFromResponse(resp)) byNumber.set(s.n, s);
+
+  for (let i = from - 1; i >= 0 && pagina > 1; i--) {
+    for (const p of history[i]?.parts || []) {
+      const fr = p.functionResponse;
+      const pg = fr?.response?.paginacao;
+      if (fr?.name !== name || pg?.chave !== resp.paginacao.chave || pg.pagina >= pagina) continue;
+      for (const s of flattenSlotsFromResponse(fr.response)) if (!byNumber.has(s.n)) byNumber.set(s.n, s);
+      pagina = pg.pagina;
+    }
+  }
+
+  const last = Math.max(0, ...byNumber.keys());
+  return Array.from({ length: last }, (_, k) => byNumber.get(k + 1) ?? null);
+}
+
+// Lista selecionável produzida neste turno, para o canal renderizar:
+// { kind, options: [{ n, item }] } | null. Só vale se a última tool do turno foi a
+// listagem: listou e depois agendou/cancelou → a lista já não vale, nada é exibido.
+export function listOfTurn(ctxDelta = []) {
+  for (let i = ctxDelta.length - 1; i >= 0; i--) {
+    const parts = ctxDelta[i]?.parts || [];
+    for (let k = parts.length - 1; k >= 0; k--) {
+      const fr = parts[k].functionResponse;
+      if (!fr) continue;
+
+      const kind = listKindOf(fr.name);
+      if (!kind) return null;
+      const items = LIST_FLATTENERS[kind](fr.response);
+      return items.length ? { kind, options: items.map((item, j) => ({ n: item?.n ?? j + 1, item })) } : null;
+    }
+  }
+  return null;
+}
+
+// A lista exibida fica gravada na resposta do modelo (campo "lista": { kind, items },
+// items indexado pelo número da opção) — a escolha vale pelo que o paciente viu.
+// Histórico sem esse registro (conversas antigas) cai no payload da última tool de listagem.
+export function getLastListContext(history) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i]?.lista) return { kind: history[i].lista.kind, items: history[i].lista.items };
+
+    const parts = history[i]?.parts || [];
+    for (const p of parts) {
+      const fr = p.functionResponse;
+      if (!fr) continue;
+
+      const kind = listKindOf(fr.name);
+      if (!kind) continue;
+
+      const items = LIST_FLATTENERS[kind](fr.response);
+      if (!items.length) continue;
+      if (kind === 'slots' && fr.response?.paginacao?.pagina > 1) {
+        return { kind, items: collectPages(history, i, fr.name, fr.response) };
+      }
+      return { kind, items };
+    }
+  }
+  return { kind: null, items: [] };
+}
+
+
+
+// ===========================================================
+//  🔁 Core de chat reaproveitável (REST e WhatsApp)
+// ===========================================================
+// ctx: identidade de quem fala, repassada às tools (ex.: { channel: 'whatsapp', waId })
+// choice: opção tocada numa lista interativa ({ n, key }); vale só se ainda bate com a
+// última lista do histórico — senão o texto da opção segue para o modelo
+// Retorna { text, ctxDelta, list } — list = lista selecionável deste turno (listOfTurn).
+// Com lista, as opções são renderizadas aqui a partir do payload (o modelo escreve só a
+// introdução); no WhatsApp `text` volta só com a introdução e o canal renderiza a lista.
+export async function runChatTurn(history, message, ctx = {}, { choice = null } = {}) {
+    console.log('[CHAT] user:', message, '| historyLen:', history.length, '| channel:', ctx.channel || '-');
+
+    // 🚨 Sinal de emergência / risco: orientação fixa antes (e independente) do modelo
+    const alert = await checkSafety(message, ctx);
+    if (alert) {
+        return { text: alert.text, ctxDelta: [{ role: 'model', parts: [{ text: alert.text }] }], list: null };
+    }
+
+    const clockHeader = makeClockHeader(ctx);
+    const { kind, items } = getLastListContext(history);
+
+    // 🔎 opção da lista interativa ou "2", "opção 2", "nº 2"...
+    const chosen = choice
+        ? (optionLabel(kind, items[choice.n - 1])?.key === String(choice.key) ? choice.n : null)
+        : parseOrdinalFromText(message);
+    let extraMeta = null;
+    let selection = null;   // escolha resolvida ({ kind, item, hold? }) para o fast-path
+
+    if (chosen != null) {
+
+        if (kind === 'slots' && chosen >= 1 && chosen <= items.length && items[chosen - 1]) {
+            const s = items[chosen - 1];
+            // Segura o horário para este contato enquanto ele completa os dados
+            const hold = await holdSlot(s.id, ctx);
+            selection = { kind, item: s, hold };
+            extraMeta = {
+                role: 'user',
+                parts: [{
+                    text: hold.ok
+                        ? `SELECAO_NUMERICA
+- escolhido: ${chosen}
+- slotId: ${s.id}
+- medicoId: ${s.medicoId ?? ''}
+- dataISO: ${s.isoUTC}
+- reservadoAte: ${hold.heldUntil ?? ''}
+(INSTRUÇÃO: trate como se o paciente tivesse selecionado este horário. Ao chamar "criarAgendamento", use slotId. Não exiba slotId ao paciente. O horário fica guardado por ${SLOT_HOLD_MIN} min.)`
+                        : `SELECAO_NUMERICA
+- escolhido: ${chosen}
+- disponivel: nao
+- dataISO: ${s.isoUTC}
+(INSTRUÇÃO: este horário acabou de ser ocupado por outro paciente. Avise e ofereça os outros horários da lista ou uma nova busca.)`
+                }]
+            };
+        } else if (kind === 'medicos' && chosen >= 1 && chosen <= items.length) {
+            const m = items[chosen - 1];
+            selection = { kind, item: m };
+            extraMeta = {
+                role: 'user',
+                parts: [{
+                    text:
+                        `SELECAO_MEDICO
+- escolhido: ${chosen}
+- medicoId: ${m.id}
+- medicoNome: ${m.nome}
+(INSTRUÇÃO: trate como se o paciente tivesse escolhido este médico. Prossiga conforme as regras de horários: pergunte "dia específico" vs "primeira disponibilidade" e use as tools adequadas.)`
+                }]
+            };
+        } else if (kind === 'especialidades' && chosen >= 1 && chosen <= items.length) {
+            const espNome = items[chosen - 1];
+            selection = { kind, item: espNome };
+            extraMeta = {
+                role: 'user',
+                parts: [{
+                    text:
+                        `SELECAO_ESPECIALIDADE
+- escolhido: ${chosen}
+- especialidadeNome: ${espNome}
+(INSTRUÇÃO: trate como se o paciente tivesse escolhido esta especialidade. Prossiga conforme as regras: listar médicos/horários da especialidade.)`
+                }]
+            };
+        } else if (kind === 'consultas' && chosen >= 1 && chosen <= items.length) {
+            const c = items[chosen - 1];
+            selection = { kind, item: c };
+            extraMeta = {
+                role: 'user',
+                parts: [{
+                    text:
+                        `SELECAO_CONSULTA
+- escolhido: ${chosen}
+- appointmentId: ${c.id}
+- dataLocal: ${c.local}
+- medicoNome: ${c.medicoNome ?? ''}
+(INSTRUÇÃO: trate como se o paciente tivesse escolhido esta consulta. Se ele ainda não disse, pergunte se quer cancelar ou remarcar; use este appointmentId em "desmarcarAgendamento"/"remarcarAgendamento".)`
+                }]
+            };
+        }
+    }
+
+
+    // "lista" é registro nosso, não vai para o modelo
+    let contents = [
+        ...history.map(({ role, parts }) => ({ role, parts })),
+        { role: 'user', parts: [{ text: clockHeader }] },
+        ...(extraMeta ? [extraMeta] : []),
+        { role: 'user', parts: [{ text: message }] }
+    ];
+
+
+
+    // A meta de seleção fica no histórico: nos próximos turnos o modelo ainda
+    // precisa do slotId/medicoId escolhido (ex.: ao chamar criarAgendamento)
+    const ctxDelta = extraMeta ? [extraMeta] : [];
+    let toolCallsUsed = 0;
+
+    // Resposta final do turno; com lista, as opções saem do payload (renderOptionsReply)
+    const finish = (clean) => {
+        const list = listOfTurn(ctxDelta);
+        if (!list) {
+            ctxDelta.push({ role: 'model', parts: [{ text: clean }] });
+            return { text: clean, ctxDelta, list: null };
+        }
+
+        // Snapshot do que foi exibido: numeração contínua entre páginas (collectPages)
+        const shown = renderOptionsReply(clean, list);
+        const lista = structuredClone(getLastListContext([...history, ...ctxDelta]));
+        ctxDelta.push({ role: 'model', parts: [{ text: shown }], lista });
+        return { text: ctx.channel === 'whatsapp' ? leadInOf(clean) : shown, ctxDelta, list };
+    };
+
+    const echoTurn = (calls, results) => {
+        const echoCall = { role: 'model', parts: calls.map(fc => ({ functionCall: fc })) };
+        const echoReply = {
+            role: 'tool',
+            parts: calls.map((fc, k) => ({ functionResponse: { name: fc.name, response: results[k] } }))
+        };
+        contents = [...contents, echoCall, echoReply];
+        ctxDelta.push(echoCall, echoReply);
+    };
+
+    // ⚡ Seleção/confirmação sem ambiguidade: tool direto, sem ida ao modelo.
+    // Se a tool falhar, o modelo segue com o resultado já no contexto.
+    const fast = planFastPath({ history, message, selection });
+    if (fast?.text) {
+        console.log('[FAST] resposta pronta');
+        return finish(fast.text);
+    }
+    if (fast?.calls) {
+        const results = await runToolCalls(fast.calls, ctx);
+        fast.calls.forEach((fc, k) => console.log('[FAST] result for', fc.name, ':', results[k]));
+        toolCallsUsed += fast.calls.length;
+        echoTurn(fast.calls, results);
+
+        const text = fast.reply(results);
+        if (text) return finish(text);
+    }
+
+    for (let i = 0; ; i++) {
+        console.log(`[LOOP ${i + 1}] sending to model | contentsLen:`, contents.length);
+        const r = await model.generateContent({ contents });
+        const cand = r.response?.candidates?.[0];
+        const parts = cand?.content?.parts || [];
+        const calls = parts.filter(p => p.functionCall).map(p => p.functionCall);
+
+        console.log(`[LOOP ${i + 1}] partsKinds:`, parts.map(p => Object.keys(p)));
+        console.log(`[LOOP ${i + 1}] calls:`, calls.map(fc => [fc.name, fc.args]));
+
+        if (!calls.length) {
+            const text = parts.map(p => p.text).filter(Boolean).join('') ?? '';
+            const clean = sanitizeWhats(text);         // <-- AQUI
+            console.log(`[LOOP ${i + 1}] final text:`, clean);
+            return finish(clean);
+        }
+
+        // Orçamento de chamadas por turno: não executa o lote que estouraria o limite
+        if (toolCallsUsed + calls.length > MAX_TOOL_CALLS_PER_TURN) {
+            console.warn(`[LOOP ${i + 1}] orçamento de tools esgotado (${toolCallsUsed}+${calls.length} > ${MAX_TOOL_CALLS_PER_TURN})`);
+            break;
+        }
+        toolCallsUsed += calls.length;
+
+        // Todas as chamadas do candidato: leitura em paralelo, escrita em sequência
+        const results = await runToolCalls(calls, ctx);
+        calls.forEach((fc, k) => console.log('[TOOL] result for', fc.name, ':', results[k]));
+
+        echoTurn(calls, results);
+    }
+
+    const fallback = 'Desculpe, não consegui concluir essa solicitação de uma vez. ' +
+        'Pode me dizer de forma mais específica o que precisa (ex.: médico, especialidade ou dia)?';
+    ctxDelta.push({ role: 'model', parts: [{ text: fallback }] });
+    return { text: fallback, ctxDelta, list: null };
+}
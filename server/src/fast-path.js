@@ -0,0 +1,136 @@
+// fast-path.js — seleções e confirmações resolvidas antes do modelo
+//
+// Um "2" ou um "sim" sem ambiguidade não precisa de uma ida ao LLM: quando o contexto
+// já tem tudo o que a tool pede, o chat chama a tool direto e responde com um texto
+// fixo. Casos cobertos:
+// - "sim" ao “Posso confirmar?” de uma prévia (criarAgendamento / remarcarAgendamento
+//   chamados com previa: true no turno anterior) → a mesma chamada, sem "previa"
+// - "sim" a “Você confirma que deseja desmarcar a consulta de ID …?” → desmarcarAgendamento
+// - "sim" / "confirmo" ao lembrete 🔔 de uma consulta pendente → confirmarAgendamento
+// - escolha de uma especialidade da lista → médicos da especialidade
+// - escolha de um horário que acabou de ser retido por outro contato → aviso
+// O turno entra no histórico como se o modelo o tivesse feito (functionCall /
+// functionResponse + resposta). Se faltar contexto ou a tool falhar, segue no modelo.
+import { actionReplyText } from './reminder-actions.js';
+
+const UUID = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+const CONFIRM_QUESTION_RE = /posso confirmar\?/i;
+const CANCEL_QUESTION_RE = new RegExp(`confirma que deseja desmarcar a consulta de ID (${UUID})`, 'i');
+const REMINDER_RE = new RegExp(`^🔔 \\[sistema\\] Lembrete enviado[^]*ID da consulta: (${UUID})\\. Status: pendente`, 'i');
+
+// Tools com prévia ("previa": true) confirmável pelo paciente
+const PREVIEW_TOOLS = new Set(['criarAgendamento', 'remarcarAgendamento']);
+
+// "sim", "pode confirmar", "isso mesmo, obrigado 👍": só palavras de concordância
+const YES_WORDS = new Set([
+  'sim', 's', 'ss', 'pode', 'isso', 'ok', 'okay', 'certo', 'claro', 'certeza', 'perfeito',
+  'beleza', 'blz', 'confirmo', 'confirma', 'confirmar', 'confirmado', 'confirmada'
+]);
+const FILLER_WORDS = new Set(['mesmo', 'com', 'por', 'favor', 'pf', 'pfv', 'obrigado', 'obrigada', 'pode', 'sim']);
+const CANCEL_WORDS = ['cancelar', 'cancela', 'cancelo', 'desmarcar', 'desmarca', 'desmarco'];
+
+export function isAffirmative(message, extra = []) {
+  const words = String(message || '')
+    .replace(/👍/gu, ' sim ')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  if (!words.length || words.length > 5) return false;
+
+  const yes = (w) => YES_WORDS.has(w) || extra.includes(w);
+  return words.every(w => yes(w) || FILLER_WORDS.has(w)) && words.some(yes);
+}
+
+// Texto da última resposta do modelo, se ela for a última entrada do histórico
+function lastModelText(history) {
+  const last = history.at(-1);
+  if (last?.role !== 'model') return null;
+  return (last.parts || []).map(p => p.text).filter(Boolean).join('\n') || null;
+}
+
+// Entradas do último turno (depois da última mensagem do paciente; metas SELECAO_ não contam)
+function lastTurn(history) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    const c = history[i];
+    if (c?.role === 'user' && !/^SELECAO_/.test(c.parts?.[0]?.text || '')) return history.slice(i + 1);
+  }
+  return history;
+}
+
+// Prévia confirmável do último turno: { name, args } da chamada com previa: true que deu ok
+function pendingPreview(history) {
+  const turn = lastTurn(history);
+  const responses = turn.flatMap(c => (c.parts || []).map(p => p.functionResponse).filter(Boolean));
+
+  for (const c of [...turn].reverse()) {
+    for (const p of c.parts || []) {
+      const fc = p.functionCall;
+      if (!fc || !PREVIEW_TOOLS.has(fc.name) || fc.args?.previa !== true) continue;
+      const resp = responses.findLast(r => r.name === fc.name)?.response;
+      if (!resp?.ok || !resp.previa) return null;
+      const { previa, ...args } = fc.args;
+      return { name: fc.name, args };
+    }
+  }
+  return null;
+}
+
+function previewReply(name, r) {
+  if (!r?.ok) return null;
+  if (name === 'criarAgendamento') return r.message;
+  const { dataLocalAnterior, dataLocal } = r.resumo || {};
+  return `✅ Consulta remarcada${dataLocalAnterior ? ` de ${dataLocalAnterior}` : ''} para ${dataLocal}. ID da consulta: ${r.id}.`;
+}
+
+/**
+ * Decide se o turno dispensa o modelo.
+ * selection: escolha numérica já resolvida pelo chat ({ kind, item, hold? }) ou null.
+ * - null                      → segue para o modelo
+ * - { text }                  → resposta pronta, sem tool
+ * - { calls, reply(results) } → executa as tools; reply devolve o texto ou null (aí o
+ *                               modelo continua, já com os resultados no contexto)
+ */
+export function planFastPath({ history, message, selection = null }) {
+  if (selection) {
+    if (selection.kind === 'slots' && selection.hold?.ok === false) {
+      return { text: 'Esse horário acabou de ser reservado por outro paciente. Escolha outra opção da lista ou me peça uma nova busca.' };
+    }
+    if (selection.kind === 'especialidades') {
+      const especialidadeNome = selection.item;
+      return {
+        calls: [{ name: 'listarMedicosPorEspecialidade', args: { especialidadeNome } }],
+        reply: ([r]) => (r?.ok && r.medicos?.length ? `Médicos de ${especialidadeNome}:` : null)
+      };
+    }
+    return null;
+  }
+
+  const last = lastModelText(history);
+  if (!last) return null;
+
+  if (CONFIRM_QUESTION_RE.test(last) && isAffirmative(message)) {
+    const preview = pendingPreview(history);
+    if (!preview) return null;
+    return { calls: [preview], reply: ([r]) => previewReply(preview.name, r) };
+  }
+
+  const cancel = last.match(CANCEL_QUESTION_RE);
+  if (cancel && isAffirmative(message, CANCEL_WORDS)) {
+    return {
+      calls: [{ name: 'desmarcarAgendamento', args: { appointmentId: cancel[1].toLowerCase() } }],
+      reply: ([r]) => (r?.ok ? actionReplyText('cancelar', r) : null)
+    };
+  }
+
+  const reminder = last.match(REMINDER_RE);
+  if (reminder && isAffirmative(message)) {
+    return {
+      calls: [{ name: 'confirmarAgendamento', args: { appointmentId: reminder[1].toLowerCase() } }],
+      reply: ([r]) => (r?.ok ? actionReplyText('confirmar', r) : null)
+    };
+  }
+
+  return null;
+}
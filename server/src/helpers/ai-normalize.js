@@ -1,8 +1,20 @@
 // helpers/ai-normalize.js
-import { normalizerModel } from '../libs/vertex.js';
+// Datas passam primeiro pelo parser local (helpers/date-parse.js); o LLM só é
+// consultado para textos que o parser não entende.
+import { createModel } from '../libs/llm.js';
+import { parseDateTimePtBR, parseBirthDatePtBR } from './date-parse.js';
 
-// Data/hora livre → ISO UTC via LLM
+const normalizerModel = createModel('normalizer', {
+  model: 'gemini-2.5-flash',
+  generationConfig: { temperature: 0, responseMimeType: 'application/json' }
+});
+
+// Data/hora livre → { isoUTC, hasTime, ymdLocal, periodo } (parser local; LLM como fallback)
 export async function normalizeDateTimeToUTC(raw, tz = 'America/Sao_Paulo') {
+  const local = parseDateTimePtBR(raw, tz);
+  if (local === false) return null;   // entendido, mas a data não existe (ex.: 31/02)
+  if (local) return local;
+
   try {
     const now = new Date();
     const currentYearInTZ = Number(
@@ -37,7 +49,7 @@ Texto: """${String(raw)}"""
       isoUTC = d.toISOString();
     }
 
-    return { isoUTC, hasTime: !!parsed.hasTime, ymdLocal: parsed.ymdLocal };
+    return { isoUTC, hasTime: !!parsed.hasTime, ymdLocal: parsed.ymdLocal, periodo: null };
   } catch (e) {
     console.error('[normalizeDateTimeToUTC] erro:', e?.message || e);
     return null;
@@ -45,8 +57,12 @@ Texto: """${String(raw)}"""
 }
 
 
-// Nascimento → YYYY-MM-DD via LLM
+// Nascimento → YYYY-MM-DD (parser local; LLM como fallback)
 export async function normalizeBirthDate(raw) {
+    const local = parseBirthDatePtBR(raw);
+    if (local === false) return null;
+    if (local) return local;
+
     try {
         const prompt = `
 Converta a data de nascimento abaixo para o formato YYYY-MM-DD.
@@ -0,0 +1,204 @@
+// helpers/date-parse.js — parser local (pt-BR) de data/hora e data de nascimento
+// Entende datas absolutas (25/08, 25/08/2025, 2025-08-25, "25 de agosto"), relativas
+// (hoje, amanhã, depois de amanhã), dias da semana ("terça", "sexta que vem"),
+// "dia 15", horas (14h, 14h30, 14:30, "às 9", meio-dia) e períodos (manhã/tarde/noite).
+//
+// Retorno das funções de parse:
+//   objeto/string → entendido;  false → formato reconhecido mas data inexistente (31/02);
+//   null → não entendido (quem chama pode recorrer ao LLM).
+// O parser é conservador: se sobrar qualquer palavra que ele não conhece, devolve null.
+import { utcFromTZComponents } from './datetime.js';
+
+const MONTHS = {
+    janeiro: 1, fevereiro: 2, marco: 3, abril: 4, maio: 5, junho: 6,
+    julho: 7, agosto: 8, setembro: 9, outubro: 10, novembro: 11, dezembro: 12,
+    jan: 1, fev: 2, mar: 3, abr: 4, mai: 5, jun: 6,
+    jul: 7, ago: 8, set: 9, out: 10, nov: 11, dez: 12
+};
+const MONTH_RE = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+
+const WEEKDAYS = { domingo: 0, segunda: 1, terca: 2, quarta: 3, quinta: 4, sexta: 5, sabado: 6 };
+
+// Hora de referência de cada período quando o paciente não diz a hora exata
+export const PERIOD_TIMES = {
+    manha: { h: 9, m: 0 },
+    tarde: { h: 14, m: 0 },
+    noite: { h: 19, m: 0 }
+};
+
+// Palavras de ligação aceitas entre as partes reconhecidas
+const FILLER_RE = /\b(?:de|do|da|dos|das|a|as|o|os|e|em|no|na|nesta|neste|nessa|nesse|para|pra|pro|dia|feira|proxima|proximo|que|vem|por|volta|umas|pelas|pela|ao|aos|h|hs|hora|horas|horario)\b/g;
+
+function normalizeText(raw) {
+    return String(raw ?? '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[ºª°]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function isValidYMD(y, M, d) {
+    if (!(M >= 1 && M <= 12 && d >= 1 && d <= 31)) return false;
+    const dt = new Date(Date.UTC(y, M - 1, d));
+    return dt.getUTCFullYear() === y && dt.getUTCMonth() === M - 1 && dt.getUTCDate() === d;
+}
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const toYMD = ({ y, M, d }) => `${y}-${pad2(M)}-${pad2(d)}`;
+
+function addDays({ y, M, d }, n) {
+    const dt = new Date(Date.UTC(y, M - 1, d + n));
+    return { y: dt.getUTCFullYear(), M: dt.getUTCMonth() + 1, d: dt.getUTCDate() };
+}
+
+// Data local (no fuso tz) de um instante
+function localDateOf(date, tz) {
+    const [y, M, d] = new Intl.DateTimeFormat('en-CA', {
+        timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(date).split('-').map(Number);
+    return { y, M, d };
+}
+
+const expandYear = (yy) => (yy < 100 ? 2000 + yy : yy);
+
+// Consome o primeiro match de `re` em `state.rest` e devolve o match (ou null)
+function take(state, re) {
+    const m = state.rest.match(re);
+    if (m) state.rest = state.rest.slice(0, m.index) + ' ' + state.rest.slice(m.index + m[0].length);
+    return m;
+}
+
+/* -------------------------------------------------------------------------- */
+/* Data + hora (consulta)                                                      */
+/* -------------------------------------------------------------------------- */
+/**
+ * Texto livre → { isoUTC, hasTime, ymdLocal, periodo } no fuso `tz`.
+ * - Sem ano: ano corrente no fuso. Sem data mas com hora: hoje.
+ * - Período sem hora ("amanhã de manhã"): hasTime=true com a hora de referência
+ *   do período (PERIOD_TIMES) e `periodo` preenchido — não é uma hora exata.
+ */
+export function parseDateTimePtBR(raw, tz = 'America/Sao_Paulo', now = new Date()) {
+    const text = normalizeText(raw);
+    if (!text) return null;
+
+    // ISO completo com fuso (ex.: isoUTC devolvido pelas tools): instante exato
+    if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:z|[+-]\d{2}:?\d{2})$/.test(text)) {
+        const d = new Date(text.toUpperCase());
+        if (Number.isNaN(+d)) return false;
+        return { isoUTC: d.toISOString(), hasTime: true, ymdLocal: toYMD(localDateOf(d, tz)), periodo: null };
+    }
+
+    const today = localDateOf(now, tz);
+    const state = { rest: ` ${text} ` };
+
+    /* ---- data ---- */
+    let date = null;
+    let m;
+
+    if ((m = take(state, /\b(\d{4})-(\d{1,2})-(\d{1,2})(?:t(?=\d))?/))) {
+        date = { y: +m[1], M: +m[2], d: +m[3] };
+    } else if ((m = take(state, /\b(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2}|\d{4}))?\b/))) {
+        date = { y: m[3] ? expandYear(+m[3]) : today.y, M: +m[2], d: +m[1] };
+    } else if ((m = take(state, new RegExp(`\\b(\\d{1,2})\\s*(?:de\\s+)?(${MONTH_RE})\\b\\.?(?:\\s*(?:de\\s+)?(\\d{4}))?`)))) {
+        date = { y: m[3] ? +m[3] : today.y, M: MONTHS[m[2]], d: +m[1] };
+    } else if ((m = take(state, /\bdia\s+(\d{1,2})\b/))) {
+        // "dia 15": este mês, ou o próximo se o dia já passou
+        date = { y: today.y, M: today.M, d: +m[1] };
+        if (+m[1] < today.d) {
+            const next = today.M === 12 ? { y: today.y + 1, M: 1 } : { y: today.y, M: today.M + 1 };
+            date = { ...next, d: +m[1] };
+        }
+    }
+
+    let relative = null;
+    if ((m = take(state, /\bdepois\s+de\s+amanha\b/))) relative = addDays(today, 2);
+    else if ((m = take(state, /\bamanha\b/))) relative = addDays(today, 1);
+    else if ((m = take(state, /\bhoje\b/))) relative = today;
+
+    let weekday = null;
+    if ((m = take(state, /\b(domingo|segunda|terca|quarta|quinta|sexta|sabado)\b(?:[\s-]*feira)?/))) {
+        weekday = WEEKDAYS[m[1]];
+    }
+
+    if (date && !isValidYMD(date.y, date.M, date.d)) return false;
+    // "amanhã, 25/08": só aceita se for o mesmo dia; senão deixa para o LLM
+    if (date && relative && toYMD(date) !== toYMD(relative)) return null;
+    date = date || relative;
+
+    if (weekday != null) {
+        if (date) {
+            // "terça, 21/10": o dia da semana precisa bater com a data
+            if (new Date(Date.UTC(date.y, date.M - 1, date.d)).getUTCDay() !== weekday) return null;
+        } else {
+            // próxima ocorrência a partir de amanhã ("terça" dita numa terça = semana que vem)
+            const todayDow = new Date(Date.UTC(today.y, today.M - 1, today.d)).getUTCDay();
+            date = addDays(today, ((weekday - todayDow + 6) % 7) + 1);
+        }
+    }
+
+    /* ---- hora ---- */
+    let time = null;
+    if (take(state, /\bmeio[\s-]?dia\b/)) time = { h: 12, m: 0 };
+    else if (take(state, /\bmeia[\s-]?noite\b/)) time = { h: 0, m: 0 };
+    else if ((m = take(state, /\b(\d{1,2})\s*(?::|h)\s*(\d{2})\b(?:\s*(?:h|hs|min)\b)?/))) time = { h: +m[1], m: +m[2] };
+    else if ((m = take(state, /\b(\d{1,2})\s*(?:h|hs|horas?)\b/))) time = { h: +m[1], m: 0 };
+    else if ((m = take(state, /\b(?:as|a|pelas|umas)\s+(\d{1,2})\b/))) time = { h: +m[1], m: 0 };
+    else if ((m = take(state, /\b(\d{1,2})(?=\s+d[ae]\s+(?:manha|tarde|noite)\b)/))) time = { h: +m[1], m: 0 };
+
+    let periodo = null;
+    if ((m = take(state, /\b(manha|tarde|noite)\b/))) periodo = m[1];
+
+    if (time && periodo) {
+        // "2 da tarde" → 14h; "8 da noite" → 20h
+        if ((periodo === 'tarde' || periodo === 'noite') && time.h < 12) time.h += 12;
+        periodo = null; // a hora é exata
+    } else if (!time && periodo) {
+        time = { ...PERIOD_TIMES[periodo] };
+    }
+
+    if (time && (time.h > 23 || time.m > 59)) return false;
+
+    // sobrou algo que não é palavra de ligação → não entendemos o texto todo
+    if (state.rest.replace(FILLER_RE, ' ').replace(/[\s,.;:!?()-]+/g, '')) return null;
+
+    if (!date && !time) return null;
+    if (!date) date = today;
+
+    const ymdLocal = toYMD(date);
+    if (!time) return { isoUTC: null, hasTime: false, ymdLocal, periodo: null };
+
+    const isoUTC = utcFromTZComponents(tz, date.y, date.M, date.d, time.h, time.m).toISOString();
+    return { isoUTC, hasTime: true, ymdLocal, periodo };
+}
+
+/* -------------------------------------------------------------------------- */
+/* Data de nascimento                                                          */
+/* -------------------------------------------------------------------------- */
+// "31/01/1990", "31-01-90", "1990-01-31", "31 de janeiro de 1990" → "1990-01-31"
+export function parseBirthDatePtBR(raw, now = new Date()) {
+    const text = normalizeText(raw).replace(/^(?:nascid[oa]\s+em|nascimento:?|em)\s+/, '');
+    if (!text) return null;
+
+    const currentYear = now.getUTCFullYear();
+    let m, date = null;
+
+    if ((m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+        date = { y: +m[1], M: +m[2], d: +m[3] };
+    } else if ((m = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+        let y = +m[3];
+        if (y < 100) y += (2000 + y > currentYear ? 1900 : 2000); // 90 → 1990, 05 → 2005
+        date = { y, M: +m[2], d: +m[1] };
+    } else if ((m = text.match(new RegExp(`^(\\d{1,2})\\s*(?:de\\s+)?(${MONTH_RE})\\.?\\s*(?:de\\s+)?(\\d{4})$`)))) {
+        date = { y: +m[3], M: MONTHS[m[2]], d: +m[1] };
+    } else if ((m = text.match(/^(\d{2})(\d{2})(\d{4})$/))) {
+        date = { y: +m[3], M: +m[2], d: +m[1] }; // 31011990
+    }
+
+    if (!date) return null;
+    if (!isValidYMD(date.y, date.M, date.d) || date.y < 1900) return false;
+
+    const ymd = toYMD(date);
+    if (ymd > now.toISOString().slice(0, 10)) return false; // no futuro
+    return ymd;
+}
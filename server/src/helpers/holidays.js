@@ -0,0 +1,71 @@
+// helpers/holidays.js — feriados nacionais do Brasil (fixos e móveis)
+// Os móveis saem da Páscoa: Carnaval (segunda e terça, 48/47 dias antes),
+// Sexta-feira Santa (2 dias antes) e Corpus Christi (60 dias depois).
+// Carnaval e Corpus Christi são ponto facultativo, mas a clínica fecha (tipo
+// "facultativo" para quem quiser filtrar). Municipais/estaduais vêm do banco
+// (agenda_blocks), cadastrados pela equipe.
+
+const FIXED = [
+    ['01-01', 'Confraternização Universal'],
+    ['04-21', 'Tiradentes'],
+    ['05-01', 'Dia do Trabalho'],
+    ['09-07', 'Independência do Brasil'],
+    ['10-12', 'Nossa Senhora Aparecida'],
+    ['11-02', 'Finados'],
+    ['11-15', 'Proclamação da República'],
+    ['11-20', 'Dia Nacional de Zumbi e da Consciência Negra'],
+    ['12-25', 'Natal']
+];
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher, calendário gregoriano)
+export function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return `${year}-${pad2(month)}-${pad2(day)}`;
+}
+
+function addDays(ymd, n) {
+    const [y, M, d] = ymd.split('-').map(Number);
+    return new Date(Date.UTC(y, M - 1, d + n)).toISOString().slice(0, 10);
+}
+
+/**
+ * Feriados nacionais do ano, em ordem de data.
+ * → [{ date: 'YYYY-MM-DD', nome, tipo: 'nacional' | 'facultativo' }]
+ */
+export function brazilianHolidays(year) {
+    const easter = easterSunday(year);
+    const list = [
+        ...FIXED.map(([md, nome]) => ({ date: `${year}-${md}`, nome, tipo: 'nacional' })),
+        { date: addDays(easter, -48), nome: 'Carnaval (segunda-feira)', tipo: 'facultativo' },
+        { date: addDays(easter, -47), nome: 'Carnaval (terça-feira)', tipo: 'facultativo' },
+        { date: addDays(easter, -2), nome: 'Sexta-feira Santa', tipo: 'nacional' },
+        { date: addDays(easter, 60), nome: 'Corpus Christi', tipo: 'facultativo' }
+    ];
+    return list.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Feriados nacionais entre fromYMD e toYMD (inclusive)
+export function brazilianHolidaysBetween(fromYMD, toYMD) {
+    const out = [];
+    for (let y = Number(fromYMD.slice(0, 4)); y <= Number(toYMD.slice(0, 4)); y++) {
+        for (const h of brazilianHolidays(y)) {
+            if (h.date >= fromYMD && h.date <= toYMD) out.push(h);
+        }
+    }
+    return out;
+}
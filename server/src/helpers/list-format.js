@@ -0,0 +1,83 @@
+// helpers/list-format.js — opções das listas selecionáveis (horários, médicos, especialidades, consultas)
+// Os rótulos saem do payload da tool, no servidor: o que o paciente vê (lista interativa
+// do WhatsApp ou texto numerado) é exatamente o que a escolha dele seleciona.
+// `key` identifica o item (slotId, medicoId, nome da especialidade, appointmentId) e
+// viaja no id da linha da lista interativa.
+
+const CLINIC_TZ = process.env.CLINIC_TZ || 'America/Sao_Paulo';
+
+// "qua 04/09 às 19:05" (fuso da clínica)
+function slotTitle(iso, tz = CLINIC_TZ) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('pt-BR', {
+        timeZone: tz, weekday: 'short', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(new Date(iso)).map(p => [p.type, p.value]));
+    const wd = String(parts.weekday || '').replace('.', '');
+    return `${wd} ${parts.day}/${parts.month} às ${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Item do payload → { key, title, description } (description pode ser null).
+ */
+export function optionLabel(kind, item) {
+    if (item == null) return null;
+    switch (kind) {
+        case 'slots':
+            return {
+                key: String(item.id),
+                title: slotTitle(item.isoUTC),
+                description: [
+                    item.medicoNome ? `Dr(a). ${item.medicoNome}` : null,
+                    item.duracaoMin ? `${item.duracaoMin} min` : null
+                ].filter(Boolean).join(' · ') || null
+            };
+        case 'medicos':
+            return { key: String(item.id), title: item.nome, description: null };
+        case 'especialidades':
+            return { key: String(item), title: String(item), description: null };
+        case 'consultas':
+            return {
+                key: String(item.id),
+                title: item.isoUTC ? slotTitle(item.isoUTC) : item.local,
+                description: [
+                    item.medicoNome ? `Dr(a). ${item.medicoNome}` : null,
+                    item.especialidade
+                ].filter(Boolean).join(' · ') || null
+            };
+        default:
+            return null;
+    }
+}
+
+export const CHOOSE_HINT = 'Para escolher, responda apenas com o número da opção (ex.: 2).';
+
+/**
+ * Lista numerada em texto: options = [{ n, item }] (n = número que o paciente digita).
+ */
+export function numberedList(kind, options) {
+    const lines = options.map(({ n, item }) => {
+        const label = optionLabel(kind, item);
+        return `${n}- ${label.title}${label.description ? ` — ${label.description}` : ''}`;
+    });
+    return `${lines.join('\n')}\n\n${CHOOSE_HINT}`;
+}
+
+// Linhas de opção ("1- ...", "2) ...", "3. ...") e a instrução de escolha que o modelo
+// tenha escrito por conta própria: a lista que vale é sempre a renderizada aqui
+const MODEL_OPTION_LINE_RE = /^\s*(?:[-•*]\s*)?\d{1,3}\s*[-–—).]\s+\S/;
+const MODEL_HINT_RE = /responda (?:apenas )?com o n[uú]mero/i;
+
+export function leadInOf(text) {
+    return String(text || '')
+        .split('\n')
+        .filter(line => !MODEL_OPTION_LINE_RE.test(line) && !MODEL_HINT_RE.test(line))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Resposta com a lista do turno: introdução do modelo + opções renderizadas do payload.
+ */
+export function renderOptionsReply(text, list) {
+    return [leadInOf(text), numberedList(list.kind, list.options)].filter(Boolean).join('\n\n');
+}
@@ -0,0 +1,60 @@
+// helpers/red-flags.js — sinais de alerta nas mensagens do paciente (pt-BR)
+// Léxico curado de frases de quadro agudo ("estou sangrando", "dor no peito"), sem
+// caixa e sem acento, por palavra inteira. Termos soltos como "infarto", "AVC" ou
+// "derrame" ficam de fora: aparecem em pedidos de consulta ("retorno pós-AVC",
+// "meu pai teve infarto") e travariam o agendamento.
+
+const normalize = (s) => String(s ?? '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Risco de suicídio / autolesão → CVV 188 (verificado antes das emergências clínicas)
+const SUICIDE_TERMS = [
+    'suicidio', 'suicidar', 'me suicidar', 'quero morrer', 'vou me matar', 'me matar',
+    'tirar minha vida', 'tirar a minha vida', 'tirar minha propria vida', 'acabar com a minha vida',
+    'acabar com minha vida', 'nao quero mais viver', 'sem vontade de viver', 'me machucar',
+    'me cortar', 'me mutilar'
+];
+
+// Emergências clínicas → SAMU 192
+const EMERGENCY_TERMS = [
+    'dor no peito', 'dor forte no peito', 'aperto no peito', 'pressao no peito',
+    'falta de ar', 'estou sem ar', 'fiquei sem ar', 'nao consigo respirar', 'dificuldade para respirar', 'dificuldade de respirar',
+    'desmaiei', 'desmaiando', 'desmaiou agora', 'acabou de desmaiar', 'perdi os sentidos', 'perdeu os sentidos',
+    'perdeu a consciencia', 'desacordado', 'desacordada',
+    'estou sangrando', 'esta sangrando', 'ta sangrando', 'sangrando muito', 'nao para de sangrar',
+    'vomitando sangue', 'tossindo sangue',
+    'convulsionando', 'tendo uma convulsao', 'tendo um infarto', 'tendo um avc', 'tendo um derrame', 'boca torta'
+];
+
+const compile = (terms) => terms.map(t => ({ term: t, re: new RegExp(`(?:^| )${t}(?: |$)`) }));
+const LEXICON = [
+    { kind: 'suicidio', entries: compile(SUICIDE_TERMS) },
+    { kind: 'emergencia', entries: compile(EMERGENCY_TERMS) }
+];
+
+/**
+ * Texto do paciente → { kind: 'suicidio' | 'emergencia', term } | null.
+ */
+export function detectRedFlag(text) {
+    const t = normalize(text);
+    if (!t) return null;
+    for (const { kind, entries } of LEXICON) {
+        const hit = entries.find(e => e.re.test(t));
+        if (hit) return { kind, term: hit.term };
+    }
+    return null;
+}
+
+// Orientação fixa enviada ao paciente (não passa pelo modelo)
+export const SAFETY_MESSAGES = {
+    emergencia: '⚠️ Pelo que você descreveu, isso pode ser uma emergência. Ligue agora para o SAMU (192) ' +
+        'ou vá ao pronto-socorro mais próximo — não espere por uma consulta agendada. ' +
+        'Nossa equipe já foi avisada.',
+    suicidio: 'Sinto muito que você esteja passando por isso, e obrigado por contar. Você não está sozinho(a): ' +
+        'ligue para o CVV no 188 (gratuito, 24 horas) ou converse pelo chat em cvv.org.br. ' +
+        'Se estiver em perigo agora, ligue 192 (SAMU). Nossa equipe já foi avisada.'
+};
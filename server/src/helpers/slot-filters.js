@@ -0,0 +1,107 @@
+// helpers/slot-filters.js — preferências do paciente nas listagens de horários
+// "só de manhã", "entre 14h e 16h", "às terças à tarde": período do dia (ou faixa
+// explícita de horas) e dias da semana, sempre no fuso da clínica. O filtro olha o
+// horário de INÍCIO do slot: faixa [de, até) em minutos desde 00:00 local.
+
+// Faixas de cada período do dia (o fim não entra)
+export const PERIOD_RANGES = {
+    manha: { de: 6 * 60, ate: 12 * 60 },
+    tarde: { de: 12 * 60, ate: 18 * 60 },
+    noite: { de: 18 * 60, ate: 24 * 60 }
+};
+
+const WEEKDAY_PREFIXES = ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sab'];
+
+const normalize = (s) => String(s ?? '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .trim();
+
+// "14:30" | "14h30" | "14h" | "14" → minutos; null se inválido
+function toMinutes(s) {
+    const m = normalize(s).match(/^(\d{1,2})(?:\s*(?:h|:)\s*(\d{2})?)?\s*(?:h|hs)?$/);
+    if (!m) return null;
+    const h = Number(m[1]);
+    const min = Number(m[2] || 0);
+    if (h > 24 || min > 59 || (h === 24 && min > 0)) return null;
+    return h * 60 + min;
+}
+
+// 0–6 | "terça" | "ter" | "terca-feira" → 0 (domingo) … 6 (sábado); null se inválido
+function toWeekday(v) {
+    if (typeof v === 'number' || /^\d$/.test(String(v).trim())) {
+        const n = Number(v);
+        return Number.isInteger(n) && n >= 0 && n <= 6 ? n : null;
+    }
+    const idx = WEEKDAY_PREFIXES.indexOf(normalize(v).slice(0, 3));
+    return idx >= 0 ? idx : null;
+}
+
+/**
+ * Args da tool → { filtro, error }.
+ * - filtro = null quando não há preferência; senão { periodo, horaInicio, horaFim, diasSemana }
+ *   normalizado — vai de volta no retorno da tool para o modelo saber o que foi aplicado
+ * - horaInicio/horaFim explícitos prevalecem sobre `periodo`
+ */
+export function parseSlotFilter({ periodo, horaInicio, horaFim, diasSemana } = {}) {
+    let range = null;
+    let periodoKey = null;
+
+    if (periodo != null && periodo !== '') {
+        periodoKey = normalize(periodo);
+        if (!PERIOD_RANGES[periodoKey]) return { filtro: null, error: 'periodo deve ser manha, tarde ou noite.' };
+        range = { ...PERIOD_RANGES[periodoKey] };
+    }
+
+    if (horaInicio || horaFim) {
+        const de = horaInicio ? toMinutes(horaInicio) : 0;
+        const ate = horaFim ? toMinutes(horaFim) : 24 * 60;
+        if (de == null || ate == null || de >= ate) {
+            return { filtro: null, error: 'Faixa de horas inválida: use horaInicio/horaFim no formato HH:MM, com início antes do fim.' };
+        }
+        range = { de, ate };
+        periodoKey = null;
+    }
+
+    let dias = null;
+    if (Array.isArray(diasSemana) && diasSemana.length) {
+        dias = [...new Set(diasSemana.map(toWeekday))];
+        if (dias.includes(null)) return { filtro: null, error: 'diasSemana deve ter dias de 0 (domingo) a 6 (sábado) ou nomes como "terça".' };
+        dias.sort((a, b) => a - b);
+    }
+
+    if (!range && !dias) return { filtro: null, error: null };
+
+    const hhmm = (min) => `${String(Math.floor(min / 60)).padStart(2, '0')}:${String(min % 60).padStart(2, '0')}`;
+    return {
+        filtro: {
+            periodo: periodoKey,
+            horaInicio: range ? hhmm(range.de) : null,
+            horaFim: range ? hhmm(range.ate) : null,
+            diasSemana: dias
+        },
+        error: null
+    };
+}
+
+/**
+ * Predicado (isoUTC) → boolean para o filtro no fuso `tz`; sem filtro, aceita tudo.
+ */
+export function slotMatcher(filtro, tz) {
+    if (!filtro) return () => true;
+    const fmt = new Intl.DateTimeFormat('en-US', {
+        timeZone: tz, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    });
+    const WK = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+    const range = filtro.horaInicio ? { de: toMinutes(filtro.horaInicio), ate: toMinutes(filtro.horaFim) } : null;
+
+    return (iso) => {
+        const parts = Object.fromEntries(fmt.formatToParts(new Date(iso)).map(p => [p.type, p.value]));
+        if (filtro.diasSemana && !filtro.diasSemana.includes(WK[parts.weekday.toLowerCase()])) return false;
+        if (range) {
+            const min = Number(parts.hour) * 60 + Number(parts.minute);
+            if (min < range.de || min >= range.ate) return false;
+        }
+        return true;
+    };
+}
@@ -0,0 +1,41 @@
+// helpers/zod-vertex.js
+import { z } from 'zod';
+
+const TYPE_MAP = {
+  string: 'STRING',
+  number: 'NUMBER',
+  integer: 'INTEGER',
+  boolean: 'BOOLEAN',
+  array: 'ARRAY',
+  object: 'OBJECT'
+};
+
+// JSON Schema (saída do zod) → subconjunto aceito pelo Vertex (functionDeclarations.parameters)
+function toVertex(js = {}) {
+  // union (ex.: string | number): declara o 1º tipo não-nulo; a validação real é do zod
+  if (Array.isArray(js.anyOf)) {
+    const nonNull = js.anyOf.filter(s => s.type !== 'null');
+    const out = toVertex(nonNull[0]);
+    if (nonNull.length < js.anyOf.length) out.nullable = true;
+    if (js.description) out.description = js.description;
+    return out;
+  }
+
+  const out = { type: TYPE_MAP[js.type] || 'STRING' };
+  if (js.description) out.description = js.description;
+  if (Array.isArray(js.enum)) out.enum = js.enum.map(String);
+
+  if (js.type === 'object') {
+    out.properties = Object.fromEntries(
+      Object.entries(js.properties || {}).map(([k, v]) => [k, toVertex(v)])
+    );
+    if (js.required?.length) out.required = js.required;
+  }
+  if (js.type === 'array' && js.items) out.items = toVertex(js.items);
+
+  return out;
+}
+
+export function zodToVertexSchema(schema) {
+  return toVertex(z.toJSONSchema(schema, { io: 'input', unrepresentable: 'any' }));
+}
@@ -0,0 +1,74 @@
+// libs/llm-fake.js — provider determinístico (sem rede), para rodar o fluxo offline e em testes.
+// Cada "papel" de modelo (chat, normalizer) tem seu roteiro: uma lista de passos
+// consumidos em ordem, um por generateContent. Passo aceito:
+//   { text } | { functionCall: { name, args } } | { functionCalls: [...] } | { parts: [...] }
+//   ou uma função (contents) => passo, para respostas que dependem do que foi enviado.
+// LLM_FAKE_SCRIPT aponta para um .json ({ chat: [...], normalizer: [...] } ou array = chat)
+// ou para um .jsonl gravado com LLM_RECORD (linhas { model, parts }).
+import fs from 'fs';
+
+const scripts = new Map();   // papel → passos restantes
+const requests = [];         // tudo que foi enviado (para asserts)
+let loadedFromEnv = false;
+
+export function loadFakeScript(script) {
+    const byRole = Array.isArray(script) ? { chat: script } : (script || {});
+    for (const [role, steps] of Object.entries(byRole)) {
+        scripts.set(role, [...(scripts.get(role) || []), ...steps]);
+    }
+}
+
+export function loadFakeScriptFile(file) {
+    const raw = fs.readFileSync(file, 'utf8');
+    if (file.endsWith('.jsonl')) {
+        const byRole = {};
+        for (const line of raw.split('\n').filter(l => l.trim())) {
+            const { model, parts } = JSON.parse(line);
+            (byRole[model || 'chat'] ||= []).push({ parts });
+        }
+        loadFakeScript(byRole);
+    } else {
+        loadFakeScript(JSON.parse(raw));
+    }
+}
+
+export function resetFake() {
+    scripts.clear();
+    requests.length = 0;
+}
+
+export function getFakeRequests(role) {
+    return role ? requests.filter(r => r.role === role) : [...requests];
+}
+
+export function pendingFakeSteps(role = 'chat') {
+    return (scripts.get(role) || []).length;
+}
+
+function stepToParts(step) {
+    if (Array.isArray(step.parts)) return step.parts;
+    if (step.functionCall) return [{ functionCall: step.functionCall }];
+    if (Array.isArray(step.functionCalls)) return step.functionCalls.map(fc => ({ functionCall: fc }));
+    if (step.text != null) return [{ text: String(step.text) }];
+    throw new Error('[llm-fake] passo inválido: ' + JSON.stringify(step));
+}
+
+export function createFakeModel(role) {
+    return {
+        async generateContent({ contents }) {
+            if (!loadedFromEnv && process.env.LLM_FAKE_SCRIPT) {
+                loadedFromEnv = true;
+                loadFakeScriptFile(process.env.LLM_FAKE_SCRIPT);
+            }
+
+            requests.push({ role, contents });
+
+            const queue = scripts.get(role) || [];
+            let step = queue.shift();
+            if (!step) throw new Error(`[llm-fake] roteiro esgotado para o modelo "${role}"`);
+            if (typeof step === 'function') step = await step(contents);
+
+            return { response: { candidates: [{ content: { role: 'model', parts: stepToParts(step) } }] } };
+        }
+    };
+}
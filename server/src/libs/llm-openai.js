@@ -0,0 +1,118 @@
+// libs/llm-openai.js — provider para APIs compatíveis com OpenAI (/chat/completions):
+// OpenAI, Ollama (http://localhost:11434/v1), vLLM, LM Studio...
+// Converte de/para o formato canônico (Gemini: contents/parts/functionCall).
+
+const LOWER_TYPES = { STRING: 'string', NUMBER: 'number', INTEGER: 'integer', BOOLEAN: 'boolean', ARRAY: 'array', OBJECT: 'object' };
+
+// Schema Vertex (type: 'OBJECT'...) → JSON Schema
+function toJsonSchema(s = {}) {
+    const out = { type: LOWER_TYPES[s.type] || 'string' };
+    if (s.description) out.description = s.description;
+    if (s.enum) out.enum = s.enum;
+    if (s.properties) {
+        out.properties = Object.fromEntries(Object.entries(s.properties).map(([k, v]) => [k, toJsonSchema(v)]));
+        if (s.required?.length) out.required = s.required;
+    }
+    if (s.items) out.items = toJsonSchema(s.items);
+    return out;
+}
+
+function toMessages(systemInstruction, contents) {
+    const messages = [];
+    const systemText = (systemInstruction?.parts || []).map(p => p.text).filter(Boolean).join('\n');
+    if (systemText) messages.push({ role: 'system', content: systemText });
+
+    // ids das tool_calls: o formato Gemini não tem, então gera por posição e
+    // casa com os functionResponse da mensagem seguinte, na mesma ordem
+    let pendingIds = [];
+    contents.forEach((c, i) => {
+        const parts = c.parts || [];
+        const text = parts.map(p => p.text).filter(Boolean).join('\n');
+
+        if (c.role === 'tool' || parts.some(p => p.functionResponse)) {
+            parts.filter(p => p.functionResponse).forEach((p, k) => {
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: pendingIds[k] || `call_${i}_${k}`,
+                    content: JSON.stringify(p.functionResponse.response ?? {})
+                });
+            });
+            pendingIds = [];
+            return;
+        }
+
+        const calls = parts.filter(p => p.functionCall).map(p => p.functionCall);
+        if (c.role === 'model') {
+            pendingIds = calls.map((_, k) => `call_${i}_${k}`);
+            messages.push({
+                role: 'assistant',
+                content: text || null,
+                ...(calls.length ? {
+                    tool_calls: calls.map((fc, k) => ({
+                        id: pendingIds[k],
+                        type: 'function',
+                        function: { name: fc.name, arguments: JSON.stringify(fc.args ?? {}) }
+                    }))
+                } : {})
+            });
+            return;
+        }
+
+        messages.push({ role: 'user', content: text });
+    });
+    return messages;
+}
+
+function safeJson(s) {
+    try { return JSON.parse(s || '{}'); } catch { return {}; }
+}
+
+export function createOpenAIModel(options) {
+    const baseUrl = (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const apiKey = process.env.LLM_API_KEY || '';
+    const modelName = process.env.LLM_MODEL || 'gpt-4o-mini';
+
+    const declarations = (options.tools || []).flatMap(t => t.functionDeclarations || []);
+    const tools = declarations.map(d => ({
+        type: 'function',
+        function: { name: d.name, description: d.description, parameters: toJsonSchema(d.parameters) }
+    }));
+
+    const gen = options.generationConfig || {};
+
+    return {
+        async generateContent({ contents }) {
+            const body = {
+                model: modelName,
+                messages: toMessages(options.systemInstruction, contents),
+                ...(gen.temperature != null ? { temperature: gen.temperature } : {}),
+                ...(tools.length ? { tools, tool_choice: 'auto' } : {}),
+                ...(!tools.length && gen.responseMimeType === 'application/json'
+                    ? { response_format: { type: 'json_object' } } : {})
+            };
+
+            const r = await fetch(`${baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+                },
+                body: JSON.stringify(body)
+            });
+
+            const data = await r.json().catch(() => ({}));
+            if (!r.ok || data.error) {
+                throw new Error(`[llm-openai] ${r.status}: ${data?.error?.message || JSON.stringify(data)}`);
+            }
+
+            const msg = data.choices?.[0]?.message || {};
+            const parts = [];
+            if (msg.content) parts.push({ text: msg.content });
+            for (const tc of (msg.tool_calls || [])) {
+                parts.push({ functionCall: { name: tc.function?.name, args: safeJson(tc.function?.arguments) } });
+            }
+
+            return { response: { candidates: [{ content: { role: 'model', parts } }] } };
+        }
+    };
+}
@@ -0,0 +1,38 @@
+// libs/llm.js — fábrica de modelos (provider escolhido por config)
+// Interface comum: generateContent({ contents }) → { response: { candidates: [{ content: { parts } }] } }
+// no formato do Gemini; os providers convertem de/para o seu próprio formato.
+//   LLM_PROVIDER = vertex (padrão) | openai (OpenAI, Ollama, qualquer /v1 compatível) | fake
+//   LLM_RECORD   = arquivo .jsonl onde gravar as respostas (reproduzíveis com o fake)
+import fs from 'fs';
+import { createVertexModel } from './vertex.js';
+import { createOpenAIModel } from './llm-openai.js';
+import { createFakeModel } from './llm-fake.js';
+
+const PROVIDERS = {
+    vertex: (role, options) => createVertexModel(options),
+    openai: (role, options) => createOpenAIModel(options),
+    ollama: (role, options) => createOpenAIModel(options),
+    fake: (role) => createFakeModel(role)
+};
+
+function withRecording(model, role, file) {
+    return {
+        async generateContent(request) {
+            const r = await model.generateContent(request);
+            const parts = r.response?.candidates?.[0]?.content?.parts || [];
+            fs.appendFileSync(file, JSON.stringify({ model: role, parts }) + '\n');
+            return r;
+        }
+    };
+}
+
+// role: nome lógico do modelo ("chat", "normalizer") — usado pelo fake e na gravação
+// options: formato do Vertex (model, systemInstruction, tools, toolConfig, generationConfig)
+export function createModel(role, options) {
+    const name = String(process.env.LLM_PROVIDER || 'vertex').toLowerCase();
+    const factory = PROVIDERS[name];
+    if (!factory) throw new Error(`LLM_PROVIDER desconhecido: ${name}`);
+
+    const model = factory(role, options);
+    return process.env.LLM_RECORD ? withRecording(model, role, process.env.LLM_RECORD) : model;
+}
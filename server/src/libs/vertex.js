@@ -1,11 +1,25 @@
 import { VertexAI } from '@google-cloud/vertexai';
 
-export const vertexAI = new VertexAI({
-    project: process.env.GCLOUD_PROJECT,
-    location: process.env.VERTEX_LOCATION || 'southamerica-east1',
-});
+// Cliente criado sob demanda: sem credenciais do Google Cloud o resto do app
+// continua subindo (ex.: LLM_PROVIDER=fake)
+let vertexAI = null;
+function getVertexAI() {
+    if (!vertexAI) {
+        vertexAI = new VertexAI({
+            project: process.env.GCLOUD_PROJECT,
+            location: process.env.VERTEX_LOCATION || 'southamerica-east1',
+        });
+    }
+    return vertexAI;
+}
 
-export const normalizerModel = vertexAI.getGenerativeModel({
-    model: 'gemini-2.5-flash',
-    generationConfig: { temperature: 0, responseMimeType: 'application/json' }
-});
\ No newline at end of file
+// Provider Vertex: as opções e a resposta já estão no formato canônico (Gemini)
+export function createVertexModel(options) {
+    let model = null;
+    return {
+        async generateContent(request) {
+            model ??= getVertexAI().getGenerativeModel(options);
+            return model.generateContent(request);
+        }
+    };
+}
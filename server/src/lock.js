@@ -0,0 +1,33 @@
+// lock.js — locks distribuídos simples no Redis (SET NX PX + token do dono)
+import crypto from 'crypto';
+import { redis } from './redis.js';
+
+// Só o dono (mesmo token) pode liberar/renovar
+const RELEASE_LUA = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+const EXTEND_LUA = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+// Retorna o token do lock ou null se outro processo já é o dono
+export async function acquireLock(key, ttlMs) {
+  const token = crypto.randomUUID();
+  const ok = await redis.set(key, token, 'PX', ttlMs, 'NX');
+  return ok === 'OK' ? token : null;
+}
+
+export async function releaseLock(key, token) {
+  if (!token) return false;
+  return (await redis.eval(RELEASE_LUA, 1, key, token)) === 1;
+}
+
+export async function extendLock(key, token, ttlMs) {
+  if (!token) return false;
+  return (await redis.eval(EXTEND_LUA, 1, key, token, ttlMs)) === 1;
+}
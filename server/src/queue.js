@@ -0,0 +1,166 @@
+// queue.js — fila de jobs simples sobre Redis (ready / delayed / processing / dead)
+import crypto from 'crypto';
+import { redis } from './redis.js';
+
+const keyReady = (q) => `queue:${q}:ready`;          // LIST  (LPUSH → BRPOPLPUSH)
+const keyProcessing = (q) => `queue:${q}:processing`; // LIST  jobs em execução
+const keyLeases = (q) => `queue:${q}:leases`;         // HASH  jobId → expira em (ms)
+const keyDelayed = (q) => `queue:${q}:delayed`;       // ZSET  score = executar em (ms)
+const keyDead = (q) => `queue:${q}:dead`;             // LIST  dead-letter
+
+const DEAD_MAX_LEN = 1000;
+
+export async function enqueueJob(queue, payload, { delayMs = 0 } = {}) {
+  const job = { id: crypto.randomUUID(), payload, attempts: 0, enqueuedAt: Date.now() };
+  const raw = JSON.stringify(job);
+  if (delayMs > 0) await redis.zadd(keyDelayed(queue), Date.now() + delayMs, raw);
+  else await redis.lpush(keyReady(queue), raw);
+  return job.id;
+}
+
+export async function listDeadJobs(queue, limit = 50) {
+  const raws = await redis.lrange(keyDead(queue), 0, limit - 1);
+  return raws.map(r => { try { return JSON.parse(r); } catch { return null; } }).filter(Boolean);
+}
+
+function backoffMs(attempts, baseMs) {
+  const exp = Math.min(baseMs * 2 ** (attempts - 1), 5 * 60 * 1000); // teto 5 min
+  return Math.round(exp * (0.8 + Math.random() * 0.4));               // ±20% de jitter
+}
+
+// Executa um job já movido para "processing": sucesso, adiamento, retry ou dead-letter
+async function handleRaw(queue, raw, handler, { maxAttempts, baseBackoffMs, visibilityTimeoutMs, onDead }) {
+  let job;
+  try { job = JSON.parse(raw); } catch {
+    await redis.lrem(keyProcessing(queue), 1, raw);
+    return;
+  }
+
+  const attempt = (job.attempts || 0) + 1;
+  await redis.hset(keyLeases(queue), job.id, Date.now() + visibilityTimeoutMs);
+
+  try {
+    const result = await handler(job.payload, { attempt, maxAttempts, jobId: job.id });
+    if (result?.requeueInMs) {
+      await redis.zadd(keyDelayed(queue), Date.now() + result.requeueInMs, raw);
+    }
+  } catch (err) {
+    const failed = { ...job, attempts: attempt, lastError: String(err?.message || err) };
+
+    if (attempt < maxAttempts) {
+      const wait = backoffMs(attempt, baseBackoffMs);
+      console.warn(`[queue:${queue}] job ${job.id} falhou (tentativa ${attempt}/${maxAttempts}), retry em ${wait}ms:`, failed.lastError);
+      await redis.zadd(keyDelayed(queue), Date.now() + wait, JSON.stringify(failed));
+    } else {
+      console.error(`[queue:${queue}] job ${job.id} → dead-letter após ${attempt} tentativas:`, failed.lastError);
+      let details = null;
+      try { details = onDead ? await onDead(job.payload, err) : null; } catch (e) {
+        console.error(`[queue:${queue}] onDead falhou:`, e);
+      }
+      const dead = { ...failed, failedAt: new Date().toISOString(), ...(details ? { details } : {}) };
+      await redis.lpush(keyDead(queue), JSON.stringify(dead));
+      await redis.ltrim(keyDead(queue), 0, DEAD_MAX_LEN - 1);
+    }
+  } finally {
+    await redis.lrem(keyProcessing(queue), 1, raw);
+    await redis.hdel(keyLeases(queue), job.id);
+  }
+}
+
+const DEFAULT_OPTIONS = {
+  concurrency: 2,
+  maxAttempts: 5,
+  baseBackoffMs: 2000,
+  visibilityTimeoutMs: 5 * 60 * 1000,
+  onDead: null
+};
+
+/**
+ * Processa, sem bloquear, todos os jobs prontos da fila e retorna quantos rodaram.
+ * Útil em testes e em scripts de manutenção (não considera os jobs em "delayed").
+ */
+export async function drainQueue(queue, handler, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  let n = 0;
+  for (;;) {
+    const raw = await redis.rpoplpush(keyReady(queue), keyProcessing(queue));
+    if (!raw) return n;
+    await handleRaw(queue, raw, handler, opts);
+    n++;
+  }
+}
+
+/**
+ * Sobe `concurrency` workers consumindo a fila `queue`.
+ * - handler(payload, { attempt, maxAttempts, jobId }) — lançar erro = falha (retry com backoff)
+ * - handler pode retornar { requeueInMs } para adiar o job sem consumir tentativa (ex.: recurso ocupado)
+ * - após `maxAttempts` falhas o job vai para a dead-letter (`queue:<q>:dead`) e `onDead` é chamado
+ * - jobs presos em "processing" (processo morreu) voltam para a fila após `visibilityTimeoutMs`
+ */
+export function startQueueWorkers(queue, handler, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const { concurrency, visibilityTimeoutMs } = opts;
+  let running = true;
+  const conns = [];
+
+  async function workerLoop(n) {
+    // BRPOPLPUSH bloqueia a conexão → cada worker usa a sua
+    const conn = redis.duplicate();
+    conns.push(conn);
+    while (running) {
+      try {
+        const raw = await conn.brpoplpush(keyReady(queue), keyProcessing(queue), 5);
+        if (raw) await handleRaw(queue, raw, handler, opts);
+      } catch (e) {
+        if (!running) break;
+        console.error(`[queue:${queue}] worker ${n} erro:`, e?.message || e);
+        await new Promise(r => setTimeout(r, 1000));
+      }
+    }
+  }
+
+  // delayed → ready (ZREM garante que só uma instância move cada job)
+  async function promoteDelayed() {
+    const due = await redis.zrangebyscore(keyDelayed(queue), '-inf', Date.now(), 'LIMIT', 0, 100);
+    for (const raw of due) {
+      if (await redis.zrem(keyDelayed(queue), raw)) await redis.lpush(keyReady(queue), raw);
+    }
+  }
+
+  // processing com lease vencido → ready
+  async function reapStale() {
+    const raws = await redis.lrange(keyProcessing(queue), 0, -1);
+    const now = Date.now();
+    for (const raw of raws) {
+      let id;
+      try { id = JSON.parse(raw).id; } catch { continue; }
+      const lease = Number(await redis.hget(keyLeases(queue), id));
+      if (lease && lease > now) continue;
+      if (!lease) {
+        // sem lease: job acabou de sair da fila; marca e reavalia na próxima rodada
+        await redis.hsetnx(keyLeases(queue), id, now + visibilityTimeoutMs);
+        continue;
+      }
+      if (await redis.lrem(keyProcessing(queue), 1, raw)) {
+        await redis.hdel(keyLeases(queue), id);
+        await redis.lpush(keyReady(queue), raw);
+        console.warn(`[queue:${queue}] job ${id} recuperado de processing (lease vencido)`);
+      }
+    }
+  }
+
+  const promoteTimer = setInterval(() => promoteDelayed().catch(e => console.error(`[queue:${queue}] promote:`, e?.message || e)), 1000);
+  const reapTimer = setInterval(() => reapStale().catch(e => console.error(`[queue:${queue}] reap:`, e?.message || e)), 30000);
+
+  for (let i = 0; i < concurrency; i++) workerLoop(i + 1);
+  console.log(`🧵 Fila "${queue}": ${concurrency} worker(s) iniciados`);
+
+  return {
+    async stop() {
+      running = false;
+      clearInterval(promoteTimer);
+      clearInterval(reapTimer);
+      await Promise.all(conns.map(c => c.quit().catch(() => c.disconnect())));
+    }
+  };
+}
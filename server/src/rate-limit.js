@@ -0,0 +1,17 @@
+// rate-limit.js — contadores de tentativas com janela fixa no Redis (INCR + EXPIRE)
+import { redis } from './redis.js';
+
+// Registra uma tentativa e devolve o total na janela atual
+export async function countAttempt(key, windowSec) {
+  const n = await redis.incr(key);
+  if (n === 1) await redis.expire(key, windowSec);
+  return n;
+}
+
+export async function getAttempts(key) {
+  return Number(await redis.get(key)) || 0;
+}
+
+export async function resetAttempts(key) {
+  await redis.del(key);
+}
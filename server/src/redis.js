@@ -1,6 +1,15 @@
 // redis.js
 import Redis from 'ioredis';
 
-export const redis = new Redis(process.env.REDIS_URL);
+// REDIS_URL=memory → Redis em memória (ioredis-mock, só em dev/testes)
+async function createRedis() {
+    if (process.env.REDIS_URL === 'memory') {
+        const { default: RedisMock } = await import('ioredis-mock');
+        return new RedisMock();
+    }
+    return new Redis(process.env.REDIS_URL);
+}
+
+export const redis = await createRedis();
 // Dica: se quiser ver erros de conexão
 redis.on('error', (e) => console.error('[redis] error:', e.message));
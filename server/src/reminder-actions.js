@@ -0,0 +1,51 @@
+// reminder-actions.js — botões de resposta rápida do lembrete (Confirmar / Cancelar / Remarcar)
+// O template "appointment_reminder" tem 3 botões quick-reply, nessa ordem; cada um
+// volta no webhook com o payload "<AÇÃO>:<appointmentId>".
+import { confirmarAgendamentoDB, desmarcarAgendamentoDB } from './tools/llm-tools.js';
+
+const ACTIONS = ['CONFIRMAR', 'CANCELAR', 'REMARCAR'];
+const PAYLOAD_RE = /^(CONFIRMAR|CANCELAR|REMARCAR):([0-9a-f-]{36})$/i;
+
+// Payloads dos botões do lembrete de uma consulta (mesma ordem do template)
+export function reminderButtons(appointmentId) {
+  return ACTIONS.map(a => `${a}:${appointmentId}`);
+}
+
+export function parseReminderPayload(payload) {
+  const m = String(payload || '').trim().match(PAYLOAD_RE);
+  return m ? { action: m[1].toLowerCase(), appointmentId: m[2].toLowerCase() } : null;
+}
+
+/**
+ * Executa a ação do botão para o contato `ctx.waId`.
+ * - null           → payload não é de lembrete (segue o fluxo normal)
+ * - { text }       → resposta pronta (não passa pelo LLM)
+ * - { chatText }   → continua no LLM com este texto (remarcar, ou quando falta verificar o titular)
+ */
+export async function runReminderAction(payload, ctx = {}) {
+  const parsed = parseReminderPayload(payload);
+  if (!parsed) return null;
+  const { action, appointmentId } = parsed;
+
+  // Remarcar precisa escolher horário: conversa normal, já com o ID da consulta
+  if (action === 'remarcar') return { chatText: `Quero remarcar a consulta ${appointmentId}` };
+
+  const run = action === 'confirmar' ? confirmarAgendamentoDB : desmarcarAgendamentoDB;
+  const r = await run({ appointmentId }, { ...ctx, via: 'lembrete' });
+
+  if (r.needsVerification) {
+    // Outro número (ex.: familiar): o LLM conduz a verificação por CPF + nascimento
+    return { chatText: `Quero ${action} a consulta ${appointmentId}` };
+  }
+  if (!r.ok) return { text: r.message || 'Não consegui concluir agora. Pode tentar novamente?' };
+
+  return { text: actionReplyText(action, r) };
+}
+
+// Resposta ao paciente depois de confirmar/cancelar (r = retorno da tool, ok = true)
+export function actionReplyText(action, r) {
+  const quando = r.resumo?.dataLocal || 'sua consulta';
+  return action === 'confirmar'
+    ? `✅ Presença confirmada para ${quando}. Até lá!`
+    : `Consulta de ${quando} cancelada. Se quiser, posso te ajudar a remarcar.`;
+}
@@ -0,0 +1,163 @@
+// reminders.js — lembretes de consulta com vários offsets (ex.: 48h, 24h e 2h antes)
+//
+// A cada tick (REMINDER_CRON, padrão a cada 5 min) uma única instância (lock líder
+// no Redis) procura consultas ativas dentro do maior offset e envia o lembrete do
+// offset mais próximo que já venceu. Cada envio é registrado em reminders_sent
+// (appointment_id + offset): o registro é feito ANTES do envio e desfeito se o
+// envio falhar, então reinícios e instâncias duplicadas não mandam em dobro.
+// Catch-up: como o tick olha o que venceu e não foi enviado, o primeiro tick após
+// uma queda manda o lembrete atrasado (só o mais recente, não um por offset).
+import cron from 'node-cron';
+import { repos } from './repositories/index.js';
+import { acquireLock, releaseLock } from './lock.js';
+import { ACTIVE_STATUSES } from './appointment-status.js';
+import { reminderButtons } from './reminder-actions.js';
+
+const LEADER_LOCK_KEY = 'reminders:leader';
+const LEADER_LOCK_TTL_MS = 4 * 60 * 1000;
+
+const CLINIC_TZ = process.env.CLINIC_TZ || 'America/Sao_Paulo';
+
+// "48h,24h,2h" | "90m" | "2d" → minutos, do maior para o menor
+export function parseOffsets(spec) {
+  const UNIT_MIN = { m: 1, h: 60, d: 24 * 60 };
+  const offsets = String(spec || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase().match(/^(\d+)\s*([mhd])$/))
+    .filter(Boolean)
+    .map(([, n, u]) => Number(n) * UNIT_MIN[u])
+    .filter(n => n > 0);
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+const ms = (d) => new Date(d).getTime();
+
+/**
+ * Offset (min) a enviar agora para a consulta, ou null.
+ * - só conta offsets cujo horário já chegou e que venceram depois da criação do
+ *   agendamento (quem marca para daqui a 3h não recebe o de 48h)
+ * - manda só o mais próximo da consulta; se ele (ou um mais próximo) já foi, nada
+ */
+export function dueOffset(appt, offsets, sentOffsets, now = new Date()) {
+  const at = ms(appt.datetime);
+  if (at <= ms(now)) return null;
+
+  const createdAt = appt.created_at ? ms(appt.created_at) : -Infinity;
+  const due = offsets.filter(o => {
+    const dueAt = at - o * 60000;
+    return dueAt <= ms(now) && dueAt >= createdAt;
+  });
+  if (!due.length) return null;
+
+  const target = Math.min(...due);
+  if ([...sentOffsets].some(o => o <= target)) return null;
+  return target;
+}
+
+function formatWhen(iso) {
+  const dt = new Date(iso);
+  const data = dt.toLocaleDateString('pt-BR', { timeZone: CLINIC_TZ, day: '2-digit', month: '2-digit', year: 'numeric' });
+  const hora = dt.toLocaleTimeString('pt-BR', { timeZone: CLINIC_TZ, hour: '2-digit', minute: '2-digit', hour12: false });
+  return `${data} às ${hora}`;
+}
+
+export function createReminderScheduler({
+  sendWhatsAppTemplate,
+  appendHistory,
+  offsets = parseOffsets(process.env.REMINDER_OFFSETS || '24h,2h'),
+  schedule = process.env.REMINDER_CRON || '*/5 * * * *'
+}) {
+  const maxOffsetMin = Math.max(0, ...offsets);
+
+  async function sendOne(appt, offsetMin) {
+    const { data: claimed, error } = await repos.reminders.claim(appt.id, offsetMin);
+    if (error) throw new Error(`reminders.claim: ${error.message}`);
+    if (!claimed) return false; // outra instância já registrou
+
+    const dataConsulta = formatWhen(appt.datetime);
+    try {
+      await sendWhatsAppTemplate(appt.phone, 'appointment_reminder', [appt.name, dataConsulta], {
+        buttons: reminderButtons(appt.id)
+      });
+    } catch (e) {
+      await repos.reminders.unclaim(appt.id, offsetMin);
+      throw e;
+    }
+
+    // Vai para o fim do histórico do contato: se o paciente responder "confirmo", o
+    // modelo já tem o ID para chamar confirmarAgendamento. O template já saiu, então
+    // uma falha aqui não desfaz o registro do envio.
+    const preview = `🔔 [sistema] Lembrete enviado via template "appointment_reminder" para ${appt.name} — consulta em ${dataConsulta} (${CLINIC_TZ}). ID da consulta: ${appt.id}. Status: ${appt.status}.`;
+    try {
+      await appendHistory(appt.phone, [{ role: 'model', parts: [{ text: preview }] }]);
+    } catch (e) {
+      console.error(`❌ Lembrete ${appt.id}: falha ao gravar no histórico:`, e?.message || e);
+    }
+    return true;
+  }
+
+  // Uma rodada: devolve quantos lembretes saíram (null = outra instância é a líder)
+  async function tick(now = new Date()) {
+    if (!offsets.length) return 0;
+
+    const token = await acquireLock(LEADER_LOCK_KEY, LEADER_LOCK_TTL_MS);
+    if (!token) return null;
+
+    try {
+      const { data: appts, error } = await repos.appointments.listByStatusBetween({
+        statuses: ACTIVE_STATUSES,
+        from: now,
+        to: new Date(ms(now) + maxOffsetMin * 60000 + 1)
+      });
+      if (error) {
+        console.error('❌ Lembretes: erro ao buscar consultas:', error);
+        return 0;
+      }
+      if (!appts?.length) return 0;
+
+      const { data: sentRows, error: sErr } = await repos.reminders.listByAppointments(appts.map(a => a.id));
+      if (sErr) {
+        console.error('❌ Lembretes: erro ao buscar envios anteriores:', sErr);
+        return 0;
+      }
+      const sentBy = new Map();
+      for (const r of sentRows || []) {
+        if (!sentBy.has(r.appointment_id)) sentBy.set(r.appointment_id, new Set());
+        sentBy.get(r.appointment_id).add(Number(r.offset_min));
+      }
+
+      let sent = 0;
+      for (const appt of appts) {
+        const offsetMin = dueOffset(appt, offsets, sentBy.get(appt.id) || new Set(), now);
+        if (offsetMin == null) continue;
+        try {
+          if (await sendOne(appt, offsetMin)) {
+            sent++;
+            console.log(`🔔 Lembrete (${offsetMin} min antes) enviado: ${appt.id}`);
+          }
+        } catch (e) {
+          console.error(`❌ Lembrete ${appt.id} (${offsetMin} min) falhou:`, e?.message || e);
+        }
+      }
+      return sent;
+    } finally {
+      await releaseLock(LEADER_LOCK_KEY, token);
+    }
+  }
+
+  let task = null;
+  return {
+    tick,
+    start() {
+      task = cron.schedule(schedule, () => {
+        tick().catch(e => console.error('❌ Lembretes: tick falhou:', e?.message || e));
+      }, { timezone: CLINIC_TZ });
+      // catch-up imediato: cobre o que venceu enquanto o processo estava fora
+      tick().catch(e => console.error('❌ Lembretes: catch-up falhou:', e?.message || e));
+      console.log(`⏰ Lembretes: offsets ${offsets.map(o => `${o}min`).join(', ')} | cron "${schedule}"`);
+    },
+    stop() {
+      task?.stop();
+    }
+  };
+}
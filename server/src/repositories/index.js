@@ -0,0 +1,23 @@
+// repositories/index.js — acesso a dados (slots, appointments, médicos, especialidades)
+// STORAGE_BACKEND = supabase (padrão) | memory
+// As tools dependem só desta interface; o backend em memória permite testar a
+// lógica de agenda sem banco.
+import { createMemoryRepositories } from './memory.js';
+
+async function createDefaultRepositories() {
+  const backend = String(process.env.STORAGE_BACKEND || 'supabase').toLowerCase();
+  if (backend === 'memory') return createMemoryRepositories();
+  if (backend === 'supabase') {
+    // import tardio: o client do Supabase exige SUPABASE_URL já no import
+    const { createSupabaseRepositories } = await import('./supabase.js');
+    return createSupabaseRepositories();
+  }
+  throw new Error(`STORAGE_BACKEND desconhecido: ${backend}`);
+}
+
+export let repos = await createDefaultRepositories();
+
+// Troca o backend em tempo de execução (ex.: testes com seed próprio)
+export function setRepositories(next) {
+  repos = next;
+}
@@ -0,0 +1,478 @@
+// repositories/memory.js — backend em memória (testes / desenvolvimento sem banco)
+// Mesma interface e mesmo formato de retorno ({ data, error }) do backend Supabase.
+import crypto from 'crypto';
+
+const ms = (d) => new Date(d).getTime();
+const iso = (d) => new Date(d).toISOString();
+const ok = (data) => ({ data, error: null });
+const fail = (message) => ({ data: null, error: { message } });
+const clone = (x) => (x == null ? x : structuredClone(x));
+
+/* -------------------------------------------------------------------------- */
+/* Similaridade por trigramas (mesma regra do pg_trgm)                        */
+/* -------------------------------------------------------------------------- */
+const unaccent = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+function trigrams(s) {
+  const set = new Set();
+  const words = unaccent(s).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  for (const w of words) {
+    const padded = `  ${w} `;
+    for (let i = 0; i < padded.length - 2; i++) set.add(padded.slice(i, i + 3));
+  }
+  return set;
+}
+
+export function trigramSimilarity(a, b) {
+  const ta = trigrams(a);
+  const tb = trigrams(b);
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+// Remove honoríficos ("Dr.", "Dra.", "doutor(a)") antes de comparar
+const HONORIFIC_RE = /\b(dr|dra|doutor|doutora|dr\(a\))\b\.?/g;
+const cleanName = (s) => unaccent(s).toLowerCase().replace(HONORIFIC_RE, ' ').replace(/\s+/g, ' ').trim();
+
+/* -------------------------------------------------------------------------- */
+/* Repositórios                                                               */
+/* -------------------------------------------------------------------------- */
+// seed: { especialidades: [{ id, nome }], medicos: [{ id, nome, especialidade_id }],
+//         agenda_slots: [{ id, medico_id, datetime, duration_min, status }], appointments: [...],
+//         agenda_templates: [{ medico_id, weekdays, start_time, end_time, duration_min, breaks, valid_from, valid_to }],
+//         agenda_blocks: [{ medico_id, date_from, date_to, kind, reason }],
+//         safety_alerts: [{ channel, contact, kind, term, message, status }] }
+export function createMemoryRepositories(seed = {}) {
+  const tables = {
+    especialidades: clone(seed.especialidades || []),
+    medicos: clone(seed.medicos || []),
+    agenda_slots: clone(seed.agenda_slots || []).map(s => ({ status: 'livre', duration_min: 30, ...s, datetime: iso(s.datetime) })),
+    appointments: clone(seed.appointments || []),
+    appointment_status_history: clone(seed.appointment_status_history || []),
+    reminders_sent: clone(seed.reminders_sent || []),
+    waitlist: clone(seed.waitlist || []),
+    waitlist_offers: clone(seed.waitlist_offers || []),
+    agenda_templates: clone(seed.agenda_templates || []),
+    agenda_blocks: clone(seed.agenda_blocks || []),
+    safety_alerts: clone(seed.safety_alerts || [])
+  };
+  let nextSlotId = Math.max(0, ...tables.agenda_slots.map(s => Number(s.id) || 0)) + 1;
+
+  const medicoById = (id) => tables.medicos.find(m => String(m.id) === String(id)) || null;
+  const slotById = (id) => tables.agenda_slots.find(s => String(s.id) === String(id)) || null;
+  // Retenção vigente de outro contato (ver slot-holds.js)
+  const heldByOther = (s, holder, now) => !!s.held_by && ms(s.held_until) > ms(now) && s.held_by !== holder;
+  // Status que um bloqueio de agenda alcança (ver agenda-blocks.js)
+  const BLOCKABLE = ['livre', 'agendado', 'oferta'];
+  const slotRow = (s) => ({ id: s.id, medico_id: s.medico_id, datetime: s.datetime, status: s.status });
+  const withMedico = (s) => {
+    const m = medicoById(s.medico_id);
+    return { ...clone(s), medicos: m ? { id: m.id, nome: m.nome } : null };
+  };
+
+  const slots = {
+    async reserveById(id, { fromStatus = 'livre', holder = null, now = new Date() } = {}) {
+      const s = slotById(id);
+      if (!s || s.status !== fromStatus || heldByOther(s, holder, now)) return ok(null);
+      s.status = 'agendado';
+      s.held_by = null;
+      s.held_until = null;
+      return ok(slotRow(s));
+    },
+
+    async hold(id, { holder, until, now = new Date() }) {
+      const s = slotById(id);
+      if (!s || s.status !== 'livre' || heldByOther(s, holder, now)) return ok(null);
+      for (const other of tables.agenda_slots) {
+        if (other.held_by === holder && other !== s) other.held_by = other.held_until = null;
+      }
+      s.held_by = holder;
+      s.held_until = iso(until);
+      return ok({ id: s.id, held_until: s.held_until });
+    },
+
+    async clearExpiredHolds(now = new Date()) {
+      const expired = tables.agenda_slots.filter(s => s.held_by && ms(s.held_until) <= ms(now));
+      for (const s of expired) s.held_by = s.held_until = null;
+      return ok(expired.map(s => ({ id: s.id })));
+    },
+
+    async getById(id) {
+      const s = slotById(id);
+      return ok(s ? slotRow(s) : null);
+    },
+
+    async holdForOffer(id) {
+      const s = slotById(id);
+      if (!s || s.status !== 'livre') return ok(null);
+      s.status = 'oferta';
+      return ok(slotRow(s));
+    },
+
+    async findFreeAt({ datetime, medicoId = null, limit = 1, holder = null, now = new Date() }) {
+      const rows = tables.agenda_slots
+        .filter(s => s.status === 'livre' && ms(s.datetime) === ms(datetime) && !heldByOther(s, holder, now))
+        .filter(s => !medicoId || String(s.medico_id) === String(medicoId))
+        .sort((a, b) => Number(a.id) - Number(b.id))
+        .slice(0, limit)
+        .map(slotRow);
+      return ok(rows);
+    },
+
+    async release(id, { onlyIfStatus = null } = {}) {
+      const s = slotById(id);
+      if (s && (!onlyIfStatus || s.status === onlyIfStatus)) s.status = 'livre';
+      return ok(null);
+    },
+
+    async insertMissing(rows) {
+      const taken = new Set(tables.agenda_slots.map(s => `${s.medico_id}|${ms(s.datetime)}`));
+      const created = [];
+      for (const r of rows) {
+        const key = `${r.medico_id}|${ms(r.datetime)}`;
+        if (taken.has(key)) continue;
+        taken.add(key);
+        created.push({ id: addSlot({ medico_id: String(r.medico_id), datetime: r.datetime, duration_min: r.duration_min }).id });
+      }
+      return ok(created);
+    },
+
+    async listFree({ medicoIds, from, to = null, limit = null, holder = null, now = new Date() }) {
+      const ids = new Set(medicoIds.map(String));
+      let rows = tables.agenda_slots
+        .filter(s => s.status === 'livre' && ids.has(String(s.medico_id)) && !heldByOther(s, holder, now))
+        .filter(s => ms(s.datetime) >= ms(from) && (!to || ms(s.datetime) < ms(to)))
+        .sort((a, b) => ms(a.datetime) - ms(b.datetime));
+      if (limit) rows = rows.slice(0, limit);
+      return ok(rows.map(withMedico));
+    },
+
+    async blockBetween({ from, to, medicoId = null }) {
+      const rows = tables.agenda_slots
+        .filter(s => BLOCKABLE.includes(s.status) && ms(s.datetime) >= ms(from) && ms(s.datetime) < ms(to))
+        .filter(s => !medicoId || String(s.medico_id) === String(medicoId));
+      for (const s of rows) {
+        s.status = 'bloqueado';
+        s.held_by = s.held_until = null;
+      }
+      return ok(rows.map(slotRow));
+    }
+  };
+
+  const appointments = {
+    async insert(row) {
+      const created = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...clone(row), datetime: iso(row.datetime) };
+      tables.appointments.push(created);
+      return ok({ id: created.id, datetime: created.datetime });
+    },
+
+    async getById(id) {
+      const a = tables.appointments.find(x => x.id === id);
+      if (!a) return ok(null);
+      const { datetime, status, slot_id, medico_id, phone, cpf, birthdate } = a;
+      return ok({ id: a.id, datetime, status, slot_id, medico_id, phone, cpf, birthdate });
+    },
+
+    // Mesmo contrato do RPC transicionar_status_agendamento
+    async transitionStatus(id, { from, to, actor, reason = null }) {
+      const a = tables.appointments.find(x => x.id === id);
+      if (!a || a.status !== from) return fail('TRANSICAO_CONFLITO');
+
+      a.status = to;
+      tables.appointment_status_history.push({
+        appointment_id: id, from_status: from, to_status: to, actor, reason, created_at: new Date().toISOString()
+      });
+
+      if (to === 'cancelado' && a.slot_id != null) {
+        const s = slotById(a.slot_id);
+        if (s && s.status === 'agendado') s.status = 'livre';
+      }
+
+      return ok({ id: a.id, status: a.status, previous_status: from, slot_id: a.slot_id ?? null, datetime: a.datetime });
+    },
+
+    async listStatusHistory(id) {
+      return ok(tables.appointment_status_history
+        .filter(h => h.appointment_id === id)
+        .map(({ appointment_id, ...h }) => clone(h)));
+    },
+
+    // Mesmas regras e códigos de erro do RPC remarcar_agendamento
+    async reschedule(id, newSlotId) {
+      const a = tables.appointments.find(x => x.id === id);
+      if (!a) return fail('AGENDAMENTO_NAO_ENCONTRADO');
+      if (a.status === 'cancelado') return fail('AGENDAMENTO_CANCELADO');
+      if (String(a.slot_id) === String(newSlotId)) return fail('MESMO_HORARIO');
+
+      const next = slotById(newSlotId);
+      if (!next || next.status !== 'agendado') return fail('SLOT_NAO_RESERVADO');
+
+      const prev = { datetime: a.datetime, slotId: a.slot_id ?? null };
+      a.datetime = next.datetime;
+      a.slot_id = next.id;
+      a.medico_id = next.medico_id;
+      a.meta = {
+        ...(a.meta || {}),
+        remarcacoes: [
+          ...(a.meta?.remarcacoes || []),
+          { datetime_anterior: prev.datetime, slot_anterior: prev.slotId, remarcado_em: new Date().toISOString() }
+        ]
+      };
+
+      const old = prev.slotId != null ? slotById(prev.slotId) : null;
+      if (old && old.status === 'agendado') old.status = 'livre';
+
+      return ok({
+        id: a.id,
+        datetime: a.datetime,
+        slot_id: a.slot_id,
+        medico_id: a.medico_id,
+        previous_datetime: prev.datetime,
+        previous_slot_id: prev.slotId
+      });
+    },
+
+    async listUpcomingByPhone(phone, { statuses, from, limit = 10 }) {
+      const rows = tables.appointments
+        .filter(a => a.phone === phone && statuses.includes(a.status) && ms(a.datetime) >= ms(from))
+        .sort((a, b) => ms(a.datetime) - ms(b.datetime))
+        .slice(0, limit)
+        .map(a => ({ id: a.id, datetime: a.datetime, status: a.status, specialty: a.specialty ?? null, medico_id: a.medico_id ?? null }));
+      return ok(rows);
+    },
+
+    async listByStatusBetween({ statuses, from, to }) {
+      const rows = tables.appointments
+        .filter(a => statuses.includes(a.status) && ms(a.datetime) >= ms(from) && ms(a.datetime) < ms(to))
+        .map(a => ({ id: a.id, datetime: a.datetime, phone: a.phone, name: a.name, status: a.status, created_at: a.created_at ?? null }));
+      return ok(rows);
+    },
+
+    async listBySlots(slotIds, { statuses }) {
+      const ids = new Set(slotIds.map(String));
+      const rows = tables.appointments
+        .filter(a => a.slot_id != null && ids.has(String(a.slot_id)) && statuses.includes(a.status))
+        .map(a => ({ id: a.id, datetime: a.datetime, phone: a.phone, name: a.name, status: a.status, slot_id: a.slot_id, medico_id: a.medico_id ?? null }));
+      return ok(rows);
+    },
+
+    async getFullById(id) {
+      return ok(clone(tables.appointments.find(x => x.id === id) || null));
+    }
+  };
+
+  const doctors = {
+    // Equivalente JS do RPC search_medicos_v2: similaridade de trigramas do nome
+    // completo (sim) e do nome sem honoríficos (sim_clean), mais match por substring
+    async search(q, lim) {
+      const qClean = cleanName(q);
+      const rows = tables.medicos
+        .map(m => ({
+          id: m.id,
+          nome: m.nome,
+          especialidade_id: m.especialidade_id ?? null,
+          sim: trigramSimilarity(m.nome, q),
+          sim_clean: trigramSimilarity(cleanName(m.nome), qClean),
+          contains: !!qClean && cleanName(m.nome).includes(qClean)
+        }))
+        .filter(r => r.contains || Math.max(r.sim, r.sim_clean) >= 0.2)
+        .sort((a, b) => (Math.max(b.sim, b.sim_clean) - Math.max(a.sim, a.sim_clean)) || a.nome.localeCompare(b.nome))
+        .slice(0, lim)
+        .map(({ contains, ...r }) => r);
+      return ok(rows);
+    },
+
+    async listByIds(ids) {
+      const set = new Set(ids.map(String));
+      return ok(tables.medicos
+        .filter(m => set.has(String(m.id)))
+        .map(m => ({ id: m.id, nome: m.nome, especialidade_id: m.especialidade_id ?? null })));
+    },
+
+    async listBySpecialty(especialidadeIds, { limit = null } = {}) {
+      const ids = new Set(especialidadeIds.map(String));
+      let rows = tables.medicos
+        .filter(m => ids.has(String(m.especialidade_id)))
+        .sort((a, b) => a.nome.localeCompare(b.nome))
+        .map(m => ({ id: m.id, nome: m.nome, especialidade_id: m.especialidade_id ?? null }));
+      if (limit) rows = rows.slice(0, limit);
+      return ok(rows);
+    }
+  };
+
+  const specialties = {
+    async list() {
+      const rows = [...tables.especialidades]
+        .sort((a, b) => a.nome.localeCompare(b.nome))
+        .map(e => ({ id: e.id, nome: e.nome }));
+      return ok(rows);
+    },
+
+    async findByName(term) {
+      const t = String(term || '').toLowerCase();
+      return ok(tables.especialidades
+        .filter(e => String(e.nome).toLowerCase().includes(t))
+        .map(e => ({ id: e.id, nome: e.nome })));
+    }
+  };
+
+  const reminders = {
+    async claim(appointmentId, offsetMin) {
+      const exists = tables.reminders_sent.some(r => r.appointment_id === appointmentId && r.offset_min === offsetMin);
+      if (exists) return ok(null);
+      tables.reminders_sent.push({ appointment_id: appointmentId, offset_min: offsetMin, sent_at: new Date().toISOString() });
+      return ok({ appointment_id: appointmentId, offset_min: offsetMin });
+    },
+
+    async unclaim(appointmentId, offsetMin) {
+      tables.reminders_sent = tables.reminders_sent.filter(r => !(r.appointment_id === appointmentId && r.offset_min === offsetMin));
+      return ok(null);
+    },
+
+    async listByAppointments(appointmentIds) {
+      const ids = new Set(appointmentIds);
+      return ok(tables.reminders_sent.filter(r => ids.has(r.appointment_id)).map(clone));
+    }
+  };
+
+  const waitlistEntry = (id) => tables.waitlist.find(w => w.id === id) || null;
+  const offerById = (id) => tables.waitlist_offers.find(o => o.id === id) || null;
+
+  const waitlist = {
+    async insert(row) {
+      const created = { id: crypto.randomUUID(), status: 'aguardando', created_at: new Date().toISOString(), ...clone(row) };
+      tables.waitlist.push(created);
+      return ok({ id: created.id, date_from: created.date_from, date_to: created.date_to });
+    },
+
+    async getById(id) {
+      const w = waitlistEntry(id);
+      if (!w) return ok(null);
+      const { appointment_id, created_at, ...entry } = w;
+      return ok(clone(entry));
+    },
+
+    async listWaiting({ medicoId, especialidadeId = null, day }) {
+      const rows = tables.waitlist
+        .filter(w => w.status === 'aguardando' && w.date_from <= day && w.date_to >= day)
+        .filter(w => (w.medico_id != null
+          ? String(w.medico_id) === String(medicoId)
+          : especialidadeId != null && String(w.especialidade_id) === String(especialidadeId)))
+        .sort((a, b) => ms(a.created_at) - ms(b.created_at))
+        .map(w => ({ id: w.id, name: w.name, phone: w.phone, medico_id: w.medico_id ?? null, especialidade_id: w.especialidade_id ?? null, created_at: w.created_at }));
+      return ok(rows);
+    },
+
+    async setStatus(id, { from, to, appointmentId = null }) {
+      const w = waitlistEntry(id);
+      if (!w || w.status !== from) return ok(null);
+      w.status = to;
+      if (appointmentId) w.appointment_id = appointmentId;
+      return ok({ id: w.id, status: w.status });
+    },
+
+    async createOffer({ entryId, slotId, expiresAt }) {
+      const taken = tables.waitlist_offers.some(o =>
+        String(o.slot_id) === String(slotId) && (o.entry_id === entryId || o.status === 'pendente'));
+      if (taken) return ok(null);
+      const row = { id: crypto.randomUUID(), entry_id: entryId, slot_id: slotId, status: 'pendente', expires_at: iso(expiresAt), created_at: new Date().toISOString() };
+      tables.waitlist_offers.push(row);
+      return ok({ id: row.id, entry_id: row.entry_id, slot_id: row.slot_id, status: row.status, expires_at: row.expires_at });
+    },
+
+    async getOffer(id) {
+      const o = offerById(id);
+      return ok(o ? { id: o.id, entry_id: o.entry_id, slot_id: o.slot_id, status: o.status, expires_at: o.expires_at } : null);
+    },
+
+    async resolveOffer(id, to, { validAt = null } = {}) {
+      const o = offerById(id);
+      if (!o || o.status !== 'pendente') return ok(null);
+      if (validAt && ms(o.expires_at) <= ms(validAt)) return ok(null);
+      o.status = to;
+      return ok({ id: o.id, entry_id: o.entry_id, slot_id: o.slot_id, status: o.status });
+    },
+
+    async listOffersByEntries(entryIds) {
+      const ids = new Set(entryIds);
+      return ok(tables.waitlist_offers
+        .filter(o => ids.has(o.entry_id))
+        .map(o => ({ entry_id: o.entry_id, slot_id: o.slot_id, status: o.status })));
+    },
+
+    async listExpiredOffers(now) {
+      return ok(tables.waitlist_offers
+        .filter(o => o.status === 'pendente' && ms(o.expires_at) <= ms(now))
+        .map(o => ({ id: o.id, entry_id: o.entry_id, slot_id: o.slot_id })));
+    },
+
+    // Slots em "oferta" sem oferta pendente (a rodada parou no meio); data = ids
+    async listStrandedOfferSlots() {
+      const pending = new Set(tables.waitlist_offers.filter(o => o.status === 'pendente').map(o => String(o.slot_id)));
+      return ok(tables.agenda_slots
+        .filter(s => s.status === 'oferta' && !pending.has(String(s.id)))
+        .map(s => s.id));
+    }
+  };
+
+  const agendaTemplates = {
+    async listActive() {
+      return ok(tables.agenda_templates.filter(t => t.active !== false).map(clone));
+    }
+  };
+
+  const agendaBlocks = {
+    async insert(row) {
+      const created = { id: tables.agenda_blocks.length + 1, medico_id: null, reason: null, created_at: new Date().toISOString(), ...clone(row) };
+      tables.agenda_blocks.push(created);
+      return ok(clone(created));
+    },
+
+    async listOverlapping({ fromYMD, toYMD }) {
+      return ok(tables.agenda_blocks
+        .filter(b => String(b.date_from) <= toYMD && String(b.date_to) >= fromYMD)
+        .map(clone));
+    }
+  };
+
+  const safetyAlerts = {
+    async insert(row) {
+      const created = { id: crypto.randomUUID(), status: 'aberto', handled_by: null, handled_at: null, created_at: new Date().toISOString(), ...clone(row) };
+      tables.safety_alerts.push(created);
+      return ok(clone(created));
+    },
+
+    // Alerta ainda aberto do mesmo contato e tipo (ou null)
+    async findOpen({ channel, contact, kind }) {
+      const a = tables.safety_alerts.find(x =>
+        x.status === 'aberto' && x.channel === channel && x.contact === contact && x.kind === kind);
+      return ok(a ? clone(a) : null);
+    },
+
+    async listOpen() {
+      return ok(tables.safety_alerts
+        .filter(a => a.status === 'aberto')
+        .sort((a, b) => ms(a.created_at) - ms(b.created_at))
+        .map(clone));
+    },
+
+    // aberto → atendido; data = null se não existe ou já foi atendido
+    async resolve(id, { handledBy = null, now = new Date() } = {}) {
+      const a = tables.safety_alerts.find(x => x.id === id);
+      if (!a || a.status !== 'aberto') return ok(null);
+      Object.assign(a, { status: 'atendido', handled_by: handledBy, handled_at: iso(now) });
+      return ok(clone(a));
+    }
+  };
+
+  // helpers só do backend em memória (seed em testes / dev)
+  function addSlot(slot) {
+    const row = { id: nextSlotId++, status: 'livre', duration_min: 30, ...slot, datetime: iso(slot.datetime) };
+    tables.agenda_slots.push(row);
+    return row;
+  }
+
+  return { backend: 'memory', tables, addSlot, slots, appointments, doctors, specialties, reminders, waitlist, agendaTemplates, agendaBlocks, safetyAlerts };
+}
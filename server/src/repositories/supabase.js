@@ -0,0 +1,429 @@
+// repositories/supabase.js — backend Supabase (Postgres) dos repositórios
+// Todos os métodos devolvem { data, error }, como o client do Supabase.
+import { supabase } from '../supabase.js';
+
+const SLOT_COLS = 'id, medico_id, datetime, duration_min, status, medicos ( id, nome )';
+
+const iso = (d) => (d instanceof Date ? d.toISOString() : d);
+
+// Filtro: slot sem retenção vigente de OUTRO contato (held_by/held_until, ver slot-holds.js)
+const notHeldByOthers = (q, holder, now) => q.or([
+  'held_until.is.null',
+  `held_until.lte."${iso(now)}"`,
+  ...(holder ? [`held_by.eq."${holder}"`] : [])
+].join(','));
+
+export function createSupabaseRepositories() {
+  const slots = {
+    // Reserva condicional (livre → agendado); data = slot ou null se não estava livre
+    // ou está retido por outro contato. A retenção de `holder` vira a reserva.
+    // fromStatus: 'oferta' quando quem reserva é o paciente da lista de espera.
+    async reserveById(id, { fromStatus = 'livre', holder = null, now = new Date() } = {}) {
+      const q = supabase
+        .from('agenda_slots')
+        .update({ status: 'agendado', held_by: null, held_until: null })
+        .eq('id', Number(id))
+        .eq('status', fromStatus);
+      return notHeldByOthers(q, holder, now)
+        .select('id, medico_id, datetime, status')
+        .maybeSingle();
+    },
+
+    // Retém o slot livre para `holder` até `until` (e solta o que ele retinha antes)
+    async hold(id, { holder, until, now = new Date() }) {
+      const q = supabase
+        .from('agenda_slots')
+        .update({ held_by: holder, held_until: iso(until) })
+        .eq('id', Number(id))
+        .eq('status', 'livre');
+      const r = await notHeldByOthers(q, holder, now).select('id, held_until').maybeSingle();
+      if (r.error || !r.data) return r;
+
+      await supabase
+        .from('agenda_slots')
+        .update({ held_by: null, held_until: null })
+        .eq('held_by', holder)
+        .neq('id', Number(id));
+      return r;
+    },
+
+    async clearExpiredHolds(now = new Date()) {
+      return supabase
+        .from('agenda_slots')
+        .update({ held_by: null, held_until: null })
+        .not('held_by', 'is', null)
+        .lte('held_until', iso(now))
+        .select('id');
+    },
+
+    async getById(id) {
+      return supabase
+        .from('agenda_slots')
+        .select('id, medico_id, datetime, status')
+        .eq('id', Number(id))
+        .maybeSingle();
+    },
+
+    // Segura o slot para uma oferta da lista de espera (livre → oferta)
+    async holdForOffer(id) {
+      return supabase
+        .from('agenda_slots')
+        .update({ status: 'oferta' })
+        .eq('id', Number(id))
+        .eq('status', 'livre')
+        .select('id, medico_id, datetime, status')
+        .maybeSingle();
+    },
+
+    async findFreeAt({ datetime, medicoId = null, limit = 1, holder = null, now = new Date() }) {
+      let q = supabase
+        .from('agenda_slots')
+        .select('id, medico_id, datetime, status')
+        .eq('datetime', iso(datetime))
+        .eq('status', 'livre')
+        .order('id', { ascending: true });
+      if (medicoId) q = q.eq('medico_id', String(medicoId));
+      return notHeldByOthers(q, holder, now).limit(limit);
+    },
+
+    // Volta o slot para "livre"; com onlyIfStatus só altera se estiver nesse status
+    async release(id, { onlyIfStatus = null } = {}) {
+      let q = supabase.from('agenda_slots').update({ status: 'livre' }).eq('id', id);
+      if (onlyIfStatus) q = q.eq('status', onlyIfStatus);
+      return q;
+    },
+
+    // Cria os slots que ainda não existem (médico + horário); os existentes, livres ou
+    // ocupados, ficam como estão. data = slots criados.
+    async insertMissing(rows) {
+      return supabase
+        .from('agenda_slots')
+        .upsert(
+          rows.map(r => ({ medico_id: String(r.medico_id), datetime: iso(r.datetime), duration_min: r.duration_min, status: 'livre' })),
+          { onConflict: 'medico_id,datetime', ignoreDuplicates: true }
+        )
+        .select('id');
+    },
+
+    // Slots livres dos médicos em [from, to), ordenados por data (sem os retidos por
+    // outros contatos; os do próprio `holder` aparecem)
+    async listFree({ medicoIds, from, to = null, limit = null, holder = null, now = new Date() }) {
+      let q = supabase
+        .from('agenda_slots')
+        .select(SLOT_COLS)
+        .in('medico_id', medicoIds.map(String))
+        .gte('datetime', iso(from))
+        .eq('status', 'livre')
+        .order('datetime', { ascending: true });
+      q = notHeldByOthers(q, holder, now);
+      if (to) q = q.lt('datetime', iso(to));
+      if (limit) q = q.limit(limit);
+      return q;
+    },
+
+    // Dia fechado: livre/agendado/oferta → bloqueado (solta retenções); data = slots bloqueados agora
+    async blockBetween({ from, to, medicoId = null }) {
+      let q = supabase
+        .from('agenda_slots')
+        .update({ status: 'bloqueado', held_by: null, held_until: null })
+        .in('status', ['livre', 'agendado', 'oferta'])
+        .gte('datetime', iso(from))
+        .lt('datetime', iso(to));
+      if (medicoId) q = q.eq('medico_id', String(medicoId));
+      return q.select('id, medico_id, datetime, status');
+    }
+  };
+
+  const appointments = {
+    async insert(row) {
+      return supabase.from('appointments').insert(row).select('id, datetime').single();
+    },
+
+    async getById(id) {
+      return supabase
+        .from('appointments')
+        .select('id, datetime, status, slot_id, medico_id, phone, cpf, birthdate')
+        .eq('id', id)
+        .maybeSingle();
+    },
+
+    // Compare-and-set do status + histórico (+ libera o slot ao cancelar) — uma transação
+    // (supabase/migrations/*_appointment_status_history.sql). Só chamar via appointment-status.js.
+    async transitionStatus(id, { from, to, actor, reason = null }) {
+      return supabase.rpc('transicionar_status_agendamento', {
+        p_appointment_id: id, p_from: from, p_to: to, p_actor: actor, p_reason: reason
+      });
+    },
+
+    async listStatusHistory(id) {
+      return supabase
+        .from('appointment_status_history')
+        .select('from_status, to_status, actor, reason, created_at')
+        .eq('appointment_id', id)
+        .order('created_at', { ascending: true });
+    },
+
+    // Move o agendamento para o slot novo (já reservado) e libera o antigo — uma transação
+    // (supabase/migrations/*_remarcar_agendamento.sql). Erros vêm como códigos em error.message.
+    async reschedule(id, newSlotId) {
+      return supabase.rpc('remarcar_agendamento', { p_appointment_id: id, p_new_slot_id: Number(newSlotId) });
+    },
+
+    // Próximas consultas de um telefone (E.164 sem '+'), da mais próxima para a mais distante
+    async listUpcomingByPhone(phone, { statuses, from, limit = 10 }) {
+      return supabase
+        .from('appointments')
+        .select('id, datetime, status, specialty, medico_id')
+        .eq('phone', phone)
+        .in('status', statuses)
+        .gte('datetime', iso(from))
+        .order('datetime', { ascending: true })
+        .limit(limit);
+    },
+
+    async listByStatusBetween({ statuses, from, to }) {
+      return supabase
+        .from('appointments')
+        .select('id, datetime, phone, name, status, created_at')
+        .in('status', statuses)
+        .gte('datetime', iso(from))
+        .lt('datetime', iso(to));
+    },
+
+    async listBySlots(slotIds, { statuses }) {
+      return supabase
+        .from('appointments')
+        .select('id, datetime, phone, name, status, slot_id, medico_id')
+        .in('slot_id', slotIds)
+        .in('status', statuses);
+    },
+
+    // Linha completa (dados do paciente), para recriar a consulta em outro horário
+    async getFullById(id) {
+      return supabase.from('appointments').select('*').eq('id', id).maybeSingle();
+    }
+  };
+
+  const doctors = {
+    // Busca fuzzy (pg_trgm) → [{ id, nome, especialidade_id, sim, sim_clean }]
+    async search(q, lim) {
+      return supabase.rpc('search_medicos_v2', { q, lim });
+    },
+
+    async listByIds(ids) {
+      return supabase.from('medicos').select('id, nome, especialidade_id').in('id', ids.map(String));
+    },
+
+    async listBySpecialty(especialidadeIds, { limit = null } = {}) {
+      let q = supabase
+        .from('medicos')
+        .select('id, nome, especialidade_id')
+        .in('especialidade_id', especialidadeIds)
+        .order('nome', { ascending: true });
+      if (limit) q = q.limit(limit);
+      return q;
+    }
+  };
+
+  const specialties = {
+    async list() {
+      return supabase.from('especialidades').select('id, nome').order('nome', { ascending: true });
+    },
+
+    async findByName(term) {
+      return supabase.from('especialidades').select('id, nome').ilike('nome', `%${term}%`);
+    }
+  };
+
+  const reminders = {
+    // Registra o envio (consulta + offset); data = null se já havia registro
+    async claim(appointmentId, offsetMin) {
+      const r = await supabase
+        .from('reminders_sent')
+        .insert({ appointment_id: appointmentId, offset_min: offsetMin })
+        .select('appointment_id, offset_min')
+        .maybeSingle();
+      if (r.error?.code === '23505') return { data: null, error: null }; // unique_violation
+      return r;
+    },
+
+    async unclaim(appointmentId, offsetMin) {
+      return supabase.from('reminders_sent').delete().eq('appointment_id', appointmentId).eq('offset_min', offsetMin);
+    },
+
+    async listByAppointments(appointmentIds) {
+      return supabase
+        .from('reminders_sent')
+        .select('appointment_id, offset_min, sent_at')
+        .in('appointment_id', appointmentIds);
+    }
+  };
+
+  const waitlist = {
+    async insert(row) {
+      return supabase.from('waitlist').insert(row).select('id, date_from, date_to').single();
+    },
+
+    async getById(id) {
+      return supabase
+        .from('waitlist')
+        .select('id, name, cpf, birthdate, phone, email, region, reason, specialty, medico_id, especialidade_id, date_from, date_to, status')
+        .eq('id', id)
+        .maybeSingle();
+    },
+
+    // Entradas aguardando que aceitam o médico (ou a especialidade dele) no dia `day`,
+    // por ordem de chegada
+    async listWaiting({ medicoId, especialidadeId = null, day }) {
+      const match = especialidadeId != null
+        ? `medico_id.eq.${medicoId},and(medico_id.is.null,especialidade_id.eq.${especialidadeId})`
+        : `medico_id.eq.${medicoId}`;
+      return supabase
+        .from('waitlist')
+        .select('id, name, phone, medico_id, especialidade_id, created_at')
+        .eq('status', 'aguardando')
+        .lte('date_from', day)
+        .gte('date_to', day)
+        .or(match)
+        .order('created_at', { ascending: true });
+    },
+
+    // Compare-and-set do status da entrada
+    async setStatus(id, { from, to, appointmentId = null }) {
+      return supabase
+        .from('waitlist')
+        .update({ status: to, ...(appointmentId ? { appointment_id: appointmentId } : {}) })
+        .eq('id', id)
+        .eq('status', from)
+        .select('id, status')
+        .maybeSingle();
+    },
+
+    // data = null se o slot já tem oferta pendente ou já foi oferecido a essa entrada
+    async createOffer({ entryId, slotId, expiresAt }) {
+      const r = await supabase
+        .from('waitlist_offers')
+        .insert({ entry_id: entryId, slot_id: Number(slotId), expires_at: iso(expiresAt) })
+        .select('id, entry_id, slot_id, status, expires_at')
+        .maybeSingle();
+      if (r.error?.code === '23505') return { data: null, error: null }; // unique_violation
+      return r;
+    },
+
+    async getOffer(id) {
+      return supabase
+        .from('waitlist_offers')
+        .select('id, entry_id, slot_id, status, expires_at')
+        .eq('id', id)
+        .maybeSingle();
+    },
+
+    // pendente → `to`; com validAt só resolve se a oferta ainda não venceu nesse instante
+    async resolveOffer(id, to, { validAt = null } = {}) {
+      let q = supabase
+        .from('waitlist_offers')
+        .update({ status: to })
+        .eq('id', id)
+        .eq('status', 'pendente');
+      if (validAt) q = q.gt('expires_at', iso(validAt));
+      return q.select('id, entry_id, slot_id, status').maybeSingle();
+    },
+
+    async listOffersByEntries(entryIds) {
+      return supabase
+        .from('waitlist_offers')
+        .select('entry_id, slot_id, status')
+        .in('entry_id', entryIds);
+    },
+
+    async listExpiredOffers(now) {
+      return supabase
+        .from('waitlist_offers')
+        .select('id, entry_id, slot_id')
+        .eq('status', 'pendente')
+        .lte('expires_at', iso(now));
+    },
+
+    // Slots em "oferta" sem oferta pendente (a rodada parou no meio); data = ids
+    async listStrandedOfferSlots() {
+      const slots = await supabase.from('agenda_slots').select('id').eq('status', 'oferta');
+      if (slots.error || !slots.data?.length) return { data: [], error: slots.error };
+
+      const ids = slots.data.map(s => s.id);
+      const offers = await supabase
+        .from('waitlist_offers')
+        .select('slot_id')
+        .eq('status', 'pendente')
+        .in('slot_id', ids);
+      if (offers.error) return { data: null, error: offers.error };
+
+      const pending = new Set(offers.data.map(o => String(o.slot_id)));
+      return { data: ids.filter(id => !pending.has(String(id))), error: null };
+    }
+  };
+
+  const agendaTemplates = {
+    async listActive() {
+      return supabase
+        .from('agenda_templates')
+        .select('id, medico_id, weekdays, start_time, end_time, duration_min, breaks, valid_from, valid_to')
+        .eq('active', true);
+    }
+  };
+
+  const agendaBlocks = {
+    async insert(row) {
+      return supabase.from('agenda_blocks').insert(row).select('*').single();
+    },
+
+    // Bloqueios que tocam [fromYMD, toYMD] (datas inclusive)
+    async listOverlapping({ fromYMD, toYMD }) {
+      return supabase
+        .from('agenda_blocks')
+        .select('id, medico_id, date_from, date_to, kind, reason')
+        .lte('date_from', toYMD)
+        .gte('date_to', fromYMD);
+    }
+  };
+
+  const safetyAlerts = {
+    async insert(row) {
+      return supabase.from('safety_alerts').insert(row).select('*').single();
+    },
+
+    // Alerta ainda aberto do mesmo contato e tipo (ou null)
+    async findOpen({ channel, contact, kind }) {
+      return supabase
+        .from('safety_alerts')
+        .select('*')
+        .eq('status', 'aberto')
+        .eq('channel', channel)
+        .eq('contact', contact)
+        .eq('kind', kind)
+        .order('created_at', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+    },
+
+    async listOpen() {
+      return supabase
+        .from('safety_alerts')
+        .select('*')
+        .eq('status', 'aberto')
+        .order('created_at', { ascending: true });
+    },
+
+    // aberto → atendido; data = null se não existe ou já foi atendido
+    async resolve(id, { handledBy = null, now = new Date() } = {}) {
+      return supabase
+        .from('safety_alerts')
+        .update({ status: 'atendido', handled_by: handledBy, handled_at: iso(now) })
+        .eq('id', id)
+        .eq('status', 'aberto')
+        .select('*')
+        .maybeSingle();
+    }
+  };
+
+  return { backend: 'supabase', slots, appointments, doctors, specialties, reminders, waitlist, agendaTemplates, agendaBlocks, safetyAlerts };
+}
@@ -0,0 +1,46 @@
+// safety.js — guarda de emergência antes do modelo
+//
+// Toda mensagem do paciente passa pelo léxico de helpers/red-flags.js antes do LLM,
+// no início do runChatTurn (chat web e WhatsApp). Com sinal de
+// alerta, a orientação fixa (192 / CVV 188) sai na hora — mesmo se o modelo estiver
+// fora do ar — e a conversa fica sinalizada para a equipe em safety_alerts. Enquanto o
+// alerta estiver aberto, novas mensagens de alerta do mesmo tipo não abrem outro.
+import { repos } from './repositories/index.js';
+import { detectRedFlag, SAFETY_MESSAGES } from './helpers/red-flags.js';
+
+const MAX_STORED_MESSAGE = 1000;
+
+const contactOf = (ctx = {}) => ctx.waId || ctx.sessionId || 'anon';
+
+/**
+ * Confere a mensagem; com sinal de alerta, registra o alerta e devolve a resposta.
+ * - null               → nada encontrado (segue o fluxo normal)
+ * - { kind, text }     → responda `text` ao paciente, sem passar pelo modelo
+ * Falha ao gravar o alerta não impede a orientação ao paciente.
+ */
+export async function checkSafety(message, ctx = {}) {
+  const flag = detectRedFlag(message);
+  if (!flag) return null;
+
+  const channel = ctx.channel === 'whatsapp' ? 'whatsapp' : 'web';
+  const contact = contactOf(ctx);
+  console.warn(`🚨 Alerta de segurança (${flag.kind}: "${flag.term}") | ${channel}:${contact}`);
+
+  try {
+    const { data: open } = await repos.safetyAlerts.findOpen({ channel, contact, kind: flag.kind });
+    if (!open) {
+      const { error } = await repos.safetyAlerts.insert({
+        channel,
+        contact,
+        kind: flag.kind,
+        term: flag.term,
+        message: String(message).slice(0, MAX_STORED_MESSAGE)
+      });
+      if (error) console.error('❌ Alerta de segurança: falha ao gravar:', error);
+    }
+  } catch (e) {
+    console.error('❌ Alerta de segurança: falha ao gravar:', e?.message || e);
+  }
+
+  return { kind: flag.kind, text: SAFETY_MESSAGES[flag.kind] };
+}
@@ -0,0 +1,21 @@
+// scripts/generate-slots.js — gera agenda_slots a partir dos modelos de agenda
+// Uso: npm run slots:generate -- [--weeks 12]
+import 'dotenv/config';
+import { generateSlots } from '../slot-generator.js';
+
+const arg = process.argv.indexOf('--weeks');
+const weeks = arg > -1 ? Number(process.argv[arg + 1]) : Number(process.env.SLOT_GEN_WEEKS || 8);
+
+if (!(weeks > 0)) {
+    console.error('Uso: npm run slots:generate -- [--weeks N]');
+    process.exit(1);
+}
+
+try {
+    const r = await generateSlots({ weeks });
+    console.log(`✅ ${r.created} slot(s) criados (${r.candidates} horário(s) previstos em ${weeks} semana(s))`);
+    process.exit(0);
+} catch (e) {
+    console.error('❌ Falha ao gerar slots:', e?.message || e);
+    process.exit(1);
+}
@@ -1,11 +1,23 @@
 // session.js
 import { redis } from './redis.js';
+import { acquireLock, releaseLock } from './lock.js';
 
 const SESSION_TTL_SEC = 26 * 60 * 60;  // 26h (cobre janela de 24h do WhatsApp)
 const IDEMP_TTL_SEC = 36 * 60 * 60;  // 36h (evita reprocessar mesma msg)
 
+const WEB_SESSION_TTL_SEC = 2 * 60 * 60;  // 2h (chat web é efêmero)
+
 const keyHistory = (phone) => `wa:ctx:${phone}`;
 const keySeen = (msgId) => `wa:seen:${msgId}`;
+const keyWebHistory = (sessionId) => `web:ctx:${sessionId}`;
+const keyInbox = (phone) => `wa:inbox:${phone}`;
+
+// Lock do contato: o turno do WhatsApp (processador da caixa de entrada) e quem mais
+// escreve no histórico do paciente (lembretes, lista de espera, bloqueios de agenda)
+export const keyContactLock = (phone) => `wa:lock:${phone}`;
+export const CONTACT_LOCK_TTL_MS = 120 * 1000;   // > duração de um turno (LLM + tools); renovado a cada lote
+const APPEND_LOCK_TTL_MS = 10 * 1000;
+const APPEND_RETRY_MS = 250;
 
 export async function getHistory(phone) {
   const raw = await redis.get(keyHistory(phone));
@@ -17,12 +29,71 @@ export async function saveHistory(phone, history) {
   await redis.set(keyHistory(phone), JSON.stringify(history), 'EX', SESSION_TTL_SEC);
 }
 
+/**
+ * Acrescenta entradas ao fim do histórico sob o lock do contato, para não atropelar
+ * um turno em andamento (que lê o histórico no início e grava no fim).
+ * Espera o lock até `waitMs` (por padrão, o TTL do lock de um turno); depois disso, lança.
+ */
+export async function appendHistory(phone, entries, { waitMs = CONTACT_LOCK_TTL_MS } = {}) {
+  const lockKey = keyContactLock(phone);
+  const deadline = Date.now() + waitMs;
+  let token;
+  while (!(token = await acquireLock(lockKey, APPEND_LOCK_TTL_MS))) {
+    if (Date.now() >= deadline) throw new Error(`appendHistory: contato ${phone} ocupado`);
+    await new Promise(r => setTimeout(r, APPEND_RETRY_MS));
+  }
+  try {
+    const history = await getHistory(phone);
+    await saveHistory(phone, [...history, ...entries]);
+  } finally {
+    await releaseLock(lockKey, token);
+  }
+}
+
+// ===== Caixa de entrada por contato (mensagens aguardando o turno, em ordem) =====
+export async function pushInbox(phone, item) {
+  await redis.rpush(keyInbox(phone), JSON.stringify(item));
+  await redis.expire(keyInbox(phone), SESSION_TTL_SEC);
+}
+
+export async function peekInbox(phone, max = 10) {
+  const raws = await redis.lrange(keyInbox(phone), 0, max - 1);
+  return raws.map(r => { try { return JSON.parse(r); } catch { return null; } }).filter(Boolean);
+}
+
+// Remove as `count` primeiras (já processadas)
+export async function ackInbox(phone, count) {
+  if (count > 0) await redis.ltrim(keyInbox(phone), count, -1);
+}
+
+// ===== Sessões do chat web (histórico fica no servidor, nunca no cliente) =====
+export async function webSessionExists(sessionId) {
+  if (!sessionId) return false;
+  return (await redis.exists(keyWebHistory(sessionId))) === 1;
+}
+
+export async function getWebHistory(sessionId) {
+  const raw = await redis.get(keyWebHistory(sessionId));
+  if (!raw) return [];
+  try { return JSON.parse(raw); } catch { return []; }
+}
+
+export async function saveWebHistory(sessionId, history) {
+  await redis.set(keyWebHistory(sessionId), JSON.stringify(history), 'EX', WEB_SESSION_TTL_SEC);
+}
+
 export async function alreadyProcessed(messageId) {
   if (!messageId) return false;
   const ok = await redis.set(keySeen(messageId), '1', 'NX', 'EX', IDEMP_TTL_SEC);
   return ok === null; // null => já existia => duplicada
 }
 
+// Desfaz a marca de idempotência (ex.: não conseguimos enfileirar → Meta vai reenviar)
+export async function forgetProcessed(messageId) {
+  if (!messageId) return;
+  await redis.del(keySeen(messageId));
+}
+
 
 
 const keyLastSlotsAny = (phone) => `wa:lastslots:any:${phone}`;
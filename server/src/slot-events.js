@@ -0,0 +1,11 @@
+// slot-events.js — aviso de que um slot voltou a ficar livre (cancelamento, remarcação)
+// Quem libera emite; quem se interessa (ex.: lista de espera) escuta. Os ouvintes
+// rodam fora do fluxo de quem liberou: erro lá não desfaz o cancelamento.
+import { EventEmitter } from 'events';
+
+export const slotEvents = new EventEmitter();
+
+export function emitSlotFreed(slotId, reason = null) {
+  if (slotId == null) return;
+  slotEvents.emit('freed', { slotId, reason });
+}
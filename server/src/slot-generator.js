@@ -0,0 +1,134 @@
+// slot-generator.js — materializa agenda_slots a partir dos modelos de agenda dos médicos
+//
+// Modelo (agenda_templates): dias da semana, expediente local (start_time–end_time),
+// duração de cada consulta, intervalos (breaks) e vigência (valid_from–valid_to).
+// Para cada dia local da janela [hoje, hoje + N semanas) e cada modelo vigente
+// naquele dia, gera os horários em sequência e converte para UTC com
+// utcFromTZComponents (o horário de verão fica certo dia a dia).
+// Idempotente: só insere o que ainda não existe (médico + horário); slots já
+// existentes — livres, retidos ou agendados — não são tocados. Dias bloqueados
+// (feriados, ausências do médico: agenda-blocks.js) não ganham slots.
+import cron from 'node-cron';
+import { repos } from './repositories/index.js';
+import { utcFromTZComponents } from './helpers/datetime.js';
+import { acquireLock, releaseLock } from './lock.js';
+import { loadBlocks, blockFor } from './agenda-blocks.js';
+
+const CLINIC_TZ = process.env.CLINIC_TZ || 'America/Sao_Paulo';
+
+const LEADER_LOCK_KEY = 'slot-generator:leader';
+const LEADER_LOCK_TTL_MS = 10 * 60 * 1000;
+
+// "09:00" | "09:00:00" → minutos desde 00:00
+function toMinutes(hhmm) {
+  const m = String(hhmm || '').match(/^(\d{1,2}):(\d{2})/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+function addDaysYMD(ymd, n) {
+  const [y, M, d] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(y, M - 1, d + n)).toISOString().slice(0, 10);
+}
+
+const weekdayOf = (ymd) => {
+  const [y, M, d] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(y, M - 1, d)).getUTCDay();
+};
+
+/**
+ * Horários de um modelo em [fromYMD, toYMD) (dias locais em `tz`).
+ * Retorna [{ medico_id, datetime (ISO UTC), duration_min }]; um slot é gerado só
+ * se cabe inteiro no expediente e não encosta em nenhum intervalo.
+ * isClosed(medicoId, ymd) (opcional): true = dia fechado para o médico.
+ */
+export function expandTemplate(template, { fromYMD, toYMD, tz = CLINIC_TZ, isClosed = null }) {
+  const start = toMinutes(template.start_time);
+  const end = toMinutes(template.end_time);
+  const duration = Number(template.duration_min || 30);
+  if (start == null || end == null || !(duration > 0) || start >= end) return [];
+
+  const weekdays = new Set((template.weekdays || []).map(Number));
+  const breaks = (template.breaks || [])
+    .map(b => ({ start: toMinutes(b.start), end: toMinutes(b.end) }))
+    .filter(b => b.start != null && b.end != null && b.start < b.end);
+
+  const rows = [];
+  for (let day = fromYMD; day < toYMD; day = addDaysYMD(day, 1)) {
+    if (!weekdays.has(weekdayOf(day))) continue;
+    if (template.valid_from && day < String(template.valid_from).slice(0, 10)) continue;
+    if (template.valid_to && day > String(template.valid_to).slice(0, 10)) continue;
+    if (isClosed?.(template.medico_id, day)) continue;
+
+    const [y, M, d] = day.split('-').map(Number);
+    for (let t = start; t + duration <= end; t += duration) {
+      if (breaks.some(b => t < b.end && t + duration > b.start)) continue;
+      rows.push({
+        medico_id: template.medico_id,
+        datetime: utcFromTZComponents(tz, y, M, d, Math.floor(t / 60), t % 60).toISOString(),
+        duration_min: duration
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Gera os slots das próximas `weeks` semanas para todos os modelos ativos.
+ * Retorna { templates, candidates, created }.
+ */
+export async function generateSlots({ weeks = 8, now = new Date(), tz = CLINIC_TZ } = {}) {
+  const { data: templates, error } = await repos.agendaTemplates.listActive();
+  if (error) throw new Error(`agendaTemplates.listActive: ${error.message}`);
+
+  const today = new Intl.DateTimeFormat('en-CA', {
+    timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).format(now);
+  const toYMD = addDaysYMD(today, weeks * 7);
+  const blocks = await loadBlocks({ fromYMD: today, toYMD: addDaysYMD(toYMD, -1) });
+  const range = { fromYMD: today, toYMD, tz, isClosed: (medicoId, day) => !!blockFor(blocks, medicoId, day) };
+
+  // Modelos sobrepostos do mesmo médico geram o mesmo horário uma vez só
+  const byKey = new Map();
+  for (const tpl of templates || []) {
+    for (const row of expandTemplate(tpl, range)) {
+      if (new Date(row.datetime) <= now) continue;
+      byKey.set(`${row.medico_id}|${row.datetime}`, row);
+    }
+  }
+  const candidates = [...byKey.values()];
+
+  let created = 0;
+  const BATCH = 500;
+  for (let i = 0; i < candidates.length; i += BATCH) {
+    const { data, error: insErr } = await repos.slots.insertMissing(candidates.slice(i, i + BATCH));
+    if (insErr) throw new Error(`slots.insertMissing: ${insErr.message}`);
+    created += data?.length || 0;
+  }
+
+  console.log(`🗓️ Gerador de agenda: ${templates?.length || 0} modelo(s), ${candidates.length} horário(s) até ${range.toYMD}, ${created} novo(s)`);
+  return { templates: templates?.length || 0, candidates: candidates.length, created };
+}
+
+// Job diário (uma instância por vez, lock líder no Redis)
+export function startSlotGenerator({
+  weeks = Number(process.env.SLOT_GEN_WEEKS || 8),
+  schedule = process.env.SLOT_GEN_CRON || '15 3 * * *'
+} = {}) {
+  async function run() {
+    const token = await acquireLock(LEADER_LOCK_KEY, LEADER_LOCK_TTL_MS);
+    if (!token) return null;
+    try {
+      return await generateSlots({ weeks });
+    } finally {
+      await releaseLock(LEADER_LOCK_KEY, token);
+    }
+  }
+
+  const task = cron.schedule(schedule, () => {
+    run().catch(e => console.error('❌ Gerador de agenda falhou:', e?.message || e));
+  }, { timezone: CLINIC_TZ });
+  // na subida também: garante a janela mesmo após dias fora do ar
+  run().catch(e => console.error('❌ Gerador de agenda falhou:', e?.message || e));
+
+  return { run, stop: () => task.stop() };
+}
@@ -0,0 +1,58 @@
+// slot-holds.js — retenção temporária do horário escolhido
+//
+// Quando o paciente escolhe um horário da lista ("2" → SELECAO_NUMERICA), o slot
+// fica retido para aquele contato por SLOT_HOLD_MIN minutos enquanto ele informa
+// CPF, nascimento, e-mail... Nesse meio tempo o slot some das listas dos outros
+// contatos e só quem reteve consegue reservá-lo (_reservarSlot converte a
+// retenção em agendamento). Cada contato retém um slot por vez.
+// A retenção vale pelo horário (held_until): vencida, é ignorada mesmo antes do
+// sweeper limpar as colunas.
+import cron from 'node-cron';
+import { repos } from './repositories/index.js';
+
+export const SLOT_HOLD_MIN = Number(process.env.SLOT_HOLD_MIN || 10);
+
+// Identidade do contato dono da retenção (null = sem identidade → não retém)
+export const holderOf = (ctx = {}) =>
+  ctx.waId ? `wa:${ctx.waId}` : ctx.sessionId ? `web:${ctx.sessionId}` : null;
+
+/**
+ * Retém o slot para o contato de `ctx`.
+ * - { ok: true, heldUntil }        → retido (ou sem identidade para reter: heldUntil = null)
+ * - { ok: false }                  → já não está livre ou outro contato o reteve
+ */
+export async function holdSlot(slotId, ctx = {}, { now = new Date(), minutes = SLOT_HOLD_MIN } = {}) {
+  const holder = holderOf(ctx);
+  if (!holder || slotId == null) return { ok: true, heldUntil: null };
+
+  const until = new Date(now.getTime() + minutes * 60000);
+  const { data, error } = await repos.slots.hold(slotId, { holder, until, now });
+  if (error) {
+    // Falha técnica não impede a conversa: a reserva final ainda é condicional
+    console.error(`[holdSlot] slot ${slotId}:`, error);
+    return { ok: true, heldUntil: null };
+  }
+  if (!data) return { ok: false };
+
+  console.log(`📌 Slot ${slotId} retido para ${holder} até ${until.toISOString()}`);
+  return { ok: true, heldUntil: until.toISOString() };
+}
+
+export async function releaseExpiredHolds(now = new Date()) {
+  const { data, error } = await repos.slots.clearExpiredHolds(now);
+  if (error) {
+    console.error('❌ Retenções: erro ao limpar vencidas:', error);
+    return 0;
+  }
+  return data?.length || 0;
+}
+
+// Limpeza periódica das retenções vencidas (housekeeping: a validade já é pelo horário)
+export function startHoldSweeper({ schedule = '* * * * *' } = {}) {
+  const task = cron.schedule(schedule, () => {
+    releaseExpiredHolds()
+      .then(n => { if (n) console.log(`📌 ${n} retenção(ões) de slot vencida(s) liberada(s)`); })
+      .catch(e => console.error('❌ Retenções: sweeper falhou:', e?.message || e));
+  });
+  return { stop: () => task.stop() };
+}
@@ -1,6 +1,6 @@
 // tools/llm-tools.js
 import { z, ZodError } from 'zod';
-import { supabase } from '../supabase.js';
+import { repos } from '../repositories/index.js';
 import {
   nextDayRangeUTC,
   dayRangeUTCFromYYYYMMDD
@@ -15,6 +15,18 @@ import {
   normalizeDateTimeToUTC,
   normalizeBirthDate,
 } from '../helpers/ai-normalize.js';
+import { countAttempt, getAttempts } from '../rate-limit.js';
+import {
+  STATUS,
+  ACTIVE_STATUSES,
+  canTransition,
+  isActiveStatus,
+  transitionAppointment,
+  StatusTransitionError
+} from '../appointment-status.js';
+import { emitSlotFreed } from '../slot-events.js';
+import { holderOf } from '../slot-holds.js';
+import { parseSlotFilter, slotMatcher } from '../helpers/slot-filters.js';
 
 const CLINIC_TZ = process.env.CLINIC_TZ || 'America/Sao_Paulo';
 
@@ -25,7 +37,7 @@ export async function validarDataHora(args) {
   const tz = CLINIC_TZ;
   const raw = String(args?.dataText ?? '').trim();
 
-  const norm = await normalizeDateTimeToUTC(raw, tz); // { isoUTC, hasTime, ymdLocal }
+  const norm = await normalizeDateTimeToUTC(raw, tz); // { isoUTC, hasTime, ymdLocal, periodo }
   if (!norm) {
     return {
       ok: false,
@@ -33,18 +45,20 @@ export async function validarDataHora(args) {
     };
   }
 
-  const { isoUTC, hasTime, ymdLocal } = norm;
+  const { isoUTC, hasTime, ymdLocal, periodo } = norm;
 
   // compara por DIA local (sem hora)
   const todayYMD = new Intl.DateTimeFormat('en-CA', {
     timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
   }).format(new Date());
 
-  if (hasTime === false) {
-    // Só data: aceitar HOJE ou futuro
+  if (hasTime === false || periodo) {
+    // Só data (ou data + período): aceitar HOJE ou futuro
     if (ymdLocal < todayYMD) {
       return { ok: false, message: 'A data deve ser hoje ou no futuro. Informe um dia válido.' };
     }
+    // Período (manhã/tarde/noite): a hora é só uma referência, não um horário exato
+    if (periodo) return { ok: true, isoUTC, ymdLocal, hasTime: true, periodo };
     return { ok: true, isoUTC: null, ymdLocal, hasTime: false };
   }
 
@@ -68,19 +82,15 @@ export async function validarDataHora(args) {
 /* -------------------------------------------------------------------------- */
 /* helpers internos                                                            */
 /* -------------------------------------------------------------------------- */
-async function _reservarSlot({ slotId, isoUTC, medicoId }) {
+// holder: contato que está reservando (slot-holds.js) — a retenção dele vira a reserva;
+// slots retidos por outros contatos ficam de fora
+async function _reservarSlot({ slotId, isoUTC, medicoId, holder = null }) {
   try {
     if (slotId) {
       const idNum = Number(slotId);
-      const { data: upd, error: upErr, status } = await supabase
-        .from('agenda_slots')
-        .update({ status: 'agendado' })
-        .eq('id', idNum)
-        .eq('status', 'livre')
-        .select('id, medico_id, datetime, status')
-        .maybeSingle();
+      const { data: upd, error: upErr } = await repos.slots.reserveById(idNum, { holder });
 
-      console.log('[reservarSlot] try reserve by id:', { slotId: idNum, status, upErr, upd });
+      console.log('[reservarSlot] try reserve by id:', { slotId: idNum, upErr, upd });
 
       if (upErr) {
         console.error('[reservarSlot] update error:', upErr);
@@ -93,17 +103,13 @@ async function _reservarSlot({ slotId, isoUTC, medicoId }) {
     }
 
     // Sem slotId: tenta localizar um slot livre pelo datetime + médico
-    let q = supabase
-      .from('agenda_slots')
-      .select('id, medico_id, datetime, status')
-      .eq('datetime', isoUTC)
-      .eq('status', 'livre')
-      .order('id', { ascending: true });
-
-    if (medicoId) q = q.eq('medico_id', String(medicoId));
-
     // Se não veio medicoId, buscamos 2 para detectar ambiguidade; com medicoId, 1 já basta
-    const { data: found, error: fErr } = await q.limit(medicoId ? 1 : 2);
+    const { data: found, error: fErr } = await repos.slots.findFreeAt({
+      datetime: isoUTC,
+      medicoId,
+      limit: medicoId ? 1 : 2,
+      holder
+    });
 
     if (fErr) return { ok: false, message: 'Erro ao verificar disponibilidade.' };
     if (!found?.length) return { ok: false, message: 'Horário indisponível.' };
@@ -119,13 +125,7 @@ async function _reservarSlot({ slotId, isoUTC, medicoId }) {
     const candidate = found[0];
 
     // Tenta reservar efetivamente (condicional ao status ainda estar "livre")
-    const { data: locked, error: uErr } = await supabase
-      .from('agenda_slots')
-      .update({ status: 'agendado' })
-      .eq('id', candidate.id)
-      .eq('status', 'livre')
-      .select('id, medico_id, datetime')
-      .single();
+    const { data: locked, error: uErr } = await repos.slots.reserveById(candidate.id, { holder });
 
     if (uErr || !locked) {
       return { ok: false, message: 'Horário indisponível.' };
@@ -210,20 +210,14 @@ async function _resolveEspecialidadeIds({ especialidadeId, especialidadeNome })
   const normalized = normalizeEspecialidadeTerm(original);
 
   // 1) tenta com o termo original
-  let { data, error } = await supabase
-    .from('especialidades')
-    .select('id, nome')
-    .ilike('nome', `%${original}%`);
+  let { data, error } = await repos.specialties.findByName(original);
 
   if (error) return [];
   let ids = (data || []).map(r => r.id);
 
   // 2) se não achou, tenta com o termo normalizado (ex.: cardiologista → cardiologia)
   if (!ids.length && normalized && normalized !== original) {
-    const r2 = await supabase
-      .from('especialidades')
-      .select('id, nome')
-      .ilike('nome', `%${normalized}%`);
+    const r2 = await repos.specialties.findByName(normalized);
     if (!r2.error) ids = (r2.data || []).map(r => r.id);
   }
 
@@ -235,25 +229,31 @@ async function _resolveEspecialidadeIds({ especialidadeId, especialidadeNome })
 /* -------------------------------------------------------------------------- */
 /* criarAgendamentoDB                                                         */
 /* -------------------------------------------------------------------------- */
-export const criarAgendamentoDB = async (payload) => {
-  const schema = z.object({
-    nome: z.string().min(3, 'Informe o nome completo'),
-    cpf: z.string().min(11, 'CPF obrigatório'),
-    nascimento: z.string().min(6, 'Data de nascimento obrigatória'),
-    especialidade: z.string().min(2, 'Especialidade obrigatória'),
-    regiao: z.string().min(2, 'Região obrigatória'),
-    telefone: z.string().min(8, 'Telefone obrigatório'),
-    email: z.string().email('E-mail inválido'),
-    motivo: z.string().max(500).optional(),
-    dataISO: z.string().min(5, 'Data/hora da consulta obrigatória'),
-    slotId: z.string().optional(),
-    medicoId: z.string().optional()
-  });
-
+// IDs chegam do modelo como string ou número (slots são numéricos no banco)
+const zId = () => z.union([z.string(), z.number()]);
+
+const criarAgendamentoSchema = z.object({
+  nome: z.string().min(3, 'Informe o nome completo'),
+  cpf: z.string().min(11, 'CPF obrigatório'),
+  nascimento: z.string().min(6, 'Data de nascimento obrigatória'),
+  especialidade: z.string().min(2, 'Especialidade obrigatória'),
+  regiao: z.string().min(2, 'Região obrigatória'),
+  telefone: z.string().min(8, 'Telefone obrigatório'),
+  email: z.string().email('E-mail inválido'),
+  motivo: z.string().max(500).optional(),
+  dataISO: z.string().min(5, 'Data/hora da consulta obrigatória'),
+  slotId: zId().optional().describe('ID do slot em agenda_slots (recomendado quando o paciente escolhe um horário listado)'),
+  medicoId: zId().optional().describe('ID do médico (ajuda a localizar o slot quando não vier slotId)'),
+  previa: z.boolean().optional().describe('true = só valida os dados e devolve o resumo, sem gravar (use antes do "Posso confirmar?")')
+});
+
+// previa: true → valida tudo e devolve o resumo normalizado sem reservar nem gravar; a
+// confirmação do paciente ("sim") repete a mesma chamada sem "previa" (fast-path do chat)
+export const criarAgendamentoDB = async (payload, ctx = {}) => {
   let reservedSlot = null;
 
   try {
-    const data = schema.parse(payload);
+    const data = criarAgendamentoSchema.parse(payload);
 
     // CPF
     const cpfNum = String(data.cpf).replace(/\D/g, '');
@@ -280,21 +280,29 @@ export const criarAgendamentoDB = async (payload) => {
     }
 
     // 🔸 Data/hora desejada → usar o novo normalizador (objeto)
-    const norm = await normalizeDateTimeToUTC(data.dataISO, CLINIC_TZ); // { isoUTC, hasTime, ymdLocal }
+    const norm = await normalizeDateTimeToUTC(data.dataISO, CLINIC_TZ); // { isoUTC, hasTime, ymdLocal, periodo }
     if (!norm) {
       return { ok: false, message: 'Data/hora da consulta inválida. Use 25/08/2025 18:00 ou "25 de agosto de 2025 às 18:00".' };
     }
 
-    const { isoUTC, hasTime } = norm;
+    const { isoUTC, hasTime, periodo } = norm;
 
-    // 🔒 Agendamento exige HORA explícita
-    if (hasTime === false || !isoUTC) {
+    // 🔒 Agendamento exige HORA explícita (só "de manhã"/"à tarde" não basta)
+    if (hasTime === false || !isoUTC || periodo) {
       return { ok: false, message: 'Para confirmar o agendamento, preciso da HORA (ex.: 14:00). Pode me informar?' };
     }
 
+    if (data.previa) {
+      const { previa, ...rest } = data;
+      return {
+        ok: true,
+        previa: true,
+        resumo: { ...rest, cpf: cpfNum, nascimento: birthISO, telefone: waPhone, email: emailNorm, dataISO: isoUTC }
+      };
+    }
 
     // 1) RESERVA do slot (livre -> agendado)
-    const res = await _reservarSlot({ slotId: data.slotId, isoUTC, medicoId: data.medicoId });
+    const res = await _reservarSlot({ slotId: data.slotId, isoUTC, medicoId: data.medicoId, holder: holderOf(ctx) });
     if (!res.ok) return res;
     reservedSlot = res.slot; // { id, medico_id, datetime }
 
@@ -317,21 +325,13 @@ export const criarAgendamentoDB = async (payload) => {
       meta: null
     };
 
-    const { data: created, error } = await supabase
-      .from('appointments')
-      .insert(insertRow)
-      .select('id, datetime')
-      .single();
+    const { data: created, error } = await repos.appointments.insert(insertRow);
 
     if (error) {
       console.error('[appointments.insert] error:', error, '| payload:', insertRow);
       // rollback
       try {
-        await supabase
-          .from('agenda_slots')
-          .update({ status: 'livre' })
-          .eq('id', reservedSlot.id)
-          .eq('status', 'agendado');
+        await repos.slots.release(reservedSlot.id, { onlyIfStatus: 'agendado' });
       } catch (rollbackErr) {
         console.error('[criarAgendamentoDB] rollback falhou:', rollbackErr);
       }
@@ -358,11 +358,7 @@ export const criarAgendamentoDB = async (payload) => {
     // rollback se reservou e estourou exceção
     if (reservedSlot?.id) {
       try {
-        await supabase
-          .from('agenda_slots')
-          .update({ status: 'livre' })
-          .eq('id', reservedSlot.id)
-          .eq('status', 'agendado');
+        await repos.slots.release(reservedSlot.id, { onlyIfStatus: 'agendado' });
       } catch (rbErr) {
         console.error('[criarAgendamentoDB] rollback pós-exception falhou:', rbErr);
       }
@@ -380,10 +376,7 @@ export const criarAgendamentoDB = async (payload) => {
 /* -------------------------------------------------------------------------- */
 export async function listarEspecialidadesDB() {
   try {
-    const { data, error } = await supabase
-      .from('especialidades')
-      .select('nome')
-      .order('nome', { ascending: true });
+    const { data, error } = await repos.specialties.list();
 
     if (error) return { ok: false, message: 'Erro ao buscar especialidades.' };
 
@@ -412,7 +405,7 @@ export async function listarMedicosDB(args = {}) {
       return { ok: true, medicos: [], needBusca: true, message: 'Envie parte do nome do médico (ex.: "Ana", "Mendes").' };
     }
 
-    const { data, error } = await supabase.rpc('search_medicos_v2', { q: busca, lim: pageSize + 1 });
+    const { data, error } = await repos.doctors.search(busca, pageSize + 1);
     if (error) return { ok: false, message: 'Erro ao buscar médicos.' };
 
     const hasMore = (data?.length || 0) > pageSize;
@@ -479,13 +472,7 @@ export async function listarMedicosPorEspecialidadeDB(args = {}) {
     const espIds = await _resolveEspecialidadeIds(args);
     if (!espIds.length) return { ok: true, medicos: [] };
 
-    // Se seu schema for N:N, troque por join na tabela ponte
-    const { data, error } = await supabase
-      .from('medicos')
-      .select('id, nome, especialidade_id')
-      .in('especialidade_id', espIds)
-      .order('nome', { ascending: true })
-      .limit(limite);
+    const { data, error } = await repos.doctors.listBySpecialty(espIds, { limit: limite });
 
     if (error) return { ok: false, message: 'Erro ao buscar médicos da especialidade.' };
 
@@ -500,13 +487,16 @@ export async function listarMedicosPorEspecialidadeDB(args = {}) {
 /* -------------------------------------------------------------------------- */
 /* listarHorariosMedicoDB                                                     */
 /* -------------------------------------------------------------------------- */
-export async function listarHorariosMedicoDB(args = {}) {
+export async function listarHorariosMedicoDB(args = {}, ctx = {}) {
   try {
     const tz = CLINIC_TZ;
     const limite = Math.min(Number(args.limite || 12), 100);
 
     if (!args.medicoId) return { ok: false, message: 'medicoId é obrigatório.' };
 
+    const { filtro, error: filtroErr } = parseSlotFilter(args);
+    if (filtroErr) return { ok: false, message: filtroErr };
+
     // intervalo (padrão = amanhã)
     let startUTC, endUTC;
     if (args.dia && /^\d{4}-\d{2}-\d{2}$/.test(args.dia)) {
@@ -516,35 +506,34 @@ export async function listarHorariosMedicoDB(args = {}) {
       startUTC = r.start; endUTC = r.end;
     }
 
-    let q = supabase
-      .from('agenda_slots')
-      .select('id, medico_id, datetime, duration_min, status, medicos ( id, nome )')
-      .eq('medico_id', String(args.medicoId))
-      .gte('datetime', startUTC.toISOString())
-      .lt('datetime', endUTC.toISOString())
-      .eq('status', 'livre')
-      .order('datetime', { ascending: true })
-      .limit(limite);
-
     // Se o dia solicitado for HOJE no fuso, filtre >= agora
+    let fromUTC = startUTC;
     if (args.dia) {
       const todayLocalYMD = new Intl.DateTimeFormat('en-CA', {
         timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
       }).format(new Date());
       if (args.dia === todayLocalYMD) {
-        q = q.gte('datetime', new Date().toISOString()); // agora em UTC
+        fromUTC = new Date(); // agora em UTC
       }
     }
 
-    const { data, error } = await q;
+    // com filtro, o limite vale depois de filtrar
+    const { data, error } = await repos.slots.listFree({
+      medicoIds: [String(args.medicoId)],
+      from: fromUTC,
+      to: endUTC,
+      limit: filtro ? null : limite,
+      holder: holderOf(ctx)
+    });
     if (error) return { ok: false, message: 'Erro ao buscar horários do médico.' };
+    const match = slotMatcher(filtro, tz);
 
     const fmtLocal = iso => new Date(iso).toLocaleString('pt-BR', {
       timeZone: tz, weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric',
       hour: '2-digit', minute: '2-digit'
     });
 
-    const slots = (data || []).map(r => ({
+    const slots = (data || []).filter(r => match(r.datetime)).slice(0, limite).map(r => ({
       id: r.id,
       isoUTC: r.datetime,
       local: fmtLocal(r.datetime),
@@ -553,7 +542,7 @@ export async function listarHorariosMedicoDB(args = {}) {
       duracaoMin: r.duration_min ?? null
     }));
 
-    return { ok: true, slots };
+    return { ok: true, slots, ...(filtro ? { filtro } : {}) };
   } catch (e) {
     console.error('[listarHorariosMedicoDB]', e);
     return { ok: false, message: 'Falha inesperada ao listar horários do médico.' };
@@ -562,95 +551,134 @@ export async function listarHorariosMedicoDB(args = {}) {
 
 
 /* -------------------------------------------------------------------------- */
-/* listarAgendaSemanalMedicoDB                                                     */
+/* Agenda por período (semana, intervalo de datas) com paginação               */
 /* -------------------------------------------------------------------------- */
-export async function listarAgendaSemanalMedicoDB(args = {}) {
-  try {
-    const tz = CLINIC_TZ;
-    const medicoId = String(args.medicoId || '').trim();
-    if (!medicoId) return { ok: false, message: 'medicoId é obrigatório.' };
+const AGENDA_DEFAULT_DAYS = 7;
+const AGENDA_MAX_DAYS = 60;
+const AGENDA_PAGE_SIZE = 15;
+const AGENDA_PAGE_SIZE_WHATSAPP = 10;   // cabe numa lista interativa do WhatsApp (máx. 10 linhas)
+const AGENDA_MAX_PAGE_SIZE = 50;
 
-    // 1) "Hoje" no fuso da clínica (YYYY-MM-DD)
-    const ymdFmt = new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' });
-    const weekFmt = new Intl.DateTimeFormat('en-US', { timeZone: tz, weekday: 'short' });
-    const todayLocalYMD = ymdFmt.format(new Date());
-
-    // 2) UTC de hoje (início/fim) para obter o dia e o weekday corretos no fuso
-    let { startUTC: todayStartUTC } = dayRangeUTCFromYYYYMMDD(tz, todayLocalYMD);
-
-    // 3) quantos dias faltam para domingo (considerando o fuso)
-    const wkMap = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
-    const wkShort = weekFmt.format(todayStartUTC).toLowerCase().slice(0, 3); // 'tue', 'wed', ...
-    const todayIdx = wkMap[wkShort] ?? 0;
-    const daysUntilSunday = (7 - todayIdx) % 7;       // se hoje é domingo => 0
-    const totalDays = daysUntilSunday + 1;            // incluir HOJE
-
-    // 4) fim do domingo (exclusive) para janela da query
-    const sundayDate = new Date(todayStartUTC.getTime() + daysUntilSunday * 24 * 60 * 60 * 1000);
-    const sundayLocalYMD = ymdFmt.format(sundayDate);
-    const { endUTC: endOfSundayUTC } = dayRangeUTCFromYYYYMMDD(tz, sundayLocalYMD);
-
-    // 5) busca slots livres do médico no intervalo [hoje 00:00 local, domingo 23:59:59 local]
-    const { data, error } = await supabase
-      .from('agenda_slots')
-      .select('id, medico_id, datetime, duration_min, status, medicos ( id, nome )')
-      .eq('medico_id', medicoId)
-      .gte('datetime', todayStartUTC.toISOString())
-      .lt('datetime', endOfSundayUTC.toISOString())
-      .eq('status', 'livre')
-      .order('datetime', { ascending: true });
-
-    if (error) return { ok: false, message: 'Erro ao buscar agenda semanal do médico.' };
-
-    // 6) formatação local e agrupamento por dia local
-    const toLocalStr = iso => new Date(iso).toLocaleString('pt-BR', {
-      timeZone: tz,
-      weekday: 'long',
-      day: '2-digit',
-      month: '2-digit',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const addDaysYMD = (ymd, n) => {
+  const [y, M, d] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(y, M - 1, d + n)).toISOString().slice(0, 10);
+};
+
+/**
+ * Horários livres de `medicoIds` em [inicio, fim] (dias locais), agrupados por dia.
+ * - inicio: YYYY-MM-DD (padrão = hoje; dias passados viram hoje)
+ * - fim (inclusive) ou dias (padrão 7, máx. 60)
+ * - periodo / horaInicio / horaFim / diasSemana: preferências (helpers/slot-filters.js)
+ * - maxPorDia: corta cada dia nos N primeiros horários (depois do filtro)
+ * - pagina / porPagina: a numeração continua entre as páginas (campo "n" de cada
+ *   slot); "paginacao.chave" identifica a busca para a seleção numérica juntar as páginas
+ */
+async function _listarAgendaPeriodo(medicoIds, args = {}, ctx = {}) {
+  const tz = CLINIC_TZ;
+  const ymdFmt = new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' });
+  const todayLocalYMD = ymdFmt.format(new Date());
+
+  if (args.inicio && !YMD_RE.test(args.inicio)) return { ok: false, message: 'inicio deve estar no formato YYYY-MM-DD.' };
+  if (args.fim && !YMD_RE.test(args.fim)) return { ok: false, message: 'fim deve estar no formato YYYY-MM-DD.' };
+
+  const inicio = args.inicio && args.inicio > todayLocalYMD ? args.inicio : todayLocalYMD;
+  const maxFim = addDaysYMD(inicio, AGENDA_MAX_DAYS - 1);
+  let fim = args.fim || addDaysYMD(inicio, Math.max(1, Math.floor(Number(args.dias) || AGENDA_DEFAULT_DAYS)) - 1);
+  if (fim < inicio) return { ok: false, message: 'O fim do período é anterior ao início.' };
+  if (fim > maxFim) fim = maxFim;
+
+  const { filtro, error: filtroErr } = parseSlotFilter(args);
+  if (filtroErr) return { ok: false, message: filtroErr };
+  const match = slotMatcher(filtro, tz);
+
+  const maxPorDia = Number(args.maxPorDia) > 0 ? Math.floor(Number(args.maxPorDia)) : null;
+  const defaultPageSize = ctx.channel === 'whatsapp' ? AGENDA_PAGE_SIZE_WHATSAPP : AGENDA_PAGE_SIZE;
+  const porPagina = Math.min(Math.max(1, Math.floor(Number(args.porPagina) || defaultPageSize)), AGENDA_MAX_PAGE_SIZE);
+  const pagina = Math.max(1, Math.floor(Number(args.pagina) || 1));
+
+  // [início do 1º dia (ou agora, se for hoje), fim do último dia)
+  const { startUTC } = dayRangeUTCFromYYYYMMDD(tz, inicio);
+  const { endUTC } = dayRangeUTCFromYYYYMMDD(tz, fim);
+  const { data, error } = await repos.slots.listFree({
+    medicoIds: medicoIds.map(String),
+    from: inicio === todayLocalYMD ? new Date() : startUTC,
+    to: endUTC,
+    holder: holderOf(ctx)
+  });
+  if (error) return { ok: false, message: 'Erro ao buscar a agenda do período.' };
+
+  const toLocalStr = iso => new Date(iso).toLocaleString('pt-BR', {
+    timeZone: tz, weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric',
+    hour: '2-digit', minute: '2-digit'
+  });
+
+  // corte por dia e numeração contínua do período inteiro
+  const perDay = new Map();
+  const all = [];
+  for (const r of (data || []).filter(x => match(x.datetime))) {
+    const dia = ymdFmt.format(new Date(r.datetime));
+    const count = perDay.get(dia) || 0;
+    if (maxPorDia && count >= maxPorDia) continue;
+    perDay.set(dia, count + 1);
+    all.push({
+      n: all.length + 1,
+      dia,
+      id: r.id,
+      isoUTC: r.datetime,
+      local: toLocalStr(r.datetime),
+      medicoId: r.medico_id,
+      medicoNome: r.medicos?.nome ?? null,
+      duracaoMin: r.duration_min ?? null
     });
+  }
 
-    const slotsByDay = new Map(); // YYY-MM-DD -> [slots...]
-    const medicoNome = data?.[0]?.medicos?.nome ?? null;
-
-    for (const r of (data || [])) {
-      const slotDate = new Date(r.datetime);
-      const dayYMD = ymdFmt.format(slotDate); // dia local do slot
-      const arr = slotsByDay.get(dayYMD) || [];
-      arr.push({
-        id: r.id,
-        isoUTC: r.datetime,
-        local: toLocalStr(r.datetime),
-        medicoId: r.medico_id,
-        medicoNome: r.medicos?.nome ?? null,
-        duracaoMin: r.duration_min ?? null
-      });
-      slotsByDay.set(dayYMD, arr);
-    }
+  const totalPaginas = Math.max(1, Math.ceil(all.length / porPagina));
+  const page = all.slice((pagina - 1) * porPagina, pagina * porPagina);
+  const temMais = pagina < totalPaginas;
 
-    // 7) monta a agenda para cada dia de HOJE até DOMINGO (filtrando passados no primeiro dia)
-    const nowTs = Date.now();
-    const agenda = [];
-    for (let i = 0; i < totalDays; i++) {
-      const d = new Date(todayStartUTC.getTime() + i * 24 * 60 * 60 * 1000);
-      const ymd = ymdFmt.format(d);
-      let daySlots = slotsByDay.get(ymd) || [];
-      if (i === 0) {
-        daySlots = daySlots.filter(s => new Date(s.isoUTC).getTime() >= nowTs);
-      }
-      agenda.push({ dia: ymd, slots: daySlots });
+  // dias cobertos pela página (inclui os sem horário); a última página vai até o fim do período
+  const diaDe = pagina === 1 || !page.length ? inicio : page[0].dia;
+  const diaAte = temMais && page.length ? page.at(-1).dia : fim;
+  const agenda = [];
+  for (let dia = diaDe; dia <= diaAte; dia = addDaysYMD(dia, 1)) {
+    agenda.push({ dia, slots: page.filter(x => x.dia === dia).map(({ dia: _d, ...slot }) => slot) });
+  }
+
+  return {
+    ok: true,
+    inicio,
+    fim,
+    dias: Math.round((dayRangeUTCFromYYYYMMDD(tz, fim).startUTC - startUTC) / 86400000) + 1,
+    agenda,
+    ...(filtro ? { filtro } : {}),
+    paginacao: {
+      pagina,
+      porPagina,
+      total: all.length,
+      totalPaginas,
+      temMais,
+      primeiroNumero: page[0]?.n ?? null,
+      ultimoNumero: page.at(-1)?.n ?? null,
+      chave: JSON.stringify([medicoIds.map(String).sort(), inicio, fim, filtro, maxPorDia, porPagina])
     }
+  };
+}
 
-    return {
-      ok: true,
-      inicio: todayLocalYMD, // início sempre = hoje (local)
-      dias: totalDays,       // hoje...domingo
-      medicoNome,
-      agenda
-    };
+/* -------------------------------------------------------------------------- */
+/* listarAgendaSemanalMedicoDB                                                */
+/* -------------------------------------------------------------------------- */
+export async function listarAgendaSemanalMedicoDB(args = {}, ctx = {}) {
+  try {
+    const medicoId = String(args.medicoId || '').trim();
+    if (!medicoId) return { ok: false, message: 'medicoId é obrigatório.' };
+
+    const r = await _listarAgendaPeriodo([medicoId], args, ctx);
+    if (!r.ok) return r;
+
+    const first = r.agenda.find(d => d.slots.length)?.slots[0];
+    return { ...r, medicoNome: first?.medicoNome ?? null };
   } catch (e) {
     console.error('[listarAgendaSemanalMedico] erro:', e);
     return { ok: false, message: 'Falha inesperada ao listar agenda semanal.' };
@@ -660,15 +688,41 @@ export async function listarAgendaSemanalMedicoDB(args = {}) {
 
 
 
+/* -------------------------------------------------------------------------- */
+/* Primeiro horário livre que atende às preferências                          */
+/* -------------------------------------------------------------------------- */
+const NEXT_SCAN_BATCH = 200;
+const NEXT_SCAN_MAX_BATCHES = 10;
+
+// Varre os slots livres a partir de `from`, em lotes, até achar um que passe em `match`.
+// O cursor avança 1 ms depois do último do lote: slots no mesmo instante que ficaram
+// de fora têm o mesmo horário local do último, que já não passou no filtro.
+async function _primeiroSlotLivre(medicoIds, from, match, holder) {
+  let cursor = from;
+  for (let i = 0; i < NEXT_SCAN_MAX_BATCHES; i++) {
+    const { data, error } = await repos.slots.listFree({ medicoIds, from: cursor, limit: NEXT_SCAN_BATCH, holder });
+    if (error) return { data: null, error };
+
+    const hit = (data || []).find(r => match(r.datetime));
+    if (hit || (data || []).length < NEXT_SCAN_BATCH) return { data: hit || null, error: null };
+    cursor = new Date(new Date(data.at(-1).datetime).getTime() + 1);
+  }
+  return { data: null, error: null };
+}
+
 /* -------------------------------------------------------------------------- */
 /* listarProximoDiaDisponivelMedicoDB                                                     */
 /* -------------------------------------------------------------------------- */
-export async function listarProximoDiaDisponivelMedicoDB(args = {}) {
+export async function listarProximoDiaDisponivelMedicoDB(args = {}, ctx = {}) {
   try {
     const tz = CLINIC_TZ;
     const medicoId = String(args.medicoId || '');
     if (!medicoId) return { ok: false, message: 'medicoId é obrigatório.' };
 
+    const { filtro, error: filtroErr } = parseSlotFilter(args);
+    if (filtroErr) return { ok: false, message: filtroErr };
+    const match = slotMatcher(filtro, tz);
+
     // Ponto de partida: agora (ou um dia informado)
     let startUTC;
     if (args.aPartirDe && /^\d{4}-\d{2}-\d{2}$/.test(args.aPartirDe)) {
@@ -678,43 +732,29 @@ export async function listarProximoDiaDisponivelMedicoDB(args = {}) {
       startUTC = new Date(); // UTC agora
     }
 
-    // Busca o 1º slot livre a partir de startUTC
-    const { data: first, error: fErr } = await supabase
-      .from('agenda_slots')
-      .select('id, medico_id, datetime, duration_min, medicos ( id, nome )')
-      .eq('medico_id', medicoId)
-      .gte('datetime', startUTC.toISOString())
-      .eq('status', 'livre')
-      .order('datetime', { ascending: true })
-      .limit(1);
+    // Busca o 1º slot livre a partir de startUTC (que atenda às preferências)
+    const { data: first, error: fErr } = await _primeiroSlotLivre([medicoId], startUTC, match, holderOf(ctx));
 
     if (fErr) return { ok: false, message: 'Erro ao buscar próximo dia disponível.' };
-    if (!first?.length) return { ok: true, dia: null, slots: [] };
+    if (!first) return { ok: true, dia: null, slots: [], ...(filtro ? { filtro } : {}) };
 
     // Descobre o dia local desse slot e retorna todos os slots desse dia
-    const firstIso = first[0].datetime;
+    const firstIso = first.datetime;
     const dia = new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' })
       .format(new Date(firstIso));
 
     const { startUTC: s, endUTC: e } = dayRangeUTCFromYYYYMMDD(tz, dia);
 
-    let q = supabase
-      .from('agenda_slots')
-      .select('id, medico_id, datetime, duration_min, status, medicos ( id, nome )')
-      .eq('medico_id', medicoId)
-      .gte('datetime', s.toISOString())
-      .lt('datetime', e.toISOString())
-      .eq('status', 'livre')
-      .order('datetime', { ascending: true });
-
     const todayLocalYMD = new Intl.DateTimeFormat('en-CA', {
       timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
     }).format(new Date());
-    if (dia === todayLocalYMD) {
-      q = q.gte('datetime', new Date().toISOString());
-    }
 
-    const { data, error } = await q;
+    const { data, error } = await repos.slots.listFree({
+      medicoIds: [medicoId],
+      from: dia === todayLocalYMD ? new Date() : s,
+      to: e,
+      holder: holderOf(ctx)
+    });
     if (error) return { ok: false, message: 'Erro ao buscar slots do próximo dia disponível.' };
 
     const fmtLocal = iso => new Date(iso).toLocaleString('pt-BR', {
@@ -722,7 +762,7 @@ export async function listarProximoDiaDisponivelMedicoDB(args = {}) {
       hour: '2-digit', minute: '2-digit'
     });
 
-    const slots = (data || []).map(r => ({
+    const slots = (data || []).filter(r => match(r.datetime)).map(r => ({
       id: r.id,
       isoUTC: r.datetime,
       local: fmtLocal(r.datetime),
@@ -731,7 +771,7 @@ export async function listarProximoDiaDisponivelMedicoDB(args = {}) {
       duracaoMin: r.duration_min ?? null
     }));
 
-    return { ok: true, dia, slots };
+    return { ok: true, dia, slots, ...(filtro ? { filtro } : {}) };
   } catch (e) {
     console.error('[listarProximoDiaDisponivelMedicoDB]', e);
     return { ok: false, message: 'Falha inesperada ao buscar próximo dia disponível.' };
@@ -743,19 +783,19 @@ export async function listarProximoDiaDisponivelMedicoDB(args = {}) {
 /* -------------------------------------------------------------------------- */
 /* listarHorariosPorEspecialidadeDB                                           */
 /* -------------------------------------------------------------------------- */
-export async function listarHorariosPorEspecialidadeDB(args = {}) {
+export async function listarHorariosPorEspecialidadeDB(args = {}, ctx = {}) {
   try {
     const tz = CLINIC_TZ;
     const limite = Math.min(Number(args.limite || 12), 200);
 
+    const { filtro, error: filtroErr } = parseSlotFilter(args);
+    if (filtroErr) return { ok: false, message: filtroErr };
+
     const espIds = await _resolveEspecialidadeIds(args);
     if (!espIds.length) return { ok: true, slots: [] };
 
     // 1) médicos da(s) especialidade(s)
-    const { data: med, error: medErr } = await supabase
-      .from('medicos')
-      .select('id')
-      .in('especialidade_id', espIds);
+    const { data: med, error: medErr } = await repos.doctors.listBySpecialty(espIds);
 
     if (medErr) return { ok: false, message: 'Erro ao buscar médicos da especialidade.' };
     const medicoIds = (med || []).map(m => m.id);
@@ -770,35 +810,33 @@ export async function listarHorariosPorEspecialidadeDB(args = {}) {
       startUTC = r.start; endUTC = r.end;
     }
 
-    // 3) slots livres
-    let q = supabase
-      .from('agenda_slots')
-      .select('id, medico_id, datetime, duration_min, status, medicos ( id, nome )')
-      .in('medico_id', medicoIds)
-      .gte('datetime', startUTC.toISOString())
-      .lt('datetime', endUTC.toISOString())
-      .eq('status', 'livre')
-      .order('datetime', { ascending: true })
-      .limit(limite);
-
+    // 3) slots livres (se o dia for HOJE no fuso, a partir de agora)
+    let fromUTC = startUTC;
     if (args.dia) {
       const todayLocalYMD = new Intl.DateTimeFormat('en-CA', {
         timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
       }).format(new Date());
       if (args.dia === todayLocalYMD) {
-        q = q.gte('datetime', new Date().toISOString());
+        fromUTC = new Date();
       }
     }
 
-    const { data, error } = await q;
+    const { data, error } = await repos.slots.listFree({
+      medicoIds,
+      from: fromUTC,
+      to: endUTC,
+      limit: filtro ? null : limite,
+      holder: holderOf(ctx)
+    });
     if (error) return { ok: false, message: 'Erro ao buscar horários da especialidade.' };
+    const match = slotMatcher(filtro, tz);
 
     const fmtLocal = iso => new Date(iso).toLocaleString('pt-BR', {
       timeZone: tz, weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric',
       hour: '2-digit', minute: '2-digit'
     });
 
-    const slots = (data || []).map(r => ({
+    const slots = (data || []).filter(r => match(r.datetime)).slice(0, limite).map(r => ({
       id: r.id,
       isoUTC: r.datetime,
       local: fmtLocal(r.datetime),
@@ -807,7 +845,7 @@ export async function listarHorariosPorEspecialidadeDB(args = {}) {
       duracaoMin: r.duration_min ?? null
     }));
 
-    return { ok: true, slots };
+    return { ok: true, slots, ...(filtro ? { filtro } : {}) };
   } catch (e) {
     console.error('[listarHorariosPorEspecialidadeDB]', e);
     return { ok: false, message: 'Falha inesperada ao listar horários por especialidade.' };
@@ -820,19 +858,14 @@ export async function listarHorariosPorEspecialidadeDB(args = {}) {
 /* -------------------------------------------------------------------------- */
 /* listarAgendaSemanalEspecialidadeDB                                         */
 /* -------------------------------------------------------------------------- */
-export async function listarAgendaSemanalEspecialidadeDB(args = {}) {
+export async function listarAgendaSemanalEspecialidadeDB(args = {}, ctx = {}) {
   try {
-    const tz = CLINIC_TZ;
-
     // 1) resolver ids de especialidade
     const espIds = await _resolveEspecialidadeIds(args);
     if (!espIds.length) return { ok: true, inicio: null, dias: 0, agenda: [] };
 
     // 2) pegar ids de médicos dessa(s) especialidade(s)
-    const { data: med, error: medErr } = await supabase
-      .from('medicos')
-      .select('id, nome')
-      .in('especialidade_id', espIds);
+    const { data: med, error: medErr } = await repos.doctors.listBySpecialty(espIds);
     if (medErr) return { ok: false, message: 'Erro ao buscar médicos da especialidade.' };
 
     const medicoIds = (med || []).map(m => m.id);
@@ -840,69 +873,8 @@ export async function listarAgendaSemanalEspecialidadeDB(args = {}) {
       return { ok: true, inicio: null, dias: 0, agenda: [] };
     }
 
-    // 3) hoje local (YMD) e janela até domingo (local)
-    const ymdFmt = new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' });
-    const weekFmt = new Intl.DateTimeFormat('en-US', { timeZone: tz, weekday: 'short' });
-    const todayLocalYMD = ymdFmt.format(new Date());
-
-    let { startUTC: todayStartUTC } = dayRangeUTCFromYYYYMMDD(tz, todayLocalYMD);
-
-    const wkMap = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
-    const wkShort = weekFmt.format(todayStartUTC).toLowerCase().slice(0, 3);
-    const todayIdx = wkMap[wkShort] ?? 0;
-    const daysUntilSunday = (7 - todayIdx) % 7;
-    const totalDays = daysUntilSunday + 1;
-
-    const sundayDate = new Date(todayStartUTC.getTime() + daysUntilSunday * 86400000);
-    const sundayLocalYMD = ymdFmt.format(sundayDate);
-    const { endUTC: endOfSundayUTC } = dayRangeUTCFromYYYYMMDD(tz, sundayLocalYMD);
-
-    // 4) slots livres de TODOS os médicos da especialidade
-    const { data, error } = await supabase
-      .from('agenda_slots')
-      .select('id, medico_id, datetime, duration_min, status, medicos ( id, nome )')
-      .in('medico_id', medicoIds)
-      .gte('datetime', todayStartUTC.toISOString())
-      .lt('datetime', endOfSundayUTC.toISOString())
-      .eq('status', 'livre')
-      .order('datetime', { ascending: true });
-
-    if (error) return { ok: false, message: 'Erro ao buscar agenda semanal da especialidade.' };
-
-    const toLocalStr = iso => new Date(iso).toLocaleString('pt-BR', {
-      timeZone: tz, weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric',
-      hour: '2-digit', minute: '2-digit'
-    });
-
-    const slotsByDay = new Map(); // YMD -> [slots...]
-    for (const r of (data || [])) {
-      const d = new Date(r.datetime);
-      const ymd = ymdFmt.format(d);
-      const arr = slotsByDay.get(ymd) || [];
-      arr.push({
-        id: r.id,
-        isoUTC: r.datetime,
-        local: toLocalStr(r.datetime),
-        medicoId: r.medico_id,
-        medicoNome: r.medicos?.nome ?? null,
-        duracaoMin: r.duration_min ?? null
-      });
-      slotsByDay.set(ymd, arr);
-    }
-
-    const nowTs = Date.now();
-    const agenda = [];
-    for (let i = 0; i < totalDays; i++) {
-      const d = new Date(todayStartUTC.getTime() + i * 86400000);
-      const ymd = ymdFmt.format(d);
-      let daySlots = slotsByDay.get(ymd) || [];
-      if (i === 0) {
-        daySlots = daySlots.filter(s => new Date(s.isoUTC).getTime() >= nowTs);
-      }
-      agenda.push({ dia: ymd, slots: daySlots });
-    }
-
-    return { ok: true, inicio: todayLocalYMD, dias: totalDays, agenda };
+    // 3) slots livres de TODOS os médicos da especialidade no período
+    return await _listarAgendaPeriodo(medicoIds, args, ctx);
   } catch (e) {
     console.error('[listarAgendaSemanalEspecialidadeDB] erro:', e);
     return { ok: false, message: 'Falha inesperada ao listar agenda semanal por especialidade.' };
@@ -913,7 +885,7 @@ export async function listarAgendaSemanalEspecialidadeDB(args = {}) {
 /* -------------------------------------------------------------------------- */
 /* listarProximoDiaDisponivelEspecialidadeDB                                  */
 /* -------------------------------------------------------------------------- */
-export async function listarProximoDiaDisponivelEspecialidadeDB(args = {}) {
+export async function listarProximoDiaDisponivelEspecialidadeDB(args = {}, ctx = {}) {
   try {
     const tz = CLINIC_TZ;
 
@@ -921,15 +893,16 @@ export async function listarProximoDiaDisponivelEspecialidadeDB(args = {}) {
     const espIds = await _resolveEspecialidadeIds(args);
     if (!espIds.length) return { ok: true, dia: null, slots: [] };
 
-    const { data: med, error: medErr } = await supabase
-      .from('medicos')
-      .select('id')
-      .in('especialidade_id', espIds);
+    const { data: med, error: medErr } = await repos.doctors.listBySpecialty(espIds);
     if (medErr) return { ok: false, message: 'Erro ao buscar médicos da especialidade.' };
 
     const medicoIds = (med || []).map(m => m.id);
     if (!medicoIds.length) return { ok: true, dia: null, slots: [] };
 
+    const { filtro, error: filtroErr } = parseSlotFilter(args);
+    if (filtroErr) return { ok: false, message: filtroErr };
+    const match = slotMatcher(filtro, tz);
+
     // ponto de partida
     let startUTC;
     if (args.aPartirDe && /^\d{4}-\d{2}-\d{2}$/.test(args.aPartirDe)) {
@@ -938,43 +911,29 @@ export async function listarProximoDiaDisponivelEspecialidadeDB(args = {}) {
       startUTC = new Date();
     }
 
-    // 1º slot livre a partir de startUTC (qualquer médico da especialidade)
-    const { data: first, error: fErr } = await supabase
-      .from('agenda_slots')
-      .select('id, medico_id, datetime, duration_min, medicos ( id, nome )')
-      .in('medico_id', medicoIds)
-      .gte('datetime', startUTC.toISOString())
-      .eq('status', 'livre')
-      .order('datetime', { ascending: true })
-      .limit(1);
+    // 1º slot livre a partir de startUTC (qualquer médico da especialidade, com as preferências)
+    const { data: first, error: fErr } = await _primeiroSlotLivre(medicoIds, startUTC, match, holderOf(ctx));
 
     if (fErr) return { ok: false, message: 'Erro ao buscar próximo dia disponível (especialidade).' };
-    if (!first?.length) return { ok: true, dia: null, slots: [] };
+    if (!first) return { ok: true, dia: null, slots: [], ...(filtro ? { filtro } : {}) };
 
     // descobrir o dia local e pegar TODOS os slots desse dia (todos os médicos da especialidade)
-    const firstIso = first[0].datetime;
+    const firstIso = first.datetime;
     const ymdFmt = new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' });
     const dia = ymdFmt.format(new Date(firstIso));
 
     const { startUTC: s, endUTC: e } = dayRangeUTCFromYYYYMMDD(tz, dia);
 
-    let q = supabase
-      .from('agenda_slots')
-      .select('id, medico_id, datetime, duration_min, status, medicos ( id, nome )')
-      .in('medico_id', medicoIds)
-      .gte('datetime', s.toISOString())
-      .lt('datetime', e.toISOString())
-      .eq('status', 'livre')
-      .order('datetime', { ascending: true });
-
     const todayLocalYMD = new Intl.DateTimeFormat('en-CA', {
       timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
     }).format(new Date());
-    if (dia === todayLocalYMD) {
-      q = q.gte('datetime', new Date().toISOString());
-    }
 
-    const { data, error } = await q;
+    const { data, error } = await repos.slots.listFree({
+      medicoIds,
+      from: dia === todayLocalYMD ? new Date() : s,
+      to: e,
+      holder: holderOf(ctx)
+    });
     if (error) return { ok: false, message: 'Erro ao buscar slots do próximo dia disponível (especialidade).' };
 
     const fmtLocal = iso => new Date(iso).toLocaleString('pt-BR', {
@@ -982,7 +941,7 @@ export async function listarProximoDiaDisponivelEspecialidadeDB(args = {}) {
       hour: '2-digit', minute: '2-digit'
     });
 
-    const slots = (data || []).map(r => ({
+    const slots = (data || []).filter(r => match(r.datetime)).map(r => ({
       id: r.id,
       isoUTC: r.datetime,
       local: fmtLocal(r.datetime),
@@ -991,7 +950,7 @@ export async function listarProximoDiaDisponivelEspecialidadeDB(args = {}) {
       duracaoMin: r.duration_min ?? null
     }));
 
-    return { ok: true, dia, slots };
+    return { ok: true, dia, slots, ...(filtro ? { filtro } : {}) };
   } catch (e) {
     console.error('[listarProximoDiaDisponivelEspecialidadeDB] erro:', e);
     return { ok: false, message: 'Falha inesperada ao buscar próximo dia disponível por especialidade.' };
@@ -1000,61 +959,152 @@ export async function listarProximoDiaDisponivelEspecialidadeDB(args = {}) {
 
 
 
+/* -------------------------------------------------------------------------- */
+/* listarMinhasConsultasDB                                                    */
+/* -------------------------------------------------------------------------- */
+// Próximas consultas do próprio remetente (telefone do WhatsApp). Na web não há
+// telefone verificado, então o paciente precisa do ID da consulta.
+export async function listarMinhasConsultasDB(args = {}, ctx = {}) {
+  try {
+    if (!ctx.waId) {
+      return {
+        ok: false,
+        message: 'Consigo listar suas consultas pelo WhatsApp cadastrado. Por aqui, informe o ID da consulta.'
+      };
+    }
+
+    const limite = Math.min(Number(args.limite || 10), 20);
+    const { data, error } = await repos.appointments.listUpcomingByPhone(normalizeWhatsNumber(ctx.waId), {
+      statuses: ACTIVE_STATUSES,
+      from: new Date(),
+      limit: limite
+    });
+    if (error) return { ok: false, message: 'Erro ao buscar suas consultas.' };
+    if (!data?.length) return { ok: true, consultas: [], message: 'Nenhuma consulta futura encontrada para este número.' };
+
+    const medicoIds = [...new Set(data.map(a => a.medico_id).filter(Boolean).map(String))];
+    const { data: medicos } = medicoIds.length ? await repos.doctors.listByIds(medicoIds) : { data: [] };
+    const nomeMedico = new Map((medicos || []).map(m => [String(m.id), m.nome]));
+
+    const fmtLocal = iso => new Date(iso).toLocaleString('pt-BR', {
+      timeZone: CLINIC_TZ, weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric',
+      hour: '2-digit', minute: '2-digit'
+    });
+
+    const consultas = data.map(a => ({
+      id: a.id,
+      isoUTC: a.datetime,
+      local: fmtLocal(a.datetime),
+      status: a.status,
+      especialidade: a.specialty ?? null,
+      medicoId: a.medico_id ?? null,
+      medicoNome: nomeMedico.get(String(a.medico_id)) ?? null
+    }));
+
+    return { ok: true, consultas };
+  } catch (e) {
+    console.error('[listarMinhasConsultasDB]', e);
+    return { ok: false, message: 'Falha inesperada ao listar suas consultas.' };
+  }
+}
+
+
+
+/* -------------------------------------------------------------------------- */
+/* verificação do titular (cancelar / remarcar)                               */
+/* -------------------------------------------------------------------------- */
+// Só o titular mexe no agendamento: o número do WhatsApp que escreve é o telefone
+// da consulta, ou o solicitante informa CPF + nascimento. Falhas contam por
+// solicitante e por agendamento (evita tentativa e erro em cima de um ID vazado).
+// No chat web o solicitante é o IP: abrir outra sessão não zera as tentativas.
+const VERIFY_MAX_FAILS = 5;
+const VERIFY_WINDOW_SEC = 30 * 60;
+
+// Quem disparou a mudança de status (histórico): botão do lembrete ou conversa
+const actorOf = (ctx = {}) => (ctx.via === 'lembrete' ? 'lembrete' : 'paciente');
+
+const requesterOf = (ctx = {}) =>
+  ctx.waId ? `wa:${ctx.waId}` : ctx.ip ? `ip:${ctx.ip}` : 'anon';
+
+async function _verificarTitular(appt, { cpf, nascimento } = {}, ctx = {}, acao) {
+  const requester = requesterOf(ctx);
+
+  // 1) WhatsApp: o remetente é o dono do telefone do agendamento
+  if (ctx.waId && appt.phone && normalizeWhatsNumber(ctx.waId) === normalizeWhatsNumber(appt.phone)) {
+    return { ok: true, via: 'telefone' };
+  }
+
+  const failKeys = [`verify:fail:${requester}`, `verify:fail:appt:${appt.id}`];
+  const attempts = await Promise.all(failKeys.map(getAttempts));
+  if (Math.max(...attempts) >= VERIFY_MAX_FAILS) {
+    console.warn(`🔒 [verificarTitular] ${acao} bloqueado | solicitante=${requester} | appointment=${appt.id}`);
+    return {
+      ok: false,
+      blocked: true,
+      message: 'Muitas tentativas de verificação. Por segurança, tente novamente mais tarde ou fale com a recepção.'
+    };
+  }
+
+  // 2) CPF + data de nascimento do titular
+  if (!cpf || !nascimento) {
+    return {
+      ok: false,
+      needsVerification: true,
+      message: 'Para sua segurança, informe o CPF e a data de nascimento do titular da consulta.'
+    };
+  }
+
+  const cpfOk = String(cpf).replace(/\D/g, '') === String(appt.cpf || '');
+  if (cpfOk && appt.birthdate && (await normalizeBirthDate(nascimento)) === String(appt.birthdate).slice(0, 10)) {
+    return { ok: true, via: 'cpf' };
+  }
+
+  const [n] = await Promise.all(failKeys.map(k => countAttempt(k, VERIFY_WINDOW_SEC)));
+  console.warn(`🔒 [verificarTitular] ${acao}: dados não conferem | solicitante=${requester} | appointment=${appt.id} | falhas=${n}`);
+  return {
+    ok: false,
+    needsVerification: true,
+    message: 'Os dados informados não conferem com o titular da consulta.'
+  };
+}
+
+
+
 /* -------------------------------------------------------------------------- */
 /* desmarcarAgendamentoDB                                                     */
 /* -------------------------------------------------------------------------- */
-export async function desmarcarAgendamentoDB(args = {}) {
+export async function desmarcarAgendamentoDB(args = {}, ctx = {}) {
   try {
-    const CANCEL_STATUS = 'cancelado';
     const { appointmentId } = args || {};
     if (!appointmentId) return { ok: false, message: 'appointmentId é obrigatório.' };
 
     // 1) Buscar o agendamento
-    const { data: appt, error: apptErr } = await supabase
-      .from('appointments')
-      .select('id, datetime, status, slot_id, medico_id')
-      .eq('id', appointmentId)
-      .maybeSingle();
+    const { data: appt, error: apptErr } = await repos.appointments.getById(appointmentId);
 
     if (apptErr) return { ok: false, message: 'Erro ao buscar agendamento.' };
     if (!appt) return { ok: false, message: 'Agendamento não encontrado.' };
 
-    const prevStatus = String(appt.status || '').toLowerCase();
-
-    // 2) Atualizar status do appointment para "cancelado" (idempotente)
-    if (prevStatus !== CANCEL_STATUS) {
-      const { error: updErr } = await supabase
-        .from('appointments')
-        .update({ status: CANCEL_STATUS })
-        .eq('id', appt.id);
+    const titular = await _verificarTitular(appt, args, ctx, 'desmarcar');
+    if (!titular.ok) return titular;
 
-      if (updErr) return { ok: false, message: 'Falha ao cancelar o agendamento.' };
-    }
+    const prevStatus = String(appt.status || '').toLowerCase();
 
-    // 3) Liberar o slot (se existir)
+    // 2) → cancelado (idempotente). A transição libera o slot na mesma transação.
     let freedSlotId = null;
-    if (appt.slot_id) {
-      // Deixa o slot como "livre" (sem exigir status anterior; torna a operação idempotente)
-      const { error: slotErr } = await supabase
-        .from('agenda_slots')
-        .update({ status: 'livre' })
-        .eq('id', appt.slot_id);
-
-      if (slotErr) {
-        // rollback simples do appointment para o status anterior
-        try {
-          if (prevStatus !== CANCEL_STATUS) {
-            await supabase.from('appointments').update({ status: prevStatus }).eq('id', appt.id);
-          }
-        } catch (rbErr) {
-          console.error('[desmarcarAgendamentoDB] rollback falhou:', rbErr);
-        }
-        return { ok: false, message: 'Falha ao liberar o horário da agenda.' };
+    if (prevStatus !== STATUS.CANCELADO) {
+      if (!canTransition(prevStatus, STATUS.CANCELADO)) {
+        return { ok: false, message: 'Esta consulta não pode mais ser cancelada.' };
+      }
+      try {
+        const moved = await transitionAppointment(appt, STATUS.CANCELADO, { actor: actorOf(ctx), reason: 'cancelado pelo paciente' });
+        freedSlotId = moved.slotId;
+      } catch (e) {
+        if (e instanceof StatusTransitionError) return { ok: false, message: e.message };
+        throw e;
       }
-      freedSlotId = appt.slot_id;
     }
 
-    // 4) Retorno
+    // 3) Retorno
     const tz = CLINIC_TZ;
     const dataLocal = new Date(appt.datetime).toLocaleString('pt-BR', {
       timeZone: tz, weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric',
@@ -1072,3 +1122,462 @@ export async function desmarcarAgendamentoDB(args = {}) {
     return { ok: false, message: 'Erro inesperado ao desmarcar.' };
   }
 }
+
+
+
+/* -------------------------------------------------------------------------- */
+/* confirmarAgendamentoDB                                                     */
+/* -------------------------------------------------------------------------- */
+// pendente → confirmado, pedido pelo próprio paciente (ex.: resposta ao lembrete)
+export async function confirmarAgendamentoDB(args = {}, ctx = {}) {
+  try {
+    const { appointmentId } = args || {};
+    if (!appointmentId) return { ok: false, message: 'appointmentId é obrigatório.' };
+
+    const { data: appt, error: apptErr } = await repos.appointments.getById(appointmentId);
+    if (apptErr) return { ok: false, message: 'Erro ao buscar agendamento.' };
+    if (!appt) return { ok: false, message: 'Agendamento não encontrado.' };
+
+    const titular = await _verificarTitular(appt, args, ctx, 'confirmar');
+    if (!titular.ok) return titular;
+
+    const prevStatus = String(appt.status || '').toLowerCase();
+    if (prevStatus !== STATUS.CONFIRMADO) {
+      if (!canTransition(prevStatus, STATUS.CONFIRMADO)) {
+        return { ok: false, message: `Esta consulta está "${prevStatus}" e não pode ser confirmada.` };
+      }
+      try {
+        await transitionAppointment(appt, STATUS.CONFIRMADO, { actor: actorOf(ctx), reason: 'confirmado pelo paciente' });
+      } catch (e) {
+        if (e instanceof StatusTransitionError) return { ok: false, message: e.message };
+        throw e;
+      }
+    }
+
+    const dataLocal = new Date(appt.datetime).toLocaleString('pt-BR', {
+      timeZone: CLINIC_TZ, weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric',
+      hour: '2-digit', minute: '2-digit'
+    });
+
+    return { ok: true, id: appt.id, status: STATUS.CONFIRMADO, resumo: { dataLocal, medicoId: appt.medico_id ?? null } };
+  } catch (e) {
+    console.error('[confirmarAgendamentoDB] erro:', e);
+    return { ok: false, message: 'Erro inesperado ao confirmar.' };
+  }
+}
+
+
+
+/* -------------------------------------------------------------------------- */
+/* remarcarAgendamentoDB                                                      */
+/* -------------------------------------------------------------------------- */
+// Códigos de erro do RPC remarcar_agendamento → mensagem ao paciente
+const REMARCAR_ERRORS = {
+  AGENDAMENTO_NAO_ENCONTRADO: 'Agendamento não encontrado.',
+  AGENDAMENTO_CANCELADO: 'Este agendamento está cancelado. Posso fazer um novo agendamento.',
+  MESMO_HORARIO: 'Esse já é o horário atual da consulta.',
+  SLOT_NAO_RESERVADO: 'Horário indisponível.'
+};
+
+// previa: true → confere consulta, titular e novo horário sem reservar (como em criarAgendamento)
+export async function remarcarAgendamentoDB(args = {}, ctx = {}) {
+  let reservedSlot = null;
+
+  try {
+    const { appointmentId, slotId, dataISO, medicoId } = args || {};
+    if (!appointmentId) return { ok: false, message: 'appointmentId é obrigatório.' };
+    if (!slotId && !dataISO) {
+      return { ok: false, message: 'Informe o novo horário (escolha um da lista ou envie data e hora).' };
+    }
+
+    // 1) Confere o agendamento antes de reservar qualquer coisa
+    const { data: appt, error: apptErr } = await repos.appointments.getById(appointmentId);
+    if (apptErr) return { ok: false, message: 'Erro ao buscar agendamento.' };
+    if (!appt) return { ok: false, message: REMARCAR_ERRORS.AGENDAMENTO_NAO_ENCONTRADO };
+
+    const titular = await _verificarTitular(appt, args, ctx, 'remarcar');
+    if (!titular.ok) return titular;
+
+    if (String(appt.status || '').toLowerCase() === STATUS.CANCELADO) {
+      return { ok: false, message: REMARCAR_ERRORS.AGENDAMENTO_CANCELADO };
+    }
+    if (!isActiveStatus(appt.status)) {
+      return { ok: false, message: 'Esta consulta não pode mais ser remarcada.' };
+    }
+    if (slotId && appt.slot_id != null && String(appt.slot_id) === String(slotId)) {
+      return { ok: false, message: REMARCAR_ERRORS.MESMO_HORARIO };
+    }
+
+    // 2) Sem slotId: data/hora exata do novo horário
+    let isoUTC = null;
+    if (!slotId) {
+      const norm = await normalizeDateTimeToUTC(dataISO, CLINIC_TZ); // { isoUTC, hasTime, ymdLocal, periodo }
+      if (!norm) {
+        return { ok: false, message: 'Data/hora inválida. Use 25/08/2025 18:00 ou "25 de agosto de 2025 às 18:00".' };
+      }
+      if (norm.hasTime === false || !norm.isoUTC || norm.periodo) {
+        return { ok: false, message: 'Para remarcar, preciso da HORA do novo horário (ex.: 14:00). Pode me informar?' };
+      }
+      isoUTC = norm.isoUTC;
+    }
+
+    const fmtLocal = iso => new Date(iso).toLocaleString('pt-BR', {
+      timeZone: CLINIC_TZ, weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric',
+      hour: '2-digit', minute: '2-digit'
+    });
+
+    if (args.previa) {
+      return {
+        ok: true,
+        previa: true,
+        resumo: { appointmentId: appt.id, dataLocalAnterior: fmtLocal(appt.datetime), slotId: slotId ?? null, dataISO: isoUTC }
+      };
+    }
+
+    // 3) Reserva o slot novo (livre -> agendado) — o antigo continua ocupado até a troca
+    const res = await _reservarSlot({ slotId, isoUTC, medicoId: medicoId ?? appt.medico_id ?? null, holder: holderOf(ctx) });
+    if (!res.ok) return res;
+    reservedSlot = res.slot;
+
+    // 4) Troca atômica: appointment → slot novo, slot antigo → livre, meta com o horário anterior
+    const { data: moved, error } = await repos.appointments.reschedule(appt.id, reservedSlot.id);
+    if (error) {
+      console.error('[remarcarAgendamentoDB] reschedule error:', error);
+      await repos.slots.release(reservedSlot.id, { onlyIfStatus: 'agendado' });
+      reservedSlot = null;
+      const code = Object.keys(REMARCAR_ERRORS).find(c => String(error.message || '').includes(c));
+      return { ok: false, message: code ? REMARCAR_ERRORS[code] : 'Falha ao remarcar o agendamento.' };
+    }
+
+    emitSlotFreed(moved.previous_slot_id ?? null, 'remarcação');
+
+    return {
+      ok: true,
+      id: moved.id,
+      resumo: {
+        dataLocalAnterior: moved.previous_datetime ? fmtLocal(moved.previous_datetime) : null,
+        dataLocal: fmtLocal(moved.datetime),
+        dataISO: moved.datetime,
+        medicoId: moved.medico_id ?? null
+      }
+    };
+  } catch (e) {
+    console.error('[remarcarAgendamentoDB] erro:', e);
+    if (reservedSlot) {
+      try {
+        await repos.slots.release(reservedSlot.id, { onlyIfStatus: 'agendado' });
+      } catch (rbErr) {
+        console.error('[remarcarAgendamentoDB] rollback falhou:', rbErr);
+      }
+    }
+    return { ok: false, message: 'Erro inesperado ao remarcar.' };
+  }
+}
+
+
+
+/* -------------------------------------------------------------------------- */
+/* entrarListaEsperaDB                                                        */
+/* -------------------------------------------------------------------------- */
+// O paciente aceita qualquer horário do médico (ou da especialidade) entre
+// dataInicio e dataFim. Quando um slot assim é liberado, src/waitlist.js oferece
+// a vaga pelo WhatsApp; aceitando, o agendamento sai com os dados guardados aqui.
+const WAITLIST_DEFAULT_DAYS = 30;
+const WAITLIST_MAX_DAYS = 90;
+
+const entrarListaEsperaSchema = z.object({
+  nome: z.string().min(3, 'Informe o nome completo'),
+  cpf: z.string().min(11, 'CPF obrigatório'),
+  nascimento: z.string().min(6, 'Data de nascimento obrigatória'),
+  email: z.string().email('E-mail inválido'),
+  regiao: z.string().optional(),
+  telefone: z.string().optional().describe('WhatsApp para a oferta da vaga (padrão = número da conversa no WhatsApp)'),
+  motivo: z.string().max(500).optional(),
+  medicoId: zId().optional().describe('ID do médico (ou informe a especialidade)'),
+  especialidadeId: zId().optional().describe('ID da especialidade (qualquer médico dela)'),
+  especialidadeNome: z.string().optional().describe('Nome da especialidade (qualquer médico dela)'),
+  dataInicio: z.string().optional().describe('YYYY-MM-DD, primeiro dia aceitável (padrão = hoje)'),
+  dataFim: z.string().optional().describe(`YYYY-MM-DD, último dia aceitável (padrão = ${WAITLIST_DEFAULT_DAYS} dias depois do início)`)
+});
+
+export async function entrarListaEsperaDB(payload = {}, ctx = {}) {
+  try {
+    const data = entrarListaEsperaSchema.parse(payload);
+
+    const cpfNum = String(data.cpf).replace(/\D/g, '');
+    if (!isValidCPF(cpfNum)) {
+      return { ok: false, message: 'CPF inválido. Verifique e envie novamente.' };
+    }
+    const birthISO = await normalizeBirthDate(data.nascimento);
+    if (!birthISO) {
+      return { ok: false, message: 'Data de nascimento inválida. Use, por exemplo, 31/01/1990.' };
+    }
+
+    // A oferta da vaga chega pelo WhatsApp
+    const waPhone = normalizeWhatsNumber(ctx.waId || data.telefone || '');
+    if (!isValidWhatsNumber(waPhone)) {
+      return { ok: false, message: 'Informe um WhatsApp com DDD (ex.: 11 91234-5678) para eu avisar quando surgir a vaga.' };
+    }
+
+    // Médico específico ou qualquer médico da especialidade
+    let medicoId = data.medicoId != null ? String(data.medicoId) : null;
+    let especialidadeId = null;
+    if (medicoId) {
+      const { data: medicos, error } = await repos.doctors.listByIds([medicoId]);
+      if (error) return { ok: false, message: 'Erro ao buscar o médico.' };
+      if (!medicos?.length) return { ok: false, message: 'Médico não encontrado.' };
+      especialidadeId = medicos[0].especialidade_id ?? null;
+    } else {
+      const ids = await _resolveEspecialidadeIds(data);
+      if (!ids.length) return { ok: false, message: 'Informe o médico ou a especialidade desejada.' };
+      if (ids.length > 1) return { ok: false, message: 'Encontrei mais de uma especialidade com esse nome. Qual delas?' };
+      especialidadeId = ids[0];
+    }
+
+    const { data: especialidades } = await repos.specialties.list();
+    const especialidadeNome = (especialidades || []).find(e => String(e.id) === String(especialidadeId))?.nome ?? null;
+
+    // Janela de datas (dias locais)
+    const today = new Intl.DateTimeFormat('en-CA', {
+      timeZone: CLINIC_TZ, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(new Date());
+    const isYMD = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || '');
+    if ((data.dataInicio && !isYMD(data.dataInicio)) || (data.dataFim && !isYMD(data.dataFim))) {
+      return { ok: false, message: 'Datas da lista de espera devem vir como YYYY-MM-DD.' };
+    }
+    const dateFrom = data.dataInicio && data.dataInicio > today ? data.dataInicio : today;
+    const dateTo = data.dataFim || addDaysYMD(dateFrom, WAITLIST_DEFAULT_DAYS);
+    if (dateTo < dateFrom) return { ok: false, message: 'A data final precisa ser depois da inicial.' };
+    if (dateTo > addDaysYMD(dateFrom, WAITLIST_MAX_DAYS)) {
+      return { ok: false, message: `A lista de espera vale por até ${WAITLIST_MAX_DAYS} dias. Escolha uma data final mais próxima.` };
+    }
+
+    const { data: created, error } = await repos.waitlist.insert({
+      name: data.nome,
+      cpf: cpfNum,
+      birthdate: birthISO,
+      phone: waPhone,
+      email: String(data.email).trim().toLowerCase(),
+      region: data.regiao ?? null,
+      reason: data.motivo ?? null,
+      specialty: especialidadeNome,
+      medico_id: medicoId,
+      especialidade_id: medicoId ? null : especialidadeId,
+      date_from: dateFrom,
+      date_to: dateTo
+    });
+    if (error) {
+      console.error('[entrarListaEsperaDB] insert error:', error);
+      return { ok: false, message: 'Erro ao entrar na lista de espera.' };
+    }
+
+    return {
+      ok: true,
+      id: created.id,
+      resumo: { dataInicio: dateFrom, dataFim: dateTo, medicoId, especialidade: especialidadeNome, telefone: waPhone }
+    };
+  } catch (e) {
+    if (e instanceof ZodError) {
+      return { ok: false, message: e.issues[0]?.message || 'Dados inválidos.' };
+    }
+    console.error('[entrarListaEsperaDB] erro:', e);
+    return { ok: false, message: 'Erro inesperado ao entrar na lista de espera.' };
+  }
+}
+
+
+
+/* -------------------------------------------------------------------------- */
+/* Registro de tools                                                          */
+/* -------------------------------------------------------------------------- */
+// Fonte única: declaração p/ o modelo (schema zod → Vertex), validação dos args,
+// handler, o tipo de lista que a resposta produz (seleção numérica) e se a tool
+// altera dados (mutates: true → nunca roda em paralelo com outras).
+// Para adicionar uma tool, basta incluí-la aqui (ver tools/registry.js).
+// Verificação do titular quando o pedido não vem do telefone da consulta
+const titularArgs = {
+  cpf: z.string().optional().describe('CPF do titular (só quando a tool pedir verificação)'),
+  nascimento: z.string().optional().describe('Data de nascimento do titular (só quando a tool pedir verificação)')
+};
+
+const especialidadeArgs = {
+  especialidadeId: zId().optional().describe('ID da especialidade (opcional)'),
+  especialidadeNome: z.string().optional().describe('Nome da especialidade (opcional, usa ilike)')
+};
+
+// Preferências do paciente ("só de manhã", "às terças à tarde"), no fuso da clínica
+const preferenciaArgs = {
+  periodo: z.enum(['manha', 'tarde', 'noite']).optional().describe('Período do dia: manha (06–12h), tarde (12–18h), noite (18h+)'),
+  horaInicio: z.string().optional().describe('HH:MM — só horários a partir desta hora (faixa explícita; prevalece sobre "periodo")'),
+  horaFim: z.string().optional().describe('HH:MM — só horários que começam antes desta hora'),
+  diasSemana: z.array(z.number()).optional().describe('Dias da semana aceitos: 0 = domingo, 1 = segunda … 6 = sábado')
+};
+
+// Período das agendas (semana, "até dia 20", "próximas 3 semanas") e paginação ("ver mais")
+const intervaloArgs = {
+  inicio: z.string().optional().describe('YYYY-MM-DD, primeiro dia do período (padrão = hoje)'),
+  fim: z.string().optional().describe('YYYY-MM-DD, último dia do período, inclusive (ex.: "até dia 20")'),
+  dias: z.number().optional().describe('Quantidade de dias a partir do início, quando não houver "fim" (padrão 7, máx. 60)'),
+  maxPorDia: z.number().optional().describe('Máximo de horários por dia (opcional)'),
+  pagina: z.number().optional().describe('Página (padrão 1). "Ver mais" = mesma busca com a próxima página'),
+  porPagina: z.number().optional().describe('Horários por página (padrão 15; 10 no WhatsApp; máx. 50)')
+};
+
+export const TOOLS = [
+  {
+    name: 'validarDataHora',
+    description: 'Valida/normaliza data e hora fornecidas pelo paciente.',
+    schema: z.object({
+      dataText: z.string().describe('Texto de data/hora em pt-BR')
+    }),
+    handler: validarDataHora
+  },
+  {
+    name: 'criarAgendamento',
+    description: 'Cria um agendamento de consulta.',
+    schema: criarAgendamentoSchema,
+    handler: criarAgendamentoDB,
+    mutates: true
+  },
+  {
+    name: 'listarEspecialidades',
+    description: 'Retorna a lista de especialidades.',
+    schema: z.object({}),
+    handler: listarEspecialidadesDB,
+    listKind: 'especialidades'
+  },
+  {
+    name: 'listarMedicos',
+    description: 'Lista médicos cadastrados.',
+    schema: z.object({
+      busca: z.string().optional().describe('Filtro por parte do nome (opcional)'),
+      limite: z.number().optional().describe('Máximo de médicos a retornar (padrão 8)')
+    }),
+    handler: listarMedicosDB,
+    listKind: 'medicos'
+  },
+  {
+    name: 'listarMedicosPorEspecialidade',
+    description: 'Lista médicos de uma especialidade.',
+    schema: z.object({
+      ...especialidadeArgs,
+      limite: z.number().optional().describe('Máximo de médicos a retornar (padrão 50)')
+    }),
+    handler: listarMedicosPorEspecialidadeDB,
+    listKind: 'medicos'
+  },
+  {
+    name: 'listarHorariosMedico',
+    description: 'Lista horários livres de um médico em um dia.',
+    schema: z.object({
+      medicoId: zId().describe('ID do médico'),
+      dia: z.string().optional().describe('YYYY-MM-DD no fuso da clínica (padrão = amanhã)'),
+      limite: z.number().optional().describe('Máximo de slots (padrão 12)'),
+      ...preferenciaArgs
+    }),
+    handler: listarHorariosMedicoDB,
+    listKind: 'slots'
+  },
+  {
+    name: 'listarAgendaSemanalMedico',
+    description: 'Lista os horários livres do médico em um período (padrão: 7 dias a partir de hoje), agrupados por dia e paginados.',
+    schema: z.object({
+      medicoId: zId().describe('ID do médico'),
+      ...intervaloArgs,
+      ...preferenciaArgs
+    }),
+    handler: listarAgendaSemanalMedicoDB,
+    listKind: 'slots'
+  },
+  {
+    name: 'listarProximoDiaDisponivelMedico',
+    description: 'Encontra a primeira data com horário livre de um médico (que atenda às preferências de período/dias da semana, se houver) e retorna os slots desse dia.',
+    schema: z.object({
+      medicoId: zId().describe('ID do médico'),
+      aPartirDe: z.string().optional().describe('YYYY-MM-DD (opcional, padrão = hoje/agora no fuso da clínica)'),
+      ...preferenciaArgs
+    }),
+    handler: listarProximoDiaDisponivelMedicoDB,
+    listKind: 'slots'
+  },
+  {
+    name: 'listarHorariosPorEspecialidade',
+    description: 'Lista horários livres dos médicos de uma especialidade em um dia.',
+    schema: z.object({
+      ...especialidadeArgs,
+      dia: z.string().optional().describe('YYYY-MM-DD no fuso da clínica (padrão = amanhã)'),
+      limite: z.number().optional().describe('Máximo de slots (padrão 12)'),
+      ...preferenciaArgs
+    }),
+    handler: listarHorariosPorEspecialidadeDB,
+    listKind: 'slots'
+  },
+  {
+    name: 'listarAgendaSemanalEspecialidade',
+    description: 'Lista horários livres da ESPECIALIDADE em um período (padrão: 7 dias a partir de hoje), agrupados por dia e paginados.',
+    schema: z.object({ ...especialidadeArgs, ...intervaloArgs, ...preferenciaArgs }),
+    handler: listarAgendaSemanalEspecialidadeDB,
+    listKind: 'slots'
+  },
+  {
+    name: 'listarProximoDiaDisponivelEspecialidade',
+    description: 'Encontra a primeira data com horário livre para a especialidade (que atenda às preferências de período/dias da semana, se houver) e retorna os slots desse dia.',
+    schema: z.object({
+      ...especialidadeArgs,
+      aPartirDe: z.string().optional().describe('YYYY-MM-DD (opcional, padrão = hoje/agora no fuso da clínica)'),
+      ...preferenciaArgs
+    }),
+    handler: listarProximoDiaDisponivelEspecialidadeDB,
+    listKind: 'slots'
+  },
+  {
+    name: 'listarMinhasConsultas',
+    description: 'Lista as próximas consultas do paciente que está falando (pelo número do WhatsApp), com médico e horário.',
+    schema: z.object({
+      limite: z.number().optional().describe('Máximo de consultas (padrão 10)')
+    }),
+    handler: listarMinhasConsultasDB,
+    listKind: 'consultas'
+  },
+  {
+    name: 'desmarcarAgendamento',
+    description: 'Cancela um agendamento (appointments) e libera o respectivo slot na agenda.',
+    schema: z.object({
+      appointmentId: z.string().describe('ID do agendamento'),
+      ...titularArgs
+    }),
+    handler: desmarcarAgendamentoDB,
+    mutates: true
+  },
+  {
+    name: 'confirmarAgendamento',
+    description: 'Confirma a presença do paciente em um agendamento pendente (ex.: resposta ao lembrete).',
+    schema: z.object({
+      appointmentId: z.string().describe('ID do agendamento'),
+      ...titularArgs
+    }),
+    handler: confirmarAgendamentoDB,
+    mutates: true
+  },
+  {
+    name: 'remarcarAgendamento',
+    description: 'Remarca um agendamento para um novo horário: reserva o slot novo e libera o antigo, mantendo os dados do paciente.',
+    schema: z.object({
+      appointmentId: z.string().describe('ID do agendamento'),
+      slotId: zId().optional().describe('ID do novo slot (recomendado quando o paciente escolhe um horário listado)'),
+      dataISO: z.string().optional().describe('Nova data/hora (quando não houver slotId)'),
+      medicoId: zId().optional().describe('ID do médico do novo horário (padrão = médico atual)'),
+      previa: z.boolean().optional().describe('true = só confere e devolve o resumo, sem remarcar (use antes do "Posso confirmar?")'),
+      ...titularArgs
+    }),
+    handler: remarcarAgendamentoDB,
+    mutates: true
+  },
+  {
+    name: 'entrarListaEspera',
+    description: 'Coloca o paciente na lista de espera de um médico ou especialidade; se um horário no período for liberado, a vaga é oferecida pelo WhatsApp.',
+    schema: entrarListaEsperaSchema,
+    handler: entrarListaEsperaDB,
+    mutates: true
+  }
+];
@@ -0,0 +1,59 @@
+// tools/registry.js
+import { TOOLS } from './llm-tools.js';
+import { zodToVertexSchema } from '../helpers/zod-vertex.js';
+
+const byName = new Map(TOOLS.map(t => [t.name, t]));
+
+// Declarações enviadas ao modelo (derivadas dos schemas zod)
+export function getFunctionDeclarations() {
+  return TOOLS.map(t => ({
+    name: t.name,
+    description: t.description,
+    parameters: zodToVertexSchema(t.schema)
+  }));
+}
+
+// 'slots' | 'medicos' | 'especialidades' | 'consultas' | null — usado na seleção numérica
+export function listKindOf(name) {
+  return byName.get(name)?.listKind ?? null;
+}
+
+// Valida os args com o schema da tool e executa o handler.
+// ctx = quem está falando ({ channel, waId } no WhatsApp, { channel, sessionId } na web);
+// vem do servidor, nunca do modelo.
+export async function runTool(name, args = {}, ctx = {}) {
+  const tool = byName.get(name);
+  if (!tool) return { ok: false, message: `Função desconhecida: ${name}` };
+
+  const parsed = tool.schema.safeParse(args ?? {});
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    const field = issue?.path?.join('.');
+    return { ok: false, message: issue?.message ? `${field ? field + ': ' : ''}${issue.message}` : 'Argumentos inválidos.' };
+  }
+
+  return tool.handler(parsed.data, ctx);
+}
+
+// Executa todas as chamadas de um mesmo candidato, devolvendo os resultados na
+// ordem das chamadas. Tools de leitura rodam em paralelo; as que alteram dados
+// (mutates: true) rodam depois, uma a uma.
+export async function runToolCalls(calls = [], ctx = {}) {
+  const results = new Array(calls.length);
+
+  const safeRun = async (i) => {
+    const { name, args } = calls[i];
+    try {
+      results[i] = await runTool(name, args || {}, ctx);
+    } catch (e) {
+      console.error(`[runToolCalls] ${name} lançou erro:`, e);
+      results[i] = { ok: false, message: `Falha ao executar ${name}.` };
+    }
+  };
+
+  const idx = calls.map((_, i) => i);
+  await Promise.all(idx.filter(i => !byName.get(calls[i].name)?.mutates).map(safeRun));
+  for (const i of idx.filter(i => byName.get(calls[i].name)?.mutates)) await safeRun(i);
+
+  return results;
+}
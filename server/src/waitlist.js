@@ -0,0 +1,249 @@
+// waitlist.js — oferta automática de vagas para a lista de espera
+//
+// Slot liberado (slot-events) → segura o slot (livre → oferta) e oferece, por ordem
+// de entrada, a quem está aguardando aquele médico/especialidade naquele dia.
+// A oferta vai por template do WhatsApp com botões Aceitar / Recusar e vale por
+// WAITLIST_HOLD_MIN minutos. Recusou ou expirou → próximo da fila; ninguém → o
+// slot volta a "livre". Aceitou → agendamento com os dados guardados na entrada.
+import cron from 'node-cron';
+import { repos } from './repositories/index.js';
+import { slotEvents, emitSlotFreed } from './slot-events.js';
+import { normalizeWhatsNumber } from './helpers/validators.js';
+
+const CLINIC_TZ = process.env.CLINIC_TZ || 'America/Sao_Paulo';
+
+const PAYLOAD_RE = /^ESPERA_(ACEITAR|RECUSAR):([0-9a-f-]{36})$/i;
+
+// Payloads dos botões do template "waitlist_offer" (mesma ordem do template)
+export function offerButtons(offerId) {
+  return [`ESPERA_ACEITAR:${offerId}`, `ESPERA_RECUSAR:${offerId}`];
+}
+
+export function parseOfferPayload(payload) {
+  const m = String(payload || '').trim().match(PAYLOAD_RE);
+  return m ? { action: m[1].toLowerCase(), offerId: m[2].toLowerCase() } : null;
+}
+
+const ymdLocal = (iso) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: CLINIC_TZ, year: 'numeric', month: '2-digit', day: '2-digit'
+}).format(new Date(iso));
+
+const fmtLocal = (iso) => new Date(iso).toLocaleString('pt-BR', {
+  timeZone: CLINIC_TZ, weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric',
+  hour: '2-digit', minute: '2-digit'
+});
+
+export function createWaitlistService({
+  sendWhatsAppTemplate,
+  appendHistory,
+  holdMinutes = Number(process.env.WAITLIST_HOLD_MIN || 30),
+  now = () => new Date()
+}) {
+  async function medicoOf(medicoId) {
+    const { data } = await repos.doctors.listByIds([String(medicoId)]);
+    return data?.[0] || null;
+  }
+
+  /**
+   * Oferece o slot ao próximo da fila. Retorna a oferta criada ou null (ninguém
+   * elegível, slot já ocupado ou outra oferta pendente para ele).
+   */
+  async function offerSlot(slotId) {
+    const { data: slot, error } = await repos.slots.getById(slotId);
+    if (error || !slot) return null;
+    // "livre": recém-liberado. "oferta": veio de recusa/expiração.
+    if (slot.status !== 'livre' && slot.status !== 'oferta') return null;
+
+    const expiresAt = new Date(now().getTime() + holdMinutes * 60000);
+    const medico = await medicoOf(slot.medico_id);
+    let candidates = [];
+    // Sem tempo para o paciente responder antes da consulta: ninguém é elegível
+    if (new Date(slot.datetime) > expiresAt) {
+      const { data: waiting } = await repos.waitlist.listWaiting({
+        medicoId: slot.medico_id,
+        especialidadeId: medico?.especialidade_id ?? null,
+        day: ymdLocal(slot.datetime)
+      });
+
+      // Fora quem já recebeu este slot e quem está com outra oferta em aberto
+      const ids = (waiting || []).map(w => w.id);
+      const { data: offers } = ids.length ? await repos.waitlist.listOffersByEntries(ids) : { data: [] };
+      const skip = new Set((offers || [])
+        .filter(o => String(o.slot_id) === String(slotId) || o.status === 'pendente')
+        .map(o => o.entry_id));
+      candidates = (waiting || []).filter(w => !skip.has(w.id));
+    }
+
+    // Ninguém a quem oferecer: o slot fica (ou volta) na agenda
+    if (!candidates.length) {
+      if (slot.status === 'oferta') await repos.slots.release(slotId, { onlyIfStatus: 'oferta' });
+      return null;
+    }
+    if (slot.status === 'livre') {
+      const { data: held } = await repos.slots.holdForOffer(slotId);
+      if (!held) return null; // alguém agendou antes
+    }
+
+    for (const entry of candidates) {
+      const { data: offer } = await repos.waitlist.createOffer({ entryId: entry.id, slotId, expiresAt });
+      if (!offer) return null; // outra instância ofereceu este slot ao mesmo tempo
+
+      const quando = fmtLocal(slot.datetime);
+      try {
+        await sendWhatsAppTemplate(entry.phone, 'waitlist_offer', [entry.name, quando, medico?.nome || 'médico', String(holdMinutes)], {
+          buttons: offerButtons(offer.id)
+        });
+      } catch (e) {
+        console.error(`❌ Lista de espera: oferta ${offer.id} não foi enviada:`, e?.message || e);
+        await repos.waitlist.resolveOffer(offer.id, 'expirada');
+        continue;
+      }
+
+      // Linha de sistema no histórico do contato (o modelo fica sabendo da oferta); a
+      // oferta já saiu, então uma falha aqui só fica no log
+      const note = `🔔 [sistema] Vaga da lista de espera oferecida a ${entry.name}: ${quando} com ${medico?.nome || 'o médico'}. Reservada por ${holdMinutes} min; o paciente aceita ou recusa pelos botões da mensagem.`;
+      try {
+        await appendHistory(entry.phone, [{ role: 'model', parts: [{ text: note }] }]);
+      } catch (e) {
+        console.error(`❌ Lista de espera: falha ao gravar a oferta ${offer.id} no histórico:`, e?.message || e);
+      }
+      console.log(`📣 Lista de espera: slot ${slotId} oferecido à entrada ${entry.id} até ${expiresAt.toISOString()}`);
+      return offer;
+    }
+
+    await repos.slots.release(slotId, { onlyIfStatus: 'oferta' });
+    return null;
+  }
+
+  async function accept(offer, entry) {
+    const gone = { text: 'Que pena, essa vaga não está mais disponível. Você continua na lista de espera.' };
+
+    if (new Date(offer.expires_at) <= now()) return gone;
+
+    // Primeiro o slot, depois a oferta: se a reserva falhar, a oferta segue pendente
+    // e expira pelo caminho normal
+    const { data: slot } = await repos.slots.reserveById(offer.slot_id, { fromStatus: 'oferta' });
+    if (!slot) return gone;
+
+    const { data: won } = await repos.waitlist.resolveOffer(offer.id, 'aceita', { validAt: now() });
+    if (!won) {
+      // Oferta venceu nesse meio-tempo: o slot volta para a agenda (e para a fila)
+      await repos.slots.release(slot.id, { onlyIfStatus: 'agendado' });
+      emitSlotFreed(slot.id, 'lista de espera');
+      return gone;
+    }
+
+    const { data: created, error } = await repos.appointments.insert({
+      name: entry.name,
+      cpf: entry.cpf,
+      birthdate: entry.birthdate,
+      specialty: entry.specialty,
+      region: entry.region,
+      phone: entry.phone,
+      email: entry.email,
+      reason: entry.reason ?? null,
+      datetime: slot.datetime,
+      consent: true,
+      status: 'pendente',
+      source: 'lista_espera',
+      slot_id: slot.id,
+      medico_id: slot.medico_id,
+      meta: { waitlist_id: entry.id }
+    });
+    if (error) {
+      console.error('[waitlist.accept] appointments.insert error:', error);
+      await repos.slots.release(slot.id, { onlyIfStatus: 'agendado' });
+      emitSlotFreed(slot.id, 'lista de espera');
+      return { text: 'Não consegui concluir o agendamento agora. Por favor, fale com a recepção.' };
+    }
+
+    await repos.waitlist.setStatus(entry.id, { from: 'aguardando', to: 'atendido', appointmentId: created.id });
+    console.log(`✅ Lista de espera: entrada ${entry.id} agendada (${created.id})`);
+
+    const medico = await medicoOf(slot.medico_id);
+    return {
+      text: `✅ Vaga garantida! Sua consulta ficou para ${fmtLocal(created.datetime)}${medico ? ` com ${medico.nome}` : ''}. ID da consulta: ${created.id}. Guarde este ID — ele será necessário se você quiser cancelar.`
+    };
+  }
+
+  /**
+   * Botões da oferta, mesmo contrato de runReminderAction:
+   * null (não é payload da lista de espera) | { text }
+   */
+  async function runOfferAction(payload, ctx = {}) {
+    const parsed = parseOfferPayload(payload);
+    if (!parsed) return null;
+
+    const { data: offer } = await repos.waitlist.getOffer(parsed.offerId);
+    const { data: entry } = offer ? await repos.waitlist.getById(offer.entry_id) : { data: null };
+    // Só quem recebeu a oferta pode respondê-la
+    if (!entry || !ctx.waId || normalizeWhatsNumber(ctx.waId) !== normalizeWhatsNumber(entry.phone)) {
+      return { text: 'Não encontrei essa oferta de vaga.' };
+    }
+    if (offer.status !== 'pendente' || entry.status !== 'aguardando') {
+      return { text: 'Essa oferta de vaga já foi encerrada. Você continua na lista de espera.' };
+    }
+
+    if (parsed.action === 'aceitar') return accept(offer, entry);
+
+    const { data: declined } = await repos.waitlist.resolveOffer(offer.id, 'recusada');
+    if (declined) await offerSlot(offer.slot_id);
+    return { text: 'Tudo bem! Você continua na lista de espera e eu aviso se surgir outro horário.' };
+  }
+
+  // Ofertas vencidas → próximo da fila (compare-and-set: várias instâncias podem rodar)
+  async function expireOffers(at = now()) {
+    const { data: expired, error } = await repos.waitlist.listExpiredOffers(at);
+    if (error) {
+      console.error('❌ Lista de espera: erro ao buscar ofertas vencidas:', error);
+      return 0;
+    }
+    let n = 0;
+    for (const offer of expired || []) {
+      const { data: won } = await repos.waitlist.resolveOffer(offer.id, 'expirada');
+      if (!won) continue;
+      n++;
+      await offerSlot(offer.slot_id);
+    }
+    return n;
+  }
+
+  // Slot preso em "oferta" sem oferta pendente: o processo caiu entre segurar o slot e
+  // ofertar, ou entre expirar uma oferta e passar ao próximo. Retoma a rodada (sem
+  // ninguém na fila, offerSlot devolve o slot para "livre").
+  async function sweepStrandedOffers() {
+    const { data: slotIds, error } = await repos.waitlist.listStrandedOfferSlots();
+    if (error) {
+      console.error('❌ Lista de espera: erro ao buscar slots presos em oferta:', error);
+      return 0;
+    }
+    for (const slotId of slotIds || []) await offerSlot(slotId);
+    return slotIds?.length || 0;
+  }
+
+  const onFreed = ({ slotId }) => {
+    offerSlot(slotId).catch(e => console.error(`❌ Lista de espera: oferta do slot ${slotId} falhou:`, e?.message || e));
+  };
+
+  let task = null;
+  return {
+    offerSlot,
+    runOfferAction,
+    expireOffers,
+    sweepStrandedOffers,
+    start() {
+      slotEvents.on('freed', onFreed);
+      task = cron.schedule('* * * * *', () => {
+        expireOffers()
+          .then(() => sweepStrandedOffers())
+          .then(n => { if (n) console.log(`📣 Lista de espera: ${n} slot(s) preso(s) em oferta retomado(s)`); })
+          .catch(e => console.error('❌ Lista de espera: expiração falhou:', e?.message || e));
+      }, { timezone: CLINIC_TZ });
+      console.log(`⏳ Lista de espera: ofertas valem ${holdMinutes} min`);
+    },
+    stop() {
+      slotEvents.off('freed', onFreed);
+      task?.stop();
+    }
+  };
+}
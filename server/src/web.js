@@ -0,0 +1,52 @@
+// web.js
+import express from 'express';
+import crypto from 'crypto';
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_MESSAGE_LEN = 2000;
+const MAX_TURNS = 12;
+
+/* ========= Router (POST /api/chat) ========= */
+// O histórico da conversa fica no servidor, indexado pelo token de sessão.
+// Qualquer "history" enviado pelo cliente é ignorado (poderia forjar
+// functionResponse / SELECAO_NUMERICA).
+export function createWebChatRouter({ runChatTurn, getWebHistory, saveWebHistory, webSessionExists }) {
+    const router = express.Router();
+
+    router.post('/chat', async (req, res) => {
+        const message = String(req.body?.message ?? '').trim();
+        if (!message) {
+            return res.status(400).json({ error: 'Campo "message" é obrigatório.' });
+        }
+        if (message.length > MAX_MESSAGE_LEN) {
+            return res.status(413).json({ error: `Mensagem muito longa (máx. ${MAX_MESSAGE_LEN} caracteres).` });
+        }
+
+        // Só reaproveita tokens emitidos por nós e ainda vivos; senão, abre sessão nova
+        let sessionId = String(req.body?.sessionId || req.get('x-session-id') || '');
+        if (!UUID_RE.test(sessionId) || !(await webSessionExists(sessionId))) {
+            sessionId = crypto.randomUUID();
+        }
+
+        try {
+            console.log(`🌐 Web chat [${sessionId}]: "${message}"`);
+
+            const history = await getWebHistory(sessionId);
+            const { text: reply, ctxDelta } = await runChatTurn(history, message, { channel: 'web', sessionId, ip: req.ip });
+
+            const newHistory = [
+                ...history,
+                { role: 'user', parts: [{ text: message }] },
+                ...(ctxDelta || [])
+            ];
+            await saveWebHistory(sessionId, newHistory.slice(-(MAX_TURNS * 5)));
+
+            return res.json({ sessionId, text: reply || '...' });
+        } catch (err) {
+            console.error('❌ Erro no /api/chat:', err);
+            return res.status(500).json({ sessionId, error: 'Não consegui responder agora. Tente novamente.' });
+        }
+    });
+
+    return router;
+}
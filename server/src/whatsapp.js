@@ -1,7 +1,10 @@
 // whatsapp.js
 import express from 'express';
-import crypto from 'crypto';
 import { verifyWebhookSignature } from './helpers/signature.js';
+import { enqueueJob, startQueueWorkers } from './queue.js';
+import { acquireLock, releaseLock, extendLock } from './lock.js';
+import { keyContactLock, CONTACT_LOCK_TTL_MS } from './session.js';
+import { optionLabel, renderOptionsReply } from './helpers/list-format.js';
 
 /* ========= Envio de mensagens ========= */
 export async function sendWhatsAppText(to, body) {
@@ -32,12 +35,14 @@ export async function sendWhatsAppText(to, body) {
     else console.log('✅ WhatsApp enviado para', to, '| id:', data?.messages?.[0]?.id);
 }
 
-export async function sendWhatsAppTemplate(to, templateName, params = []) {
+// buttons: payloads dos botões quick-reply do template, na ordem em que foram
+// cadastrados na Meta (voltam no webhook como mensagem "button")
+export async function sendWhatsAppTemplate(to, templateName, params = [], { buttons = [] } = {}) {
     const token = process.env.WHATSAPP_TOKEN;
     const phoneId = process.env.PHONE_NUMBER_ID;
 
     if (!token || !phoneId) {
-        console.log('⚠️ Tokens do WhatsApp não configurados - simulando envio de template:', { to, templateName, params });
+        console.log('⚠️ Tokens do WhatsApp não configurados - simulando envio de template:', { to, templateName, params, buttons });
         return;
     }
 
@@ -49,10 +54,18 @@ export async function sendWhatsAppTemplate(to, templateName, params = []) {
         template: {
             name: templateName,
             language: { code: 'pt_BR' },
-            components: params.length ? [{
-                type: 'body',
-                parameters: params.map(t => ({ type: 'text', text: String(t) }))
-            }] : []
+            components: [
+                ...(params.length ? [{
+                    type: 'body',
+                    parameters: params.map(t => ({ type: 'text', text: String(t) }))
+                }] : []),
+                ...buttons.map((payload, i) => ({
+                    type: 'button',
+                    sub_type: 'quick_reply',
+                    index: String(i),
+                    parameters: [{ type: 'payload', payload: String(payload) }]
+                }))
+            ]
         }
     };
 
@@ -62,14 +75,171 @@ export async function sendWhatsAppTemplate(to, templateName, params = []) {
         body: JSON.stringify(payload)
     });
 
+    // Lança na falha: quem envia template (lembretes, ofertas) precisa saber que não saiu
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok || data.error) {
+        console.error('❌ Falha template:', data);
+        throw new Error(`Falha ao enviar template ${templateName}: ${data?.error?.message || `HTTP ${r.status}`}`);
+    }
+    console.log('✅ Template enviado', data?.messages?.[0]?.id);
+}
+
+// interactive: objeto "interactive" da Cloud API (type "list" ou "button")
+export async function sendWhatsAppInteractive(to, interactive) {
+    const token = process.env.WHATSAPP_TOKEN;
+    const phoneId = process.env.PHONE_NUMBER_ID;
+
+    if (!token || !phoneId) {
+        console.log('⚠️ Tokens do WhatsApp não configurados - simulando envio interativo:', { to, interactive });
+        return;
+    }
+
+    const url = `https://graph.facebook.com/v22.0/${phoneId}/messages`;
+    const payload = {
+        messaging_product: 'whatsapp',
+        to,
+        type: 'interactive',
+        interactive
+    };
+
+    const r = await fetch(url, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+
     const data = await r.json();
-    if (!r.ok || data.error) console.error('❌ Falha template:', data);
-    else console.log('✅ Template enviado', data?.messages?.[0]?.id);
+    if (!r.ok || data.error) console.error('❌ Falha ao enviar interativo:', data);
+    else console.log('✅ Interativo enviado para', to, '| id:', data?.messages?.[0]?.id);
+}
+
+
+/* ========= Listas selecionáveis (interativas) ========= */
+// Limites da Cloud API: até 3 botões (título ≤ 20), até 10 linhas de lista
+// (título ≤ 24, descrição ≤ 72), corpo ≤ 1024. Acima de 10 opções vai texto numerado.
+const WA_MAX_BUTTONS = 3;
+const WA_BUTTON_TITLE_MAX = 20;
+const WA_MAX_ROWS = 10;
+const WA_ROW_TITLE_MAX = 24;
+const WA_ROW_DESC_MAX = 72;
+const WA_BODY_MAX = 1024;
+
+const LIST_SECTION_TITLES = {
+    slots: 'Horários',
+    medicos: 'Médicos',
+    especialidades: 'Especialidades',
+    consultas: 'Consultas'
+};
+
+// id da linha/botão: OPCAO:<n>:<key> — n é o número da opção, key identifica o item
+const OPTION_ID_RE = /^OPCAO:(\d+):(.+)$/;
+const optionId = (n, key) => `OPCAO:${n}:${key}`.slice(0, 200);
+const clip = (s, max) => (s.length > max ? `${s.slice(0, max - 1)}…` : s);
+
+/**
+ * Resposta do turno → mensagens a enviar: [{ text }] e/ou [{ interactive }].
+ * list = { kind, options: [{ n, item }] } (listOfTurn do chat) ou null.
+ */
+export function buildWhatsAppReply(text, list) {
+    const body = String(text || '').trim();
+    if (!list?.options?.length) return [{ text: body || '...' }];
+
+    const labeled = list.options.map(({ n, item }) => ({ n, label: optionLabel(list.kind, item) }));
+
+    if (labeled.length > WA_MAX_ROWS) {
+        return [{ text: renderOptionsReply(body, list) }];
+    }
+
+    // corpo longo demais para a mensagem interativa: o texto vai antes, separado
+    const pre = [];
+    let leadIn = body || 'Escolha uma opção:';
+    if (leadIn.length > WA_BODY_MAX) {
+        pre.push({ text: leadIn });
+        leadIn = 'Escolha uma opção:';
+    }
+
+    const asButtons = labeled.length <= WA_MAX_BUTTONS &&
+        labeled.every(({ label }) => !label.description && label.title.length <= WA_BUTTON_TITLE_MAX);
+
+    if (asButtons) {
+        return [...pre, {
+            interactive: {
+                type: 'button',
+                body: { text: leadIn },
+                action: {
+                    buttons: labeled.map(({ n, label }) => ({
+                        type: 'reply',
+                        reply: { id: optionId(n, label.key), title: label.title }
+                    }))
+                }
+            }
+        }];
+    }
+
+    return [...pre, {
+        interactive: {
+            type: 'list',
+            body: { text: leadIn },
+            action: {
+                button: 'Ver opções',
+                sections: [{
+                    title: LIST_SECTION_TITLES[list.kind] || 'Opções',
+                    rows: labeled.map(({ n, label }) => ({
+                        id: optionId(n, label.key),
+                        title: clip(label.title, WA_ROW_TITLE_MAX),
+                        ...(label.description ? { description: clip(label.description, WA_ROW_DESC_MAX) } : {})
+                    }))
+                }]
+            }
+        }
+    }];
+}
+
+
+/* ========= Fila de mensagens recebidas ========= */
+// As mensagens vão para a caixa de entrada do contato (wa:inbox:<wa_id>) e a fila
+// recebe só um "sinal" { userId }. O worker que pega o lock do contato processa a
+// caixa em ordem, então dois turnos do mesmo paciente nunca rodam em paralelo.
+export const WA_INBOUND_QUEUE = 'wa:inbound';
+
+const CONTACT_BUSY_RETRY_MS = 1500;
+const MAX_BATCH = 10;
+
+const contactIdOf = (message, contacts) => contacts?.[0]?.wa_id || message?.from;
+
+// Texto da mensagem como o paciente vê (texto digitado ou rótulo do botão/linha tocada)
+function messageTextOf(message) {
+    switch (message?.type) {
+        case 'button': return message.button?.text || '';
+        case 'interactive': return message.interactive?.button_reply?.title || message.interactive?.list_reply?.title || '';
+        default: return message?.text?.body || '';
+    }
+}
+
+// Opção tocada numa lista/botões de buildWhatsAppReply → { n, key } | null
+function optionChoiceOf(message) {
+    if (message?.type !== 'interactive') return null;
+    const id = message.interactive?.list_reply?.id || message.interactive?.button_reply?.id || '';
+    const m = id.match(OPTION_ID_RE);
+    return m ? { n: Number(m[1]), key: m[2] } : null;
+}
+
+// Payload de botão (template quick-reply ou botão interativo), se houver
+function buttonPayloadOf(message) {
+    if (message?.type === 'button') return message.button?.payload || null;
+    if (message?.type === 'interactive') return message.interactive?.button_reply?.id || null;
+    return null;
+}
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Bypass explícito da assinatura — só fora de produção (ex.: testes locais com curl)
+function signatureBypassEnabled() {
+    return process.env.WHATSAPP_SKIP_SIGNATURE === 'true' && process.env.NODE_ENV !== 'production';
 }
 
 
 /* ========= Router (GET verificação + POST mensagens) ========= */
-export function createWhatsAppRouter({ runChatTurn, getHistory, saveHistory, alreadyProcessed }) {
+export function createWhatsAppRouter({ alreadyProcessed, forgetProcessed, pushInbox }) {
     const router = express.Router();
 
     // GET /whatsapp/webhook — verificação
@@ -92,63 +262,197 @@ export function createWhatsAppRouter({ runChatTurn, getHistory, saveHistory, alr
         '/webhook',
         express.raw({ type: 'application/json' }),
         async (req, res) => {
-            try {
-                const rawBody = req.body; // Buffer
-                const signature = req.headers['x-hub-signature-256'];
-                const isValid = await verifyWebhookSignature(rawBody, signature);
+            const rawBody = req.body; // Buffer
+            if (!Buffer.isBuffer(rawBody)) return res.sendStatus(400);
 
-                const body = JSON.parse(rawBody.toString('utf8'));
+            const signature = req.headers['x-hub-signature-256'];
+            const isValid = await verifyWebhookSignature(rawBody, signature);
+            if (!isValid) {
+                if (!signatureBypassEnabled()) {
+                    console.warn('⛔ Webhook rejeitado: assinatura ausente/inválida');
+                    return res.sendStatus(401);
+                }
+                console.warn('⚠️ Assinatura ignorada (WHATSAPP_SKIP_SIGNATURE=true, ambiente de dev)');
+            }
+
+            let body;
+            try {
+                body = JSON.parse(rawBody.toString('utf8'));
+            } catch {
+                console.error('❌ Webhook com JSON inválido');
+                return res.status(200).send('OK');
+            }
 
+            // Só enfileira (rápido) e responde; o processamento (LLM + banco) roda nos workers
+            let pending = null;   // marcada como vista e ainda não enfileirada
+            try {
                 if (body?.object === 'whatsapp_business_account') {
-                    const entry = body.entry || [];
-                    for (const e of entry) {
-                        const changes = e.changes || [];
-                        for (const change of changes) {
+                    for (const e of (body.entry || [])) {
+                        for (const change of (e.changes || [])) {
                             const value = change.value;
-                            const messages = value?.messages || [];
-                            for (const m of messages) {
-                                await processWhatsAppMessage(m, value);
+                            for (const m of (value?.messages || [])) {
+                                if (await alreadyProcessed(m?.id)) {
+                                    console.log('↩️ mensagem duplicada ignorada:', m?.id);
+                                    continue;
+                                }
+                                pending = m?.id;
+                                const userId = contactIdOf(m, value?.contacts);
+                                await pushInbox(userId, { message: m, receivedAt: Date.now() });
+                                await enqueueJob(WA_INBOUND_QUEUE, { userId });
+                                pending = null;
                             }
                         }
                     }
                 }
-
-                // WhatsApp sempre espera 200 (mesmo em erro interno)
                 return res.status(200).send('OK');
             } catch (err) {
-                console.error('❌ Erro no webhook POST:', err);
-                return res.status(200).send('OK');
+                // Falha ao enfileirar: libera a idempotência só da mensagem que falhou (as
+                // anteriores já estão na fila; as seguintes nem foram marcadas) e deixa a Meta reenviar
+                console.error('❌ Erro ao enfileirar webhook:', err);
+                if (pending) await forgetProcessed(pending).catch(() => { });
+                return res.sendStatus(500);
             }
         }
     );
 
-    // handler interno
-    async function processWhatsAppMessage(message, value) {
-        const userId = value?.contacts?.[0]?.wa_id || message.from;
-        const text = message?.text?.body || '';
-        const msgId = message?.id;
+    return router;
+}
+
+
+/* ========= Workers (processamento fora do request) ========= */
+// Handler dos jobs da fila + opções (retries / dead-letter). Separado dos workers
+// para poder ser drenado de forma síncrona (drainQueue) em testes e scripts.
+// runReminderAction(payload, ctx) (opcional): trata botões do lembrete sem passar pelo LLM
+export function createWhatsAppProcessor({ runChatTurn, runReminderAction, getHistory, saveHistory, peekInbox, ackInbox }) {
+    // Janela de agrupamento: mensagens que chegam em sequência (ex.: "2" e "quero às 14h")
+    // viram um único turno. 0 = desligado (uma mensagem por turno, em ordem).
+    const COALESCE_MS = Number(process.env.WA_COALESCE_MS || 0);
+
+    // Espera a caixa "silenciar" por COALESCE_MS (com teto, para não segurar para sempre)
+    async function waitForQuiet(userId) {
+        const deadline = Date.now() + COALESCE_MS * 3;
+        while (Date.now() < deadline) {
+            const pending = await peekInbox(userId, MAX_BATCH);
+            const lastAt = pending.at(-1)?.receivedAt || 0;
+            const quietFor = Date.now() - lastAt;
+            if (quietFor >= COALESCE_MS) return;
+            await sleep(Math.min(COALESCE_MS - quietFor, deadline - Date.now()));
+        }
+    }
+
+    async function processWhatsAppTurn(userId, batch) {
+        const ctx = { channel: 'whatsapp', waId: userId };
+        let history = await getHistory(userId);
+        const replies = [];
+        const texts = [];
+        let choice = null;   // opção tocada na última lista (só vale se for a última mensagem do lote)
+
+        for (const { message } of batch) {
+            choice = optionChoiceOf(message);
+            if (choice) {
+                texts.push(messageTextOf(message));
+                continue;
+            }
 
-        console.log(`💬 WhatsApp de ${userId}: "${text}"`);
+            const payload = buttonPayloadOf(message);
+            const action = payload && runReminderAction ? await runReminderAction(payload, ctx) : null;
 
-        if (await alreadyProcessed(msgId)) {
-            console.log('↩️ mensagem duplicada ignorada:', msgId);
-            return;
+            if (action?.text) {
+                // Botão do lembrete resolvido direto (confirmar / cancelar)
+                console.log(`🔘 WhatsApp de ${userId}: botão ${payload}`);
+                history = [
+                    ...history,
+                    { role: 'user', parts: [{ text: messageTextOf(message) }] },
+                    { role: 'model', parts: [{ text: action.text }] }
+                ];
+                replies.push({ text: action.text });
+            } else {
+                texts.push(action?.chatText || messageTextOf(message));
+            }
         }
 
-        const history = await getHistory(userId);
-        const { text: reply, ctxDelta } = await runChatTurn(history, text)
+        const text = texts.filter(Boolean).join('\n');
+        if (texts.length) {
+            console.log(`💬 WhatsApp de ${userId} (${texts.length} msg): "${text}"`);
 
-        const newHistory = [
-            ...history,
-            { role: 'user', parts: [{ text }] },
-            ...(ctxDelta || [])
-        ];
+            // Sinais de emergência são tratados no runChatTurn, antes do modelo
+            const { text: reply, ctxDelta, list } = await runChatTurn(history, text, ctx, { choice: texts.length === 1 ? choice : null });
+            history = [
+                ...history,
+                { role: 'user', parts: [{ text }] },
+                ...(ctxDelta || [])
+            ];
+            replies.push({ text: reply, list });
+        }
 
         const MAX_TURNS = 12;
-        await saveHistory(userId, newHistory.slice(-(MAX_TURNS * 5)));
+        await saveHistory(userId, history.slice(-(MAX_TURNS * 5)));
+        return replies;
+    }
 
-        await sendWhatsAppText(userId, reply || '...');
+    async function sendReplies(userId, replies) {
+        for (const { text: replyText, list } of replies) {
+            for (const out of buildWhatsAppReply(replyText, list)) {
+                if (out.interactive) await sendWhatsAppInteractive(userId, out.interactive);
+                else await sendWhatsAppText(userId, out.text);
+            }
+        }
     }
 
-    return router;
+    async function drainContact({ userId }, { attempt, maxAttempts }) {
+        const lockKey = keyContactLock(userId);
+        const token = await acquireLock(lockKey, CONTACT_LOCK_TTL_MS);
+        if (!token) {
+            // Outro worker está no turno deste contato; tenta de novo logo depois
+            return { requeueInMs: CONTACT_BUSY_RETRY_MS };
+        }
+
+        try {
+            for (;;) {
+                if (COALESCE_MS > 0) await waitForQuiet(userId);
+
+                const batch = await peekInbox(userId, COALESCE_MS > 0 ? MAX_BATCH : 1);
+                if (!batch.length) return;
+
+                let replies;
+                try {
+                    replies = await processWhatsAppTurn(userId, batch);
+                } catch (err) {
+                    // Última tentativa: tira o lote da caixa para não travar o contato
+                    if (attempt >= maxAttempts) {
+                        await ackInbox(userId, batch.length);
+                        err.batch = batch;
+                    }
+                    throw err;
+                }
+
+                // Turno gravado: o lote sai da caixa antes das respostas, para que uma nova
+                // tentativa (falha no envio) não repita botões, agendamentos e alertas
+                await ackInbox(userId, batch.length);
+                await sendReplies(userId, replies);
+                await extendLock(lockKey, token, CONTACT_LOCK_TTL_MS);
+            }
+        } finally {
+            await releaseLock(lockKey, token);
+        }
+    }
+
+    return {
+        handler: drainContact,
+        options: {
+            concurrency: Number(process.env.WA_WORKERS || 2),
+            maxAttempts: Number(process.env.WA_MAX_ATTEMPTS || 4),
+            onDead: async ({ userId }, err) => {
+                if (userId) {
+                    await sendWhatsAppText(userId, 'Desculpe, tive um problema para responder sua mensagem. Pode enviar novamente em alguns minutos?');
+                }
+                return { userId, messages: (err?.batch || []).map(b => messageTextOf(b.message) || null) };
+            }
+        }
+    };
+}
+
+export function startWhatsAppWorkers(deps) {
+    const { handler, options } = createWhatsAppProcessor(deps);
+    return startQueueWorkers(WA_INBOUND_QUEUE, handler, options);
 }
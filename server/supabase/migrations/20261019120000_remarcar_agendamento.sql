@@ -0,0 +1,72 @@
+-- remarcar_agendamento: move o agendamento para um slot novo (já reservado pelo app)
+-- e libera o slot antigo, tudo na mesma transação.
+--
+-- Pré-condição: o app reservou p_new_slot_id (livre → agendado) antes da chamada.
+-- Se a função falhar, o app devolve o slot novo para "livre".
+-- O horário anterior fica registrado em appointments.meta.remarcacoes.
+create or replace function public.remarcar_agendamento(
+  p_appointment_id uuid,
+  p_new_slot_id bigint
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_appt     public.appointments%rowtype;
+  v_new_slot public.agenda_slots%rowtype;
+begin
+  select * into v_appt
+    from public.appointments
+   where id = p_appointment_id
+   for update;
+
+  if not found then
+    raise exception 'AGENDAMENTO_NAO_ENCONTRADO';
+  end if;
+  if v_appt.status = 'cancelado' then
+    raise exception 'AGENDAMENTO_CANCELADO';
+  end if;
+  if v_appt.slot_id = p_new_slot_id then
+    raise exception 'MESMO_HORARIO';
+  end if;
+
+  select * into v_new_slot
+    from public.agenda_slots
+   where id = p_new_slot_id
+   for update;
+
+  if not found or v_new_slot.status <> 'agendado' then
+    raise exception 'SLOT_NAO_RESERVADO';
+  end if;
+
+  update public.appointments
+     set datetime  = v_new_slot.datetime,
+         slot_id   = v_new_slot.id,
+         medico_id = v_new_slot.medico_id,
+         meta = coalesce(meta, '{}'::jsonb) || jsonb_build_object(
+           'remarcacoes',
+           coalesce(meta -> 'remarcacoes', '[]'::jsonb) || jsonb_build_array(jsonb_build_object(
+             'datetime_anterior', v_appt.datetime,
+             'slot_anterior', v_appt.slot_id,
+             'remarcado_em', now()
+           ))
+         )
+   where id = v_appt.id;
+
+  if v_appt.slot_id is not null then
+    update public.agenda_slots
+       set status = 'livre'
+     where id = v_appt.slot_id
+       and status = 'agendado';
+  end if;
+
+  return jsonb_build_object(
+    'id', v_appt.id,
+    'datetime', v_new_slot.datetime,
+    'slot_id', v_new_slot.id,
+    'medico_id', v_new_slot.medico_id,
+    'previous_datetime', v_appt.datetime,
+    'previous_slot_id', v_appt.slot_id
+  );
+end;
+$$;
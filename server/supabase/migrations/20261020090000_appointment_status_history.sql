@@ -0,0 +1,58 @@
+-- Histórico de status dos agendamentos + transição atômica
+-- As regras de transição ficam no app (src/appointment-status.js); aqui garantimos
+-- compare-and-set do status, o registro no histórico e a liberação do slot ao cancelar.
+create table if not exists public.appointment_status_history (
+  id             bigint generated always as identity primary key,
+  appointment_id uuid not null references public.appointments (id) on delete cascade,
+  from_status    text,
+  to_status      text not null,
+  actor          text not null check (actor in ('paciente', 'lembrete', 'equipe', 'sistema')),
+  reason         text,
+  created_at     timestamptz not null default now()
+);
+
+create index if not exists appointment_status_history_appt_idx
+  on public.appointment_status_history (appointment_id, created_at);
+
+create or replace function public.transicionar_status_agendamento(
+  p_appointment_id uuid,
+  p_from text,
+  p_to text,
+  p_actor text,
+  p_reason text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_appt public.appointments%rowtype;
+begin
+  update public.appointments
+     set status = p_to
+   where id = p_appointment_id
+     and status = p_from
+  returning * into v_appt;
+
+  if not found then
+    raise exception 'TRANSICAO_CONFLITO';
+  end if;
+
+  insert into public.appointment_status_history (appointment_id, from_status, to_status, actor, reason)
+  values (p_appointment_id, p_from, p_to, p_actor, p_reason);
+
+  if p_to = 'cancelado' and v_appt.slot_id is not null then
+    update public.agenda_slots
+       set status = 'livre'
+     where id = v_appt.slot_id
+       and status = 'agendado';
+  end if;
+
+  return jsonb_build_object(
+    'id', v_appt.id,
+    'status', v_appt.status,
+    'previous_status', p_from,
+    'slot_id', v_appt.slot_id,
+    'datetime', v_appt.datetime
+  );
+end;
+$$;
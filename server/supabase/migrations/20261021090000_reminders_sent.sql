@@ -0,0 +1,8 @@
+-- reminders_sent: um registro por consulta + offset (minutos antes) já lembrado.
+-- A chave primária é a trava de idempotência do scheduler (src/reminders.js).
+create table if not exists public.reminders_sent (
+  appointment_id uuid not null references public.appointments (id) on delete cascade,
+  offset_min     integer not null check (offset_min > 0),
+  sent_at        timestamptz not null default now(),
+  primary key (appointment_id, offset_min)
+);
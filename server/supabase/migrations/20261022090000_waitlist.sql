@@ -0,0 +1,51 @@
+-- Lista de espera: pacientes que querem um horário antes do próximo disponível.
+-- Quando um slot é liberado (cancelamento / remarcação), src/waitlist.js segura o
+-- slot (status "oferta") e oferece, por ordem de entrada, a quem aceita aquele
+-- médico/especialidade e dia. Cada oferta vale por um tempo; expirou ou recusou,
+-- o slot vai para o próximo da fila (ou volta a "livre").
+create table if not exists public.waitlist (
+  id               uuid primary key default gen_random_uuid(),
+  name             text not null,
+  cpf              text not null,
+  birthdate        date not null,
+  phone            text not null,
+  email            text not null,
+  region           text,
+  reason           text,
+  specialty        text,
+  medico_id        text,
+  especialidade_id bigint,
+  date_from        date not null,
+  date_to          date not null,
+  status           text not null default 'aguardando'
+                   check (status in ('aguardando', 'atendido', 'cancelado')),
+  appointment_id   uuid references public.appointments (id) on delete set null,
+  created_at       timestamptz not null default now(),
+  check (medico_id is not null or especialidade_id is not null),
+  check (date_from <= date_to)
+);
+
+create index if not exists waitlist_waiting_idx
+  on public.waitlist (created_at)
+  where status = 'aguardando';
+
+-- Uma linha por (entrada, slot) oferecido: o mesmo slot nunca volta para quem já
+-- recusou/deixou expirar, e só existe uma oferta pendente por slot.
+create table if not exists public.waitlist_offers (
+  id          uuid primary key default gen_random_uuid(),
+  entry_id    uuid not null references public.waitlist (id) on delete cascade,
+  slot_id     bigint not null references public.agenda_slots (id) on delete cascade,
+  status      text not null default 'pendente'
+              check (status in ('pendente', 'aceita', 'recusada', 'expirada')),
+  expires_at  timestamptz not null,
+  created_at  timestamptz not null default now(),
+  unique (entry_id, slot_id)
+);
+
+create unique index if not exists waitlist_offers_one_pending_per_slot
+  on public.waitlist_offers (slot_id)
+  where status = 'pendente';
+
+create index if not exists waitlist_offers_pending_expiry_idx
+  on public.waitlist_offers (expires_at)
+  where status = 'pendente';
@@ -0,0 +1,12 @@
+-- Retenção temporária de slot: quando o paciente escolhe um horário da lista, o slot
+-- fica segurado para aquele contato (held_by) até held_until enquanto ele completa
+-- os dados. O status continua "livre"; quem lista/reserva ignora retenções de
+-- outros contatos ainda vigentes (src/slot-holds.js). Vencida, não vale mais nada —
+-- o sweeper só limpa as colunas.
+alter table public.agenda_slots
+  add column if not exists held_by    text,
+  add column if not exists held_until timestamptz;
+
+create index if not exists agenda_slots_held_until_idx
+  on public.agenda_slots (held_until)
+  where held_by is not null;
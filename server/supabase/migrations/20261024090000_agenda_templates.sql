@@ -0,0 +1,80 @@
+-- Modelos de agenda por médico: dias da semana, expediente, duração da consulta,
+-- intervalos e vigência. src/slot-generator.js materializa agenda_slots a partir
+-- deles para as próximas semanas (horários locais em CLINIC_TZ).
+create table if not exists public.agenda_templates (
+  id            bigserial primary key,
+  medico_id     text not null,
+  weekdays      smallint[] not null,          -- 0 = domingo … 6 = sábado
+  start_time    time not null,                -- hora local do início do expediente
+  end_time      time not null,                -- hora local do fim (último slot termina até aqui)
+  duration_min  integer not null default 30 check (duration_min between 5 and 480),
+  breaks        jsonb not null default '[]',  -- [{ "start": "12:00", "end": "13:00" }]
+  valid_from    date not null default current_date,
+  valid_to      date,                         -- null = sem data para acabar
+  active        boolean not null default true,
+  created_at    timestamptz not null default now(),
+  check (start_time < end_time),
+  check (valid_to is null or valid_from <= valid_to),
+  check (weekdays <@ array[0, 1, 2, 3, 4, 5, 6]::smallint[])
+);
+
+create index if not exists agenda_templates_medico_idx
+  on public.agenda_templates (medico_id)
+  where active;
+
+-- Agendas cadastradas à mão podem ter o mesmo horário duplicado, e o índice único
+-- abaixo falharia. Fica um slot por (medico_id, datetime): o da consulta ativa, senão
+-- o que não está livre, senão o de menor id. Consultas que apontavam para um duplicado
+-- passam para o slot que ficou; duas consultas ativas no mesmo horário param a
+-- migração (precisa de decisão da clínica).
+do $$
+declare
+  v_conflict record;
+begin
+  select s.medico_id, s.datetime into v_conflict
+    from public.agenda_slots s
+    join public.appointments a on a.slot_id = s.id and a.status in ('pendente', 'confirmado')
+   where s.medico_id is not null
+   group by s.medico_id, s.datetime
+  having count(distinct s.id) > 1
+   limit 1;
+  if found then
+    raise exception 'agenda_slots duplicados com mais de uma consulta ativa (medico_id=%, datetime=%)',
+      v_conflict.medico_id, v_conflict.datetime;
+  end if;
+end $$;
+
+create temporary table agenda_slots_dedup as
+with slots as (
+  select s.id, s.medico_id, s.datetime, s.status,
+         exists (
+           select 1 from public.appointments a
+            where a.slot_id = s.id and a.status in ('pendente', 'confirmado')
+         ) as has_active
+    from public.agenda_slots s
+   where s.medico_id is not null
+), ranked as (
+  select id,
+         first_value(id) over (
+           partition by medico_id, datetime
+           order by has_active desc, (status <> 'livre') desc, id
+         ) as keep_id
+    from slots
+)
+select id, keep_id from ranked where id <> keep_id;
+
+update public.appointments a
+   set slot_id = d.keep_id
+  from agenda_slots_dedup d
+ where a.slot_id = d.id;
+
+-- ofertas da lista de espera dos duplicados saem junto (on delete cascade)
+delete from public.agenda_slots s
+ using agenda_slots_dedup d
+ where s.id = d.id;
+
+drop table agenda_slots_dedup;
+
+-- Idempotência do gerador: um slot por médico e horário (insert … on conflict do nothing)
+create unique index if not exists agenda_slots_medico_datetime_uniq
+  on public.agenda_slots (medico_id, datetime);
@@ -0,0 +1,24 @@
+-- Bloqueios de agenda: ausências de médico (férias, congresso…) e feriados/fechamentos
+-- da clínica cadastrados pela equipe (municipais, estaduais, recesso). Os feriados
+-- nacionais — inclusive os móveis (Carnaval, Sexta-feira Santa, Corpus Christi) — já
+-- vêm embutidos em src/helpers/holidays.js e não precisam estar aqui.
+-- src/agenda-blocks.js marca os slots dos dias bloqueados como "bloqueado" e avisa
+-- os pacientes com consulta nesses dias, oferecendo o próximo horário livre.
+create table if not exists public.agenda_blocks (
+  id          bigserial primary key,
+  medico_id   text,                           -- null = clínica inteira
+  date_from   date not null,                  -- dias locais (CLINIC_TZ), inclusive
+  date_to     date not null,
+  kind        text not null check (kind in ('ausencia', 'feriado', 'fechamento')),
+  reason      text,
+  created_at  timestamptz not null default now(),
+  check (date_from <= date_to),
+  check (kind <> 'ausencia' or medico_id is not null)
+);
+
+create index if not exists agenda_blocks_dates_idx
+  on public.agenda_blocks (date_to, date_from);
+
+-- Novo status de slot: "bloqueado" (dia fechado). Não aparece em listagens (só "livre"
+-- aparece) e não volta a "livre" ao cancelar/remarcar (os RPCs só liberam "agendado").
+comment on column public.agenda_slots.status is 'livre | agendado | oferta | bloqueado';
@@ -0,0 +1,26 @@
+-- Alertas de segurança: mensagens de pacientes com sinais de emergência (dor no
+-- peito, falta de ar, desmaio, sangramento…) ou de risco de suicídio. src/safety.js
+-- detecta antes do modelo, responde com a orientação fixa (192 / CVV 188) e grava
+-- aqui; a conversa fica sinalizada para a equipe até alguém marcar como atendida
+-- (GET /admin/safety-alerts, POST /admin/safety-alerts/:id/resolve).
+create table if not exists public.safety_alerts (
+  id          uuid primary key default gen_random_uuid(),
+  channel     text not null check (channel in ('whatsapp', 'web')),
+  contact     text not null,                  -- wa_id ou id da sessão web
+  kind        text not null check (kind in ('emergencia', 'suicidio')),
+  term        text not null,                  -- termo do léxico que disparou
+  message     text not null,                  -- mensagem do paciente (até 1000 caracteres)
+  status      text not null default 'aberto' check (status in ('aberto', 'atendido')),
+  handled_by  text,
+  handled_at  timestamptz,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists safety_alerts_open_idx
+  on public.safety_alerts (created_at)
+  where status = 'aberto';
+
+-- Alerta aberto por contato: safety.js não abre outro enquanto este não for atendido
+create index if not exists safety_alerts_open_contact_idx
+  on public.safety_alerts (channel, contact, kind)
+  where status = 'aberto';
@@ -0,0 +1,181 @@
+// Bloqueios de agenda: feriados (fixos e móveis), ausências, cancelamento com aviso e reagendamento
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScenario, localDateTime, localYMD } from './helpers/harness.js';
+import { setRepositories } from '../src/repositories/index.js';
+import { createMemoryRepositories } from '../src/repositories/memory.js';
+import { brazilianHolidays, easterSunday } from '../src/helpers/holidays.js';
+import { createAgendaBlockService, parseRebookPayload } from '../src/agenda-blocks.js';
+import { generateSlots } from '../src/slot-generator.js';
+import { createApp } from '../src/app.js';
+import { getHistory, appendHistory } from '../src/session.js';
+
+const APPT_ID = '5b2f8c1a-9d3e-4f60-a7b8-c9d0e1f2a3b4';
+const PHONE = '5511912345678';
+
+// Janelas relativas a hoje: sem feriado nacional caindo no meio do teste
+beforeEach(() => { process.env.CLINIC_NATIONAL_HOLIDAYS = 'off'; });
+
+async function scenario(extraSlots = []) {
+  return createScenario({
+    ctx: { channel: 'whatsapp', waId: PHONE },
+    slots: [
+      { medico_id: 'm1', datetime: localDateTime(5, '09:00'), status: 'agendado' },
+      { medico_id: 'm1', datetime: localDateTime(5, '10:00') },
+      ...extraSlots
+    ],
+    appointments: [{
+      id: APPT_ID, name: 'Maria da Silva', phone: PHONE, cpf: '52998224725', birthdate: '1990-01-31',
+      email: 'maria@example.com', specialty: 'Cardiologia', source: 'chatbot',
+      datetime: localDateTime(5, '09:00').toISOString(), status: 'confirmado', slot_id: 1, medico_id: 'm1'
+    }]
+  });
+}
+
+function service() {
+  const sent = [];
+  const svc = createAgendaBlockService({
+    sendWhatsAppTemplate: async (to, name, params, { buttons = [] } = {}) => { sent.push({ to, name, params, buttons }); },
+    appendHistory,
+    holdMinutes: 60
+  });
+  return { svc, sent };
+}
+
+const absence = { medicoId: 'm1', dateFrom: localYMD(5), dateTo: localYMD(6), kind: 'ausencia', reason: 'férias' };
+
+test('feriados nacionais: Páscoa e datas móveis', () => {
+  assert.equal(easterSunday(2026), '2026-04-05');
+  assert.equal(easterSunday(2027), '2027-03-28');
+
+  const byName = Object.fromEntries(brazilianHolidays(2026).map(h => [h.nome, h.date]));
+  assert.equal(byName['Carnaval (segunda-feira)'], '2026-02-16');
+  assert.equal(byName['Carnaval (terça-feira)'], '2026-02-17');
+  assert.equal(byName['Sexta-feira Santa'], '2026-04-03');
+  assert.equal(byName['Corpus Christi'], '2026-06-04');
+  assert.equal(byName['Tiradentes'], '2026-04-21');
+  assert.equal(brazilianHolidays(2026).length, 13);
+});
+
+test('gerador não cria slots em feriado nem na ausência do médico', async () => {
+  process.env.CLINIC_NATIONAL_HOLIDAYS = 'on';
+  const db = createMemoryRepositories({
+    agenda_templates: [
+      { medico_id: 'm1', weekdays: [1, 2, 3, 4, 5], start_time: '09:00', end_time: '10:00', duration_min: 30 },
+      { medico_id: 'm2', weekdays: [4], start_time: '09:00', end_time: '09:30', duration_min: 30 }
+    ],
+    agenda_blocks: [{ medico_id: 'm1', date_from: '2026-02-19', date_to: '2026-02-19', kind: 'ausencia' }]
+  });
+  setRepositories(db);
+
+  // sexta 13/02 00:00 local; segunda e terça são Carnaval, quinta a Dra. Ana está fora
+  await generateSlots({ weeks: 1, now: new Date('2026-02-13T03:00:00Z') });
+
+  const days = (medico) => [...new Set(db.tables.agenda_slots
+    .filter(s => s.medico_id === medico)
+    .map(s => s.datetime.slice(0, 10)))];
+  assert.deepEqual(days('m1'), ['2026-02-13', '2026-02-18']);
+  assert.deepEqual(days('m2'), ['2026-02-19']);
+});
+
+test('ausência do médico: bloqueia os slots, cancela e oferece o próximo horário do mesmo médico', async () => {
+  const s = await scenario([
+    { medico_id: 'm2', datetime: localDateTime(7, '09:00') },
+    { medico_id: 'm1', datetime: localDateTime(8, '14:00') }
+  ]);
+  const { svc, sent } = service();
+
+  const r = await svc.addBlock(absence);
+  assert.equal(r.blocked, 2);
+  assert.equal(r.cancelled, 1);
+  assert.equal(r.notified, 1);
+  assert.deepEqual(s.db.tables.agenda_slots.map(x => x.status), ['bloqueado', 'bloqueado', 'livre', 'livre']);
+
+  const appt = s.db.tables.appointments.find(a => a.id === APPT_ID);
+  assert.equal(appt.status, 'cancelado');
+  assert.equal(s.db.tables.appointment_status_history.at(-1).actor, 'sistema');
+  assert.match(s.db.tables.appointment_status_history.at(-1).reason, /férias/);
+
+  // mesmo médico antes de outro da especialidade, retido para o paciente
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].name, 'appointment_rebook');
+  assert.equal(sent[0].to, PHONE);
+  assert.equal(sent[0].params[2], 'férias');
+  assert.deepEqual(sent[0].buttons, [`REAGENDAR:${APPT_ID}:4`, `REAGENDAR_OUTRO:${APPT_ID}`]);
+  assert.equal(s.db.tables.agenda_slots[3].held_by, `wa:${PHONE}`);
+  assert.match((await getHistory(PHONE)).at(-1).parts[0].text, /cancelada pela clínica \(férias\)/);
+
+  // rodar de novo não cancela nem avisa outra vez
+  const again = await svc.applyBlocks({ fromYMD: localYMD(0), toYMD: localYMD(10) });
+  assert.equal(again.blocked, 0);
+  assert.equal(sent.length, 1);
+
+  // aceitar pelo botão: nova consulta no horário oferecido
+  const accepted = await svc.runRebookAction(sent[0].buttons[0], { channel: 'whatsapp', waId: PHONE });
+  assert.match(accepted.text, /Consulta remarcada/);
+  const created = s.db.tables.appointments.at(-1);
+  assert.equal(created.status, 'pendente');
+  assert.equal(created.slot_id, 4);
+  assert.equal(created.cpf, '52998224725');
+  assert.deepEqual(created.meta, { reagendado_de: APPT_ID });
+  assert.equal(s.db.tables.agenda_slots[3].status, 'agendado');
+
+  const twice = await svc.runRebookAction(sent[0].buttons[0], { channel: 'whatsapp', waId: PHONE });
+  assert.match(twice.text, /não está mais disponível/);
+});
+
+test('sem vaga com o médico: oferece a especialidade; botões só valem para o paciente', async () => {
+  const s = await scenario([{ medico_id: 'm2', datetime: localDateTime(7, '09:00') }]);
+  const { svc, sent } = service();
+
+  await svc.addBlock(absence);
+  assert.deepEqual(sent[0].buttons, [`REAGENDAR:${APPT_ID}:3`, `REAGENDAR_OUTRO:${APPT_ID}`]);
+  assert.equal(sent[0].params[4], 'Carlos Pereira');
+
+  const stranger = await svc.runRebookAction(sent[0].buttons[0], { channel: 'whatsapp', waId: '5511999990000' });
+  assert.equal(stranger.text, 'Não encontrei essa consulta.');
+  assert.equal(s.db.tables.agenda_slots[2].status, 'livre');
+
+  const other = await svc.runRebookAction(sent[0].buttons[1], { channel: 'whatsapp', waId: PHONE });
+  assert.match(other.chatText, new RegExp(APPT_ID));
+  assert.equal(parseRebookPayload('REAGENDAR_OUTRO:x'), null);
+  assert.equal(await svc.runRebookAction('CONFIRMAR:abc', { waId: PHONE }), null);
+});
+
+test('feriado da clínica sem horário para oferecer: aviso sem botões', async () => {
+  const s = await scenario();
+  const { svc, sent } = service();
+
+  const r = await svc.addBlock({ dateFrom: localYMD(5), kind: 'feriado', reason: 'Aniversário da cidade' });
+  assert.equal(r.cancelled, 1);
+  assert.equal(sent[0].name, 'appointment_blocked');
+  assert.deepEqual(sent[0].buttons, []);
+  assert.deepEqual(s.db.tables.agenda_slots.map(x => x.status), ['bloqueado', 'bloqueado']);
+});
+
+test('admin: cadastro de bloqueio valida e aplica', async () => {
+  await scenario();
+  const { svc } = service();
+  const server = createApp({ agendaBlocks: svc }).listen(0);
+  await new Promise(r => server.once('listening', r));
+  const post = (body) => fetch(`http://127.0.0.1:${server.address().port}/admin/agenda/blocks`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin-token' },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    assert.equal((await post({ kind: 'ausencia', dateFrom: localYMD(5) })).status, 400);
+    assert.equal((await post({ kind: 'feriado', dateFrom: '05/11/2026' })).status, 400);
+    assert.equal((await post({ kind: 'ferias', dateFrom: localYMD(5) })).status, 400);
+
+    const res = await post(absence);
+    assert.equal(res.status, 201);
+    const body = await res.json();
+    assert.equal(body.block.kind, 'ausencia');
+    assert.equal(body.cancelled, 1);
+  } finally {
+    await new Promise(r => server.close(r));
+  }
+});
@@ -0,0 +1,75 @@
+// Agenda por período: intervalo de datas, corte por dia e paginação com numeração contínua
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScenario, localDateTime, localYMD, call, say, metaField } from './helpers/harness.js';
+import { listarAgendaSemanalMedicoDB, listarAgendaSemanalEspecialidadeDB } from '../src/tools/llm-tools.js';
+
+// 3 horários por dia da Dra. Ana, de amanhã até daqui a 10 dias (30 slots)
+const SLOTS = Array.from({ length: 10 }, (_, d) => ['09:00', '10:00', '11:00'].map(h => ({
+  medico_id: 'm1', datetime: localDateTime(d + 1, h)
+}))).flat();
+
+const ids = (r) => r.agenda.flatMap(d => d.slots.map(s => s.id));
+
+test('período: padrão de 7 dias, "fim" inclusive e corte por dia', async () => {
+  await createScenario({ slots: SLOTS });
+
+  const week = await listarAgendaSemanalMedicoDB({ medicoId: 'm1', porPagina: 50 });
+  assert.equal(week.inicio, localYMD(0));
+  assert.equal(week.fim, localYMD(6));
+  assert.equal(week.dias, 7);
+  assert.equal(week.agenda.length, 7);
+  assert.deepEqual(week.agenda[0].slots, []);       // hoje não tem horário
+  assert.equal(week.paginacao.total, 18);
+  assert.equal(week.medicoNome, 'Ana Santos');
+
+  const untilDay = await listarAgendaSemanalMedicoDB({ medicoId: 'm1', inicio: localYMD(8), fim: localYMD(9), maxPorDia: 2 });
+  assert.deepEqual(untilDay.agenda.map(d => d.dia), [localYMD(8), localYMD(9)]);
+  assert.deepEqual(ids(untilDay), [22, 23, 25, 26]);
+  assert.deepEqual(untilDay.agenda.flatMap(d => d.slots.map(s => s.n)), [1, 2, 3, 4]);
+
+  const bad = await listarAgendaSemanalMedicoDB({ medicoId: 'm1', inicio: localYMD(5), fim: localYMD(2) });
+  assert.equal(bad.ok, false);
+});
+
+test('período da especialidade: vários médicos em ordem de horário', async () => {
+  await createScenario({
+    slots: [
+      { medico_id: 'm2', datetime: localDateTime(12, '08:00') },
+      { medico_id: 'm1', datetime: localDateTime(12, '07:00') },
+      { medico_id: 'm3', datetime: localDateTime(12, '07:30') }
+    ]
+  });
+  const r = await listarAgendaSemanalEspecialidadeDB({ especialidadeId: 1, inicio: localYMD(10), dias: 21 });
+  assert.equal(r.fim, localYMD(30));
+  assert.deepEqual(ids(r), [2, 1]);
+});
+
+test('"ver mais": próxima página continua a numeração e a seleção alcança as duas páginas', async () => {
+  const s = await createScenario({ slots: SLOTS });
+  const args = { medicoId: 'm1', dias: 21, porPagina: 8 };
+
+  const first = await s.patient('agenda da Dra. Ana nas próximas 3 semanas', {
+    model: [call('listarAgendaSemanalMedico', args), say('1- ... 8- (ver mais)')]
+  });
+  const p1 = first.responses.listarAgendaSemanalMedico.paginacao;
+  assert.deepEqual([p1.pagina, p1.totalPaginas, p1.temMais, p1.total], [1, 4, true, 30]);
+
+  const more = await s.patient('ver mais', {
+    model: [call('listarAgendaSemanalMedico', { ...args, pagina: 2 }), say('9- ... 16-')]
+  });
+  const page2 = more.responses.listarAgendaSemanalMedico;
+  assert.deepEqual([page2.paginacao.primeiroNumero, page2.paginacao.ultimoNumero], [9, 16]);
+  assert.equal(page2.agenda[0].dia, localYMD(3));        // 9º horário = 1º de daqui a 3 dias
+
+  await s.patient('12', { model: [say('Ótimo, horário guardado.')] });
+  assert.equal(metaField(s.history, 'slotId'), '12');
+
+  await s.patient('3', { model: [say('Ok, esse então.')] });
+  assert.equal(metaField(s.history, 'slotId'), '3');
+
+  // fora das páginas vistas: não é seleção
+  await s.patient('20', { model: [say('Não entendi.')] });
+  assert.equal(metaField(s.history, 'slotId'), '3');
+});
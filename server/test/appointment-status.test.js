@@ -0,0 +1,125 @@
+// Ciclo de vida do agendamento: confirmação pelo paciente, ações da equipe e histórico
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScenario, localDateTime, call, say } from './helpers/harness.js';
+import { createApp } from '../src/app.js';
+import { canTransition, transitionAppointment } from '../src/appointment-status.js';
+
+const APPT_ID = '3d0c6a0e-51f4-4d53-8b8e-6a9f0f2b7c41';
+const PHONE = '5511912345678';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createApp().listen(0);
+  await new Promise(r => server.once('listening', r));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(r => server.close(r)));
+
+async function scenario(status = 'pendente') {
+  return createScenario({
+    ctx: { channel: 'whatsapp', waId: PHONE },
+    slots: [{ medico_id: 'm1', datetime: localDateTime(1, '09:00'), status: 'agendado' }],
+    appointments: [{
+      id: APPT_ID, name: 'Maria da Silva', phone: PHONE, cpf: '52998224725', birthdate: '1990-01-31',
+      datetime: localDateTime(1, '09:00').toISOString(), status, slot_id: 1, medico_id: 'm1'
+    }]
+  });
+}
+
+const admin = (path, { method = 'GET', body, token = 'test-admin-token' } = {}) =>
+  fetch(`${baseUrl}/admin${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+test('regras de transição', () => {
+  assert.equal(canTransition('pendente', 'confirmado'), true);
+  assert.equal(canTransition('pendente', 'realizado'), false);
+  assert.equal(canTransition('confirmado', 'faltou'), true);
+  assert.equal(canTransition('cancelado', 'pendente'), false);
+  assert.equal(canTransition('realizado', 'cancelado'), false);
+});
+
+test('paciente confirma pelo chat: pendente → confirmado com histórico', async () => {
+  const s = await scenario();
+
+  const t = await s.patient('confirmo', {
+    model: [call('confirmarAgendamento', { appointmentId: APPT_ID }), say('Presença confirmada!')]
+  });
+
+  assert.equal(t.responses.confirmarAgendamento.ok, true);
+  assert.equal(s.db.tables.appointments[0].status, 'confirmado');
+  const [h] = s.db.tables.appointment_status_history;
+  assert.equal(h.from_status, 'pendente');
+  assert.equal(h.to_status, 'confirmado');
+  assert.equal(h.actor, 'paciente');
+  assert.ok(h.created_at);
+});
+
+test('cancelar consulta confirmada libera o slot e registra a transição', async () => {
+  const s = await scenario('confirmado');
+
+  const t = await s.patient('cancelar', {
+    model: [call('desmarcarAgendamento', { appointmentId: APPT_ID }), say('Cancelada.')]
+  });
+
+  assert.equal(t.responses.desmarcarAgendamento.ok, true);
+  assert.equal(s.db.tables.agenda_slots[0].status, 'livre');
+  assert.deepEqual(s.db.tables.appointment_status_history.map(h => [h.from_status, h.to_status]), [['confirmado', 'cancelado']]);
+});
+
+test('consulta realizada não pode ser cancelada nem confirmada', async () => {
+  const s = await scenario('realizado');
+
+  const t = await s.patient('cancelar', {
+    model: [
+      { functionCalls: [
+        { name: 'desmarcarAgendamento', args: { appointmentId: APPT_ID } },
+        { name: 'confirmarAgendamento', args: { appointmentId: APPT_ID } }
+      ] },
+      say('Não é possível.')
+    ]
+  });
+
+  assert.equal(t.responses.desmarcarAgendamento.ok, false);
+  assert.equal(t.responses.confirmarAgendamento.ok, false);
+  assert.equal(s.db.tables.appointments[0].status, 'realizado');
+  assert.equal(s.db.tables.agenda_slots[0].status, 'agendado');
+});
+
+test('transição concorrente: o status mudou desde a leitura → CONFLITO', async () => {
+  const s = await scenario();
+  const stale = { id: APPT_ID, status: 'pendente' };
+  s.db.tables.appointments[0].status = 'cancelado';
+
+  await assert.rejects(transitionAppointment(stale, 'confirmado'), { code: 'CONFLITO' });
+  assert.equal(s.db.tables.appointment_status_history.length, 0);
+});
+
+test('admin: token obrigatório, transições da equipe e histórico', async () => {
+  const s = await scenario('confirmado');
+
+  assert.equal((await admin(`/appointments/${APPT_ID}/history`, { token: null })).status, 401);
+  assert.equal((await admin(`/appointments/${APPT_ID}/history`, { token: 'errado' })).status, 401);
+
+  const invalid = await admin(`/appointments/${APPT_ID}/status`, { method: 'POST', body: { status: 'pendente' } });
+  assert.equal(invalid.status, 422);
+
+  const done = await admin(`/appointments/${APPT_ID}/status`, { method: 'POST', body: { status: 'faltou', reason: 'não compareceu' } });
+  assert.equal(done.status, 200);
+  assert.equal((await done.json()).status, 'faltou');
+
+  const missing = await admin('/appointments/nao-existe/status', { method: 'POST', body: { status: 'realizado' } });
+  assert.equal(missing.status, 404);
+
+  const hist = await (await admin(`/appointments/${APPT_ID}/history`)).json();
+  assert.equal(hist.status, 'faltou');
+  assert.deepEqual(hist.history.map(h => [h.from_status, h.to_status, h.actor, h.reason]), [['confirmado', 'faltou', 'equipe', 'não compareceu']]);
+  assert.equal(s.db.tables.appointments[0].status, 'faltou');
+});
@@ -0,0 +1,185 @@
+// Agendamento: por médico, por especialidade, seleção numérica e fallbacks de dia vazio
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createScenario, localDateTime, localYMD, call, say, metaField, normalizedDate, PATIENT
+} from './helpers/harness.js';
+
+// Passo do modelo que agenda o horário escolhido na última SELECAO_NUMERICA
+const bookSelectedSlot = (contents) => call('criarAgendamento', {
+  ...PATIENT,
+  dataISO: metaField(contents, 'dataISO'),
+  slotId: metaField(contents, 'slotId'),
+  medicoId: metaField(contents, 'medicoId')
+});
+
+test('agenda por médico: busca, lista o dia, seleção numérica e criação', async () => {
+  const s = await createScenario({
+    slots: [
+      { medico_id: 'm1', datetime: localDateTime(1, '09:00') },
+      { medico_id: 'm1', datetime: localDateTime(1, '10:00') },
+      { medico_id: 'm2', datetime: localDateTime(1, '10:00') }
+    ]
+  });
+
+  const t1 = await s.patient('Quero marcar com a Dra. Ana Santos amanhã', {
+    model: [
+      call('listarMedicos', { busca: 'Ana Santos' }),
+      call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(1) }),
+      say('Horários da Dra. Ana Santos amanhã:\n1) 09:00\n2) 10:00')
+    ]
+  });
+  assert.deepEqual(t1.tools, ['listarMedicos', 'listarHorariosMedico']);
+  assert.equal(t1.responses.listarMedicos.resolvedMedicoId, 'm1');
+  assert.deepEqual(t1.responses.listarHorariosMedico.slots.map(x => x.id), [1, 2]);
+
+  const t2 = await s.patient('2', {
+    model: [(contents) => say(`Ótimo, horário ${metaField(contents, 'escolhido')} reservado para você. Envie seus dados.`)]
+  });
+  assert.equal(t2.text, 'Ótimo, horário 2 reservado para você. Envie seus dados.');
+
+  const t3 = await s.patient('Maria da Silva, CPF 529.982.247-25, 31/01/1990, 11 91234-5678, maria@example.com', {
+    model: [bookSelectedSlot, say('Agendamento confirmado!')]
+  });
+  assert.deepEqual(t3.tools, ['criarAgendamento']);
+  assert.equal(t3.responses.criarAgendamento.ok, true);
+  assert.equal(t3.text, 'Agendamento confirmado!');
+
+  const [appt] = s.db.tables.appointments;
+  assert.equal(s.db.tables.appointments.length, 1);
+  assert.equal(appt.slot_id, 2);
+  assert.equal(appt.medico_id, 'm1');
+  assert.equal(appt.status, 'pendente');
+  assert.equal(appt.cpf, '52998224725');
+  assert.equal(appt.birthdate, '1990-01-31');
+  assert.equal(appt.phone, '5511912345678');
+  assert.equal(appt.datetime, localDateTime(1, '10:00').toISOString());
+
+  assert.deepEqual(s.db.tables.agenda_slots.map(x => x.status), ['livre', 'agendado', 'livre']);
+});
+
+test('agenda por especialidade: lista slots de todos os médicos e agenda o escolhido', async () => {
+  const s = await createScenario({
+    slots: [
+      { medico_id: 'm2', datetime: localDateTime(1, '08:00') },
+      { medico_id: 'm1', datetime: localDateTime(1, '11:00') },
+      { medico_id: 'm3', datetime: localDateTime(1, '09:00') }
+    ]
+  });
+
+  const t1 = await s.patient('Preciso de um cardiologista amanhã', {
+    model: [
+      call('listarHorariosPorEspecialidade', { especialidadeNome: 'cardiologista', dia: localYMD(1) }),
+      say('1) 08:00 — Dr. Carlos Pereira\n2) 11:00 — Dra. Ana Santos')
+    ]
+  });
+  const listed = t1.responses.listarHorariosPorEspecialidade.slots;
+  assert.deepEqual(listed.map(x => x.medicoId), ['m2', 'm1']);
+
+  await s.patient('opção 2', { model: [say('Certo, envie seus dados.')] });
+  assert.equal(metaField(s.history, 'slotId'), '2');
+  assert.equal(metaField(s.history, 'medicoId'), 'm1');
+
+  const t3 = await s.patient('Maria da Silva, CPF 529.982.247-25, 31/01/1990', {
+    model: [bookSelectedSlot, say('Agendado!')]
+  });
+  assert.equal(t3.responses.criarAgendamento.ok, true);
+  assert.equal(s.db.tables.appointments[0].medico_id, 'm1');
+  assert.deepEqual(s.db.tables.agenda_slots.map(x => x.status), ['livre', 'agendado', 'livre']);
+});
+
+test('seleção numérica fora da lista não gera meta de seleção', async () => {
+  const s = await createScenario({ slots: [{ medico_id: 'm1', datetime: localDateTime(1, '09:00') }] });
+
+  await s.patient('horários da Dra. Ana amanhã', {
+    model: [call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(1) }), say('1) 09:00')]
+  });
+  await s.patient('5', { model: [say('Não encontrei a opção 5. Escolha 1.')] });
+
+  assert.equal(metaField(s.history, 'slotId'), null);
+});
+
+test('slot já ocupado: criarAgendamento falha e nada é gravado', async () => {
+  const s = await createScenario({
+    slots: [{ medico_id: 'm1', datetime: localDateTime(1, '09:00'), status: 'agendado' }]
+  });
+
+  const t = await s.patient('Quero o horário das 9h com a Dra. Ana', {
+    model: [
+      call('criarAgendamento', { ...PATIENT, dataISO: 'amanhã 09:00', slotId: 1, medicoId: 'm1' }),
+      say('Esse horário acabou de ser ocupado.')
+    ]
+  });
+  assert.equal(t.responses.criarAgendamento.ok, false);
+  assert.equal(s.db.tables.appointments.length, 0);
+});
+
+test('fallback médico: dia vazio → próximo dia disponível', async () => {
+  const s = await createScenario({
+    slots: [
+      { medico_id: 'm1', datetime: localDateTime(3, '14:00') },
+      { medico_id: 'm1', datetime: localDateTime(3, '15:00') },
+      { medico_id: 'm1', datetime: localDateTime(5, '09:00') }
+    ]
+  });
+
+  const t1 = await s.patient('Dra. Ana Santos amanhã', {
+    model: [
+      call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(1) }),
+      say('Não há horários amanhã. Prefere (a) a primeira data disponível ou (b) a agenda da semana?')
+    ]
+  });
+  assert.deepEqual(t1.responses.listarHorariosMedico.slots, []);
+
+  const t2 = await s.patient('a primeira data', {
+    model: [call('listarProximoDiaDisponivelMedico', { medicoId: 'm1' }), say('1) 14:00\n2) 15:00')]
+  });
+  const next = t2.responses.listarProximoDiaDisponivelMedico;
+  assert.equal(next.dia, localYMD(3));
+  assert.deepEqual(next.slots.map(x => x.id), [1, 2]);
+
+  // a lista do fallback também vale para a seleção numérica
+  await s.patient('1', { model: [say('Certo!')] });
+  assert.equal(metaField(s.history, 'slotId'), '1');
+});
+
+test('fallback especialidade: dia vazio → próximo dia disponível', async () => {
+  const s = await createScenario({
+    slots: [
+      { medico_id: 'm2', datetime: localDateTime(2, '10:00') },
+      { medico_id: 'm3', datetime: localDateTime(1, '10:00') }
+    ]
+  });
+
+  const t1 = await s.patient('cardiologia amanhã', {
+    model: [
+      call('listarHorariosPorEspecialidade', { especialidadeNome: 'Cardiologia', dia: localYMD(1) }),
+      say('Sem horários amanhã. Quer (a) a primeira data disponível ou (b) a agenda da semana?')
+    ]
+  });
+  assert.deepEqual(t1.responses.listarHorariosPorEspecialidade.slots, []);
+
+  const t2 = await s.patient('a primeira', {
+    model: [call('listarProximoDiaDisponivelEspecialidade', { especialidadeNome: 'Cardiologia' }), say('1) 10:00')]
+  });
+  const next = t2.responses.listarProximoDiaDisponivelEspecialidade;
+  assert.equal(next.dia, localYMD(2));
+  assert.deepEqual(next.slots.map(x => x.medicoId), ['m2']);
+});
+
+test('datas comuns não passam pelo LLM; texto não reconhecido cai no normalizador', async () => {
+  const s = await createScenario();
+
+  const t1 = await s.patient('amanhã à tarde', {
+    model: [call('validarDataHora', { dataText: 'amanhã à tarde' }), say('Vou ver os horários da tarde.')]
+  });
+  assert.equal(t1.responses.validarDataHora.ymdLocal, localYMD(1));
+  assert.equal(t1.responses.validarDataHora.periodo, 'tarde');
+
+  const t2 = await s.patient('daqui a uma semana', {
+    model: [call('validarDataHora', { dataText: 'daqui a uma semana' }), say('Certo.')],
+    normalizer: [normalizedDate(localYMD(7))]
+  });
+  assert.deepEqual(t2.responses.validarDataHora, { ok: true, isoUTC: null, ymdLocal: localYMD(7), hasTime: false });
+});
@@ -0,0 +1,122 @@
+// Cancelamento: desmarcar libera o slot, é idempotente e só o titular consegue
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScenario, localDateTime, call, say } from './helpers/harness.js';
+import { desmarcarAgendamentoDB } from '../src/tools/llm-tools.js';
+
+const APPT_ID = '6f1c1c5e-3f1a-4a7e-9d8c-2b1e0a6c9e11';
+const OWNER = { channel: 'whatsapp', waId: '5511912345678' };
+
+// Por padrão quem fala é o titular (mesmo número do WhatsApp)
+async function scenarioWithBooking({ ctx = OWNER } = {}) {
+  const when = localDateTime(2, '09:00');
+  return createScenario({
+    ctx,
+    slots: [{ medico_id: 'm1', datetime: when, status: 'agendado' }],
+    appointments: [{
+      id: APPT_ID, name: 'Maria da Silva', phone: '5511912345678', cpf: '52998224725', birthdate: '1990-01-31',
+      datetime: when.toISOString(), status: 'pendente', slot_id: 1, medico_id: 'm1'
+    }]
+  });
+}
+
+test('desmarca pelo ID: appointment cancelado e slot liberado', async () => {
+  const s = await scenarioWithBooking();
+
+  const t = await s.patient(`Quero cancelar a consulta ${APPT_ID}`, {
+    model: [call('desmarcarAgendamento', { appointmentId: APPT_ID }), say('Consulta cancelada.')]
+  });
+
+  assert.deepEqual(t.tools, ['desmarcarAgendamento']);
+  assert.equal(t.responses.desmarcarAgendamento.ok, true);
+  assert.equal(t.responses.desmarcarAgendamento.slotId, 1);
+  assert.equal(s.db.tables.appointments[0].status, 'cancelado');
+  assert.equal(s.db.tables.agenda_slots[0].status, 'livre');
+});
+
+test('cancelar duas vezes é idempotente', async () => {
+  const s = await scenarioWithBooking();
+  const cancel = call('desmarcarAgendamento', { appointmentId: APPT_ID });
+
+  await s.patient(`cancelar ${APPT_ID}`, { model: [cancel, say('Cancelada.')] });
+  const t = await s.patient('cancela de novo', { model: [cancel, say('Já estava cancelada.')] });
+
+  assert.equal(t.responses.desmarcarAgendamento.ok, true);
+  assert.equal(s.db.tables.appointments[0].status, 'cancelado');
+});
+
+test('ID inexistente: nada muda', async () => {
+  const s = await scenarioWithBooking();
+
+  const t = await s.patient('cancelar abc', {
+    model: [call('desmarcarAgendamento', { appointmentId: 'abc' }), say('Não encontrei esse agendamento.')]
+  });
+
+  assert.equal(t.responses.desmarcarAgendamento.ok, false);
+  assert.equal(s.db.tables.appointments[0].status, 'pendente');
+  assert.equal(s.db.tables.agenda_slots[0].status, 'agendado');
+});
+
+test('outro número do WhatsApp: pede CPF + nascimento e não cancela', async () => {
+  const s = await scenarioWithBooking({ ctx: { channel: 'whatsapp', waId: '5521988887777' } });
+
+  const t = await s.patient(`cancelar ${APPT_ID}`, {
+    model: [call('desmarcarAgendamento', { appointmentId: APPT_ID }), say('Preciso confirmar seus dados.')]
+  });
+
+  assert.equal(t.responses.desmarcarAgendamento.ok, false);
+  assert.equal(t.responses.desmarcarAgendamento.needsVerification, true);
+  assert.equal(s.db.tables.appointments[0].status, 'pendente');
+});
+
+test('web: CPF + nascimento do titular liberam o cancelamento', async () => {
+  const s = await scenarioWithBooking({ ctx: { channel: 'web', sessionId: 'sess-1' } });
+
+  const t = await s.patient('CPF 529.982.247-25, nascida em 31/01/1990', {
+    model: [
+      call('desmarcarAgendamento', { appointmentId: APPT_ID, cpf: '529.982.247-25', nascimento: '31/01/1990' }),
+      say('Consulta cancelada.')
+    ]
+  });
+
+  assert.equal(t.responses.desmarcarAgendamento.ok, true);
+  assert.equal(s.db.tables.appointments[0].status, 'cancelado');
+});
+
+test('dados errados contam tentativa; após o limite bloqueia até o titular certo', async () => {
+  const s = await scenarioWithBooking({ ctx: { channel: 'web', sessionId: 'sess-2' } });
+  const wrong = call('desmarcarAgendamento', { appointmentId: APPT_ID, cpf: '529.982.247-25', nascimento: '01/01/1980' });
+
+  for (let i = 0; i < 5; i++) {
+    const t = await s.patient('tentativa', { model: [wrong, say('Não confere.')] });
+    assert.equal(t.responses.desmarcarAgendamento.needsVerification, true);
+  }
+
+  const right = call('desmarcarAgendamento', { appointmentId: APPT_ID, cpf: '529.982.247-25', nascimento: '31/01/1990' });
+  const blocked = await s.patient('agora certo', { model: [right, say('Bloqueado.')] });
+  assert.equal(blocked.responses.desmarcarAgendamento.blocked, true);
+  assert.equal(s.db.tables.appointments[0].status, 'pendente');
+});
+
+test('web: nova sessão do mesmo IP não zera as tentativas de verificação', async () => {
+  const when = localDateTime(2, '09:00');
+  const OTHER_ID = '0b7e2f4a-9c3d-4e1f-8a6b-5d4c3b2a1f00';
+  const appointments = [APPT_ID, OTHER_ID].map((id, i) => ({
+    id, name: 'Maria da Silva', phone: '5511912345678', cpf: '52998224725', birthdate: '1990-01-31',
+    datetime: when.toISOString(), status: 'pendente', slot_id: i + 1, medico_id: 'm1'
+  }));
+  const slots = [{ medico_id: 'm1', datetime: when, status: 'agendado' }, { medico_id: 'm1', datetime: localDateTime(2, '10:00'), status: 'agendado' }];
+  const s = await createScenario({ ctx: { channel: 'web', sessionId: 'sess-a', ip: '203.0.113.7' }, slots, appointments });
+
+  const wrong = call('desmarcarAgendamento', { appointmentId: APPT_ID, cpf: '529.982.247-25', nascimento: '01/01/1980' });
+  for (let i = 0; i < 5; i++) await s.patient('tentativa', { model: [wrong, say('Não confere.')] });
+
+  // outra sessão, mesmo IP, outro agendamento: continua bloqueado
+  const t = await desmarcarAgendamentoDB(
+    { appointmentId: OTHER_ID, cpf: '529.982.247-25', nascimento: '01/01/1980' },
+    { channel: 'web', sessionId: 'sess-b', ip: '203.0.113.7' }
+  );
+  assert.equal(t.blocked, true);
+  assert.deepEqual(s.db.tables.appointments.map(a => a.status), ['pendente', 'pendente']);
+});
@@ -0,0 +1,73 @@
+// Parser local de datas (pt-BR): relativas, dia da semana, períodos e nascimento
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateTimePtBR, parseBirthDatePtBR } from '../src/helpers/date-parse.js';
+
+const TZ = 'America/Sao_Paulo';
+// segunda-feira, 06/10/2025 10:00 em São Paulo (UTC-3)
+const NOW = new Date('2025-10-06T13:00:00Z');
+const parse = (text) => parseDateTimePtBR(text, TZ, NOW);
+
+test('datas absolutas com e sem ano', () => {
+  assert.deepEqual(parse('25/12/2025'), { isoUTC: null, hasTime: false, ymdLocal: '2025-12-25', periodo: null });
+  assert.equal(parse('3/09').ymdLocal, '2025-09-03');
+  assert.equal(parse('03-09-26').ymdLocal, '2026-09-03');
+  assert.equal(parse('8 de outubro de 2025').ymdLocal, '2025-10-08');
+  assert.equal(parse('15 nov').ymdLocal, '2025-11-15');
+  assert.equal(parse('2025-10-20').ymdLocal, '2025-10-20');
+});
+
+test('relativas, dia da semana e "dia N"', () => {
+  assert.equal(parse('hoje').ymdLocal, '2025-10-06');
+  assert.equal(parse('amanhã').ymdLocal, '2025-10-07');
+  assert.equal(parse('depois de amanhã').ymdLocal, '2025-10-08');
+  assert.equal(parse('terça').ymdLocal, '2025-10-07');
+  assert.equal(parse('sexta-feira que vem').ymdLocal, '2025-10-10');
+  assert.equal(parse('na segunda').ymdLocal, '2025-10-13');   // hoje é segunda → a próxima
+  assert.equal(parse('dia 20').ymdLocal, '2025-10-20');
+  assert.equal(parse('dia 2').ymdLocal, '2025-11-02');       // já passou neste mês
+});
+
+test('horas e períodos', () => {
+  assert.deepEqual(parse('amanhã às 14h'), {
+    isoUTC: '2025-10-07T17:00:00.000Z', hasTime: true, ymdLocal: '2025-10-07', periodo: null
+  });
+  assert.equal(parse('25/10 14:30').isoUTC, '2025-10-25T17:30:00.000Z');
+  assert.equal(parse('quinta 9h30').isoUTC, '2025-10-09T12:30:00.000Z');
+  assert.equal(parse('amanhã 2 da tarde').isoUTC, '2025-10-07T17:00:00.000Z');
+  assert.equal(parse('amanhã ao meio-dia').isoUTC, '2025-10-07T15:00:00.000Z');
+
+  // período sem hora: hora de referência + periodo preenchido
+  assert.deepEqual(parse('terça de manhã'), {
+    isoUTC: '2025-10-07T12:00:00.000Z', hasTime: true, ymdLocal: '2025-10-07', periodo: 'manha'
+  });
+  assert.equal(parse('amanhã à tarde').periodo, 'tarde');
+  assert.equal(parse('hoje a noite').isoUTC, '2025-10-06T22:00:00.000Z');
+});
+
+test('ISO com fuso é aceito como instante exato', () => {
+  assert.deepEqual(parse('2025-10-07T13:00:00.000Z'), {
+    isoUTC: '2025-10-07T13:00:00.000Z', hasTime: true, ymdLocal: '2025-10-07', periodo: null
+  });
+});
+
+test('inválido (false) × não entendido (null)', () => {
+  assert.equal(parse('31/02'), false);
+  assert.equal(parse('amanhã 25h'), false);
+  assert.equal(parse('semana que vem'), null);
+  assert.equal(parse('daqui a 3 dias às 14h'), null);
+  assert.equal(parse('terça, 09/10'), null);      // 09/10/2025 é quinta
+  assert.equal(parse(''), null);
+});
+
+test('data de nascimento', () => {
+  assert.equal(parseBirthDatePtBR('31/01/1990', NOW), '1990-01-31');
+  assert.equal(parseBirthDatePtBR('31-01-90', NOW), '1990-01-31');
+  assert.equal(parseBirthDatePtBR('05/03/05', NOW), '2005-03-05');
+  assert.equal(parseBirthDatePtBR('31 de janeiro de 1990', NOW), '1990-01-31');
+  assert.equal(parseBirthDatePtBR('1990-01-31', NOW), '1990-01-31');
+  assert.equal(parseBirthDatePtBR('30/02/1990', NOW), false);
+  assert.equal(parseBirthDatePtBR('01/01/2030', NOW), false);
+  assert.equal(parseBirthDatePtBR('no verão de 90', NOW), null);
+});
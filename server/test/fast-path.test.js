@@ -0,0 +1,103 @@
+// Fast-path: seleções e confirmações sem ambiguidade viram tool direto, sem o modelo
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScenario, localDateTime, localYMD, call, say, PATIENT } from './helpers/harness.js';
+import { getFakeRequests } from '../src/libs/llm-fake.js';
+import { isAffirmative } from '../src/fast-path.js';
+
+const APPT_ID = '3c1d2e4f-5a6b-4c7d-8e9f-0a1b2c3d4e5f';
+const PHONE = '5511912345678';
+
+const calls = (history) => history.flatMap(c => (c.parts || []).filter(p => p.functionCall).map(p => p.functionCall));
+
+test('"sim" à prévia do agendamento grava sem passar pelo modelo', async () => {
+  const s = await createScenario({ slots: [{ medico_id: 'm1', datetime: localDateTime(1, '09:00') }] });
+  const args = { ...PATIENT, dataISO: localDateTime(1, '09:00').toISOString(), slotId: 1, medicoId: 'm1' };
+
+  const preview = await s.patient('pode marcar', {
+    model: [call('criarAgendamento', { ...args, previa: true }), say('Resumo: Maria, amanhã às 09:00. Posso confirmar?')]
+  });
+  assert.equal(preview.responses.criarAgendamento.previa, true);
+  assert.equal(s.db.tables.appointments.length, 0);
+
+  const before = getFakeRequests('chat').length;
+  const r = await s.patient('Sim, pode confirmar!');
+  assert.match(r.text, /Agendamento confirmado! ID da consulta/);
+  assert.equal(s.db.tables.appointments.length, 1);
+  assert.equal(s.db.tables.agenda_slots[0].status, 'agendado');
+
+  // o turno fica no histórico como se o modelo tivesse chamado a tool
+  const last = calls(s.history).at(-1);
+  assert.equal(last.name, 'criarAgendamento');
+  assert.equal(last.args.previa, undefined);
+  assert.equal(s.history.at(-1).parts[0].text, r.text);
+  assert.equal(getFakeRequests('chat').length, before);
+});
+
+test('"sim" sem prévia no turno anterior segue para o modelo', async () => {
+  const s = await createScenario();
+  await s.patient('quero marcar', { model: [say('Resumo: Maria, amanhã às 09:00. Posso confirmar?')] });
+  const r = await s.patient('sim', { model: [say('Preciso do seu CPF.')] });
+  assert.equal(r.text, 'Preciso do seu CPF.');
+
+  // resposta que não é só concordância também vai para o modelo
+  assert.equal(isAffirmative('sim, mas prefiro às 10h'), false);
+  assert.equal(isAffirmative('isso mesmo 👍'), true);
+  assert.equal(isAffirmative('pode cancelar'), false);
+  assert.equal(isAffirmative('pode cancelar', ['cancelar']), true);
+});
+
+const withAppointment = (ctx) => createScenario({
+  ctx,
+  slots: [{ medico_id: 'm1', datetime: localDateTime(3, '09:00'), status: 'agendado' }],
+  appointments: [{
+    id: APPT_ID, name: 'Maria da Silva', phone: PHONE, cpf: '52998224725', birthdate: '1990-01-31',
+    datetime: localDateTime(3, '09:00').toISOString(), status: 'pendente', slot_id: 1, medico_id: 'm1'
+  }]
+});
+
+test('confirmação do cancelamento e do lembrete chamam a tool direto', async () => {
+  const s = await withAppointment({ channel: 'whatsapp', waId: PHONE });
+
+  s.history.push({ role: 'model', parts: [{ text: `🔔 [sistema] Lembrete enviado via template "appointment_reminder" para Maria da Silva — consulta em amanhã. ID da consulta: ${APPT_ID}. Status: pendente.` }] });
+  const confirmed = await s.patient('confirmo');
+  assert.match(confirmed.text, /Presença confirmada/);
+  assert.equal(s.db.tables.appointments[0].status, 'confirmado');
+
+  await s.patient(`quero desmarcar ${APPT_ID}`, {
+    model: [say(`Você confirma que deseja desmarcar a consulta de ID ${APPT_ID}?`)]
+  });
+  const cancelled = await s.patient('pode cancelar');
+  assert.match(cancelled.text, /cancelada\. Se quiser, posso te ajudar a remarcar/);
+  assert.equal(s.db.tables.appointments[0].status, 'cancelado');
+  assert.equal(s.db.tables.agenda_slots[0].status, 'livre');
+});
+
+test('tool do fast-path falhou: o modelo continua com o resultado no contexto', async () => {
+  const s = await withAppointment({ channel: 'web', sessionId: 'outra-pessoa' });
+  await s.patient(`desmarcar ${APPT_ID}`, {
+    model: [say(`Você confirma que deseja desmarcar a consulta de ID ${APPT_ID}?`)]
+  });
+
+  const r = await s.patient('sim', {
+    model: [(contents) => say(contents.at(-1).parts[0].functionResponse.response.needsVerification
+      ? 'Informe o CPF e a data de nascimento do titular.'
+      : '?')]
+  });
+  assert.equal(r.text, 'Informe o CPF e a data de nascimento do titular.');
+  assert.equal(s.db.tables.appointments[0].status, 'pendente');
+});
+
+test('escolha da especialidade lista os médicos sem o modelo', async () => {
+  const s = await createScenario();
+  await s.patient('quais especialidades?', { model: [call('listarEspecialidades', {}), say('Especialidades:')] });
+
+  const list = s.history.at(-1).lista.items;
+  const before = getFakeRequests('chat').length;
+  const r = await s.patient(String(list.indexOf('Cardiologia') + 1));
+  assert.match(r.text, /^Médicos de Cardiologia:\n\n1- Ana Santos\n2- Carlos Pereira/);
+  assert.equal(calls(s.history).at(-1).name, 'listarMedicosPorEspecialidade');
+  assert.deepEqual(s.history.at(-1).lista.items.map(m => m.id), ['m1', 'm2']);
+  assert.equal(getFakeRequests('chat').length, before);
+});
@@ -0,0 +1,19 @@
+// test/helpers/env.js — precisa ser o PRIMEIRO import dos testes (módulos leem env no import)
+process.env.NODE_ENV = 'test';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LLM_PROVIDER = 'fake';
+process.env.REDIS_URL = 'memory';
+process.env.CLINIC_TZ = 'America/Sao_Paulo';
+process.env.WHATSAPP_APP_SECRET = 'test-secret';
+process.env.WHATSAPP_TOKEN = 'test-token';
+process.env.PHONE_NUMBER_ID = '000000';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+delete process.env.WHATSAPP_SKIP_SIGNATURE;
+delete process.env.LLM_FAKE_SCRIPT;
+delete process.env.LLM_RECORD;
+
+// Logs do app poluem a saída do runner (e, no Node 20, podem corromper o protocolo
+// entre o processo do teste e o runner). TEST_LOGS=1 mantém os logs.
+if (process.env.TEST_LOGS !== '1') {
+  for (const level of ['log', 'info', 'warn', 'error']) console[level] = () => {};
+}
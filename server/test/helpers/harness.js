@@ -0,0 +1,108 @@
+// test/helpers/harness.js — diálogos roteirizados contra modelo fake, Redis e banco em memória
+import './env.js';
+import assert from 'node:assert/strict';
+import { redis } from '../../src/redis.js';
+import { setRepositories } from '../../src/repositories/index.js';
+import { createMemoryRepositories } from '../../src/repositories/memory.js';
+import { loadFakeScript, resetFake, pendingFakeSteps } from '../../src/libs/llm-fake.js';
+import { utcFromTZComponents } from '../../src/helpers/datetime.js';
+import { runChatTurn } from '../../src/chat.js';
+
+export const TZ = process.env.CLINIC_TZ;
+
+export const CATALOG = {
+  especialidades: [
+    { id: 1, nome: 'Cardiologia' },
+    { id: 2, nome: 'Dermatologia' }
+  ],
+  medicos: [
+    { id: 'm1', nome: 'Ana Santos', especialidade_id: 1 },
+    { id: 'm2', nome: 'Carlos Pereira', especialidade_id: 1 },
+    { id: 'm3', nome: 'Lucas Mendes', especialidade_id: 2 }
+  ]
+};
+
+export const PATIENT = {
+  nome: 'Maria da Silva',
+  cpf: '529.982.247-25',
+  nascimento: '31/01/1990',
+  especialidade: 'Cardiologia',
+  regiao: 'Centro',
+  telefone: '11 91234-5678',
+  email: 'maria@example.com'
+};
+
+/* ---------------- datas no fuso da clínica ---------------- */
+// YYYY-MM-DD local daqui a `daysAhead` dias
+export function localYMD(daysAhead = 0) {
+  const today = new Intl.DateTimeFormat('en-CA', {
+    timeZone: TZ, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).format(new Date());
+  const [y, M, d] = today.split('-').map(Number);
+  return new Date(Date.UTC(y, M - 1, d + daysAhead)).toISOString().slice(0, 10);
+}
+
+// Instante UTC de "HH:MM" local daqui a `daysAhead` dias
+export function localDateTime(daysAhead, hhmm) {
+  const [y, M, d] = localYMD(daysAhead).split('-').map(Number);
+  const [h, m] = hhmm.split(':').map(Number);
+  return utcFromTZComponents(TZ, y, M, d, h, m);
+}
+
+/* ---------------- passos do roteiro do modelo ---------------- */
+export const call = (name, args = {}) => ({ functionCall: { name, args } });
+export const say = (text) => ({ text });
+
+// Resposta do modelo normalizador (JSON estrito) — só é consultado quando o
+// parser local de datas não entende o texto
+export const normalizedDate = (ymdLocal) => say(JSON.stringify({ hasTime: false, ymdLocal, iso: null }));
+
+// Valor de um campo da última meta de seleção (SELECAO_*) enviada ao modelo
+export function metaField(contents, field) {
+  for (let i = contents.length - 1; i >= 0; i--) {
+    for (const p of contents[i].parts || []) {
+      if (!/^SELECAO_/.test(p.text || '')) continue;
+      const m = p.text.match(new RegExp(`^- ${field}: (.*)$`, 'm'));
+      if (m) return m[1].trim();
+    }
+  }
+  return null;
+}
+
+/* ---------------- cenário ---------------- */
+// slots: [{ medico_id, datetime, status? }] — ids sequenciais a partir de 1
+// ctx: quem fala (repassado às tools), ex.: { channel: 'whatsapp', waId: '5511...' }
+export async function createScenario({ slots = [], appointments = [], ctx = { channel: 'web', sessionId: 'test-session' } } = {}) {
+  resetFake();
+  await redis.flushall();
+
+  const db = createMemoryRepositories({ ...CATALOG, appointments });
+  for (const s of slots) db.addSlot(s);
+  setRepositories(db);
+
+  let history = [];
+
+  return {
+    db,
+    get history() { return history; },
+
+    // Um turno do paciente. `model`/`normalizer` = passos do fake consumidos neste turno.
+    async patient(message, { model = [], normalizer = [] } = {}) {
+      loadFakeScript({ chat: model, normalizer });
+
+      const { text, ctxDelta, list } = await runChatTurn(history, message, ctx);
+      history = [...history, { role: 'user', parts: [{ text: message }] }, ...ctxDelta];
+
+      assert.equal(pendingFakeSteps('chat'), 0, `roteiro do modelo não foi consumido no turno "${message}"`);
+      assert.equal(pendingFakeSteps('normalizer'), 0, `roteiro do normalizador não foi consumido no turno "${message}"`);
+
+      const parts = ctxDelta.flatMap(c => c.parts || []);
+      const tools = parts.filter(p => p.functionCall).map(p => p.functionCall.name);
+      const responses = {};
+      for (const p of parts) {
+        if (p.functionResponse) responses[p.functionResponse.name] = p.functionResponse.response;
+      }
+      return { text, tools, responses, list };
+    }
+  };
+}
@@ -0,0 +1,75 @@
+// Listas selecionáveis renderizadas pelo servidor a partir do payload da tool
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScenario, localDateTime, localYMD, call, say, metaField, PATIENT } from './helpers/harness.js';
+import { getFakeRequests } from '../src/libs/llm-fake.js';
+import { leadInOf } from '../src/helpers/list-format.js';
+
+const SLOTS = ['09:00', '10:00', '11:00'].map(h => ({ medico_id: 'm1', datetime: localDateTime(1, h) }));
+
+test('a lista sai do payload, na ordem dele, mesmo que o modelo escreva outra', async () => {
+  const s = await createScenario({ slots: SLOTS });
+
+  const r = await s.patient('horários da Dra. Ana amanhã', {
+    model: [
+      call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(1) }),
+      say('Horários da Dra. Ana amanhã:\n1- 11:00\n2- 09:00\nPara escolher, responda apenas com o número da opção (ex.: 2).')
+    ]
+  });
+
+  const lines = r.text.split('\n');
+  assert.equal(lines[0], 'Horários da Dra. Ana amanhã:');
+  assert.match(lines[2], /^1- .+09:00 — Dr\(a\)\. Ana Santos · 30 min$/);
+  assert.match(lines[3], /^2- .+10:00/);
+  assert.match(lines[4], /^3- .+11:00/);
+  assert.equal(r.text.match(/responda apenas com o número/g).length, 1);
+
+  // o que foi exibido fica no histórico, com o snapshot da lista
+  const shown = s.history.at(-1);
+  assert.equal(shown.parts[0].text, r.text);
+  assert.deepEqual(shown.lista.items.map(x => x.id), [1, 2, 3]);
+
+  await s.patient('2', { model: [say('Ótimo! Qual o seu nome completo?')] });
+  assert.equal(metaField(s.history, 'slotId'), '2');
+
+  // o snapshot é registro do servidor: não vai para o modelo
+  const [req] = getFakeRequests('chat');
+  assert.ok(req.contents.every(c => !('lista' in c)));
+});
+
+test('listou e agendou no mesmo turno: a confirmação sai sem a lista antiga', async () => {
+  const s = await createScenario({ slots: SLOTS });
+
+  const r = await s.patient('quero o primeiro horário da Dra. Ana amanhã: Maria da Silva, CPF 529.982.247-25, 31/01/1990', {
+    model: [
+      call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(1) }),
+      call('criarAgendamento', { ...PATIENT, dataISO: localDateTime(1, '09:00').toISOString(), slotId: 1, medicoId: 'm1' }),
+      say('Agendamento confirmado!')
+    ]
+  });
+
+  assert.equal(r.responses.criarAgendamento.ok, true);
+  assert.equal(r.text, 'Agendamento confirmado!');
+  assert.equal(r.list, null);
+  assert.ok(s.history.every(c => !c.lista));
+});
+
+test('a escolha vale pela lista exibida, não pelo payload mais recente', async () => {
+  const s = await createScenario({ slots: SLOTS });
+  await s.patient('horários amanhã', {
+    model: [call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(1) }), say('Horários:')]
+  });
+
+  // histórico adulterado: o payload da tool foi reordenado depois de exibido
+  const toolTurn = s.history.find(c => c.parts?.[0]?.functionResponse);
+  toolTurn.parts[0].functionResponse.response.slots.reverse();
+
+  await s.patient('1', { model: [say('Certo.')] });
+  assert.equal(metaField(s.history, 'slotId'), '1');
+});
+
+test('introdução: tira as opções e a instrução escritas pelo modelo', () => {
+  assert.equal(leadInOf('Opções:\n\n1) 09:00\n2. 10:00\n- 3 - 11:00\n\nResponda com o número da opção.'), 'Opções:');
+  assert.equal(leadInOf('Tenho 2 horários às 10h e 11h.'), 'Tenho 2 horários às 10h e 11h.');
+});
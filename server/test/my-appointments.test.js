@@ -0,0 +1,70 @@
+// "Minhas consultas": lista as próximas consultas do remetente e permite escolher pelo número
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScenario, localDateTime, call, say, metaField } from './helpers/harness.js';
+
+const PHONE = '5511912345678';
+const appt = (id, daysAhead, hhmm, extra = {}) => ({
+  id, name: 'Maria da Silva', phone: PHONE, cpf: '52998224725', birthdate: '1990-01-31',
+  datetime: localDateTime(daysAhead, hhmm).toISOString(), status: 'pendente', medico_id: 'm1', ...extra
+});
+
+async function scenario(ctx = { channel: 'whatsapp', waId: PHONE }) {
+  return createScenario({
+    ctx,
+    slots: [
+      { medico_id: 'm1', datetime: localDateTime(5, '10:00'), status: 'agendado' },
+      { medico_id: 'm3', datetime: localDateTime(2, '15:00'), status: 'agendado' }
+    ],
+    appointments: [
+      appt('a-later', 5, '10:00', { slot_id: 1 }),
+      appt('a-sooner', 2, '15:00', { slot_id: 2, medico_id: 'm3' }),
+      appt('a-cancelled', 3, '09:00', { status: 'cancelado' }),
+      appt('a-past', -2, '09:00'),
+      appt('a-other', 4, '09:00', { phone: '5521988887777' })
+    ]
+  });
+}
+
+test('lista só as próximas consultas ativas do remetente, em ordem', async () => {
+  const s = await scenario();
+
+  const t = await s.patient('quais são minhas consultas?', {
+    model: [call('listarMinhasConsultas'), say('1) Dr. Lucas Mendes\n2) Dra. Ana Santos')]
+  });
+
+  const { consultas } = t.responses.listarMinhasConsultas;
+  assert.deepEqual(consultas.map(c => c.id), ['a-sooner', 'a-later']);
+  assert.deepEqual(consultas.map(c => c.medicoNome), ['Lucas Mendes', 'Ana Santos']);
+});
+
+test('"2" escolhe a consulta e o cancelamento usa o appointmentId da seleção', async () => {
+  const s = await scenario();
+
+  await s.patient('quero cancelar mas perdi o ID', {
+    model: [call('listarMinhasConsultas'), say('Qual delas? 1) ... 2) ...')]
+  });
+  const t = await s.patient('2', {
+    model: [
+      (contents) => call('desmarcarAgendamento', { appointmentId: metaField(contents, 'appointmentId') }),
+      say('Cancelada.')
+    ]
+  });
+
+  assert.equal(t.responses.desmarcarAgendamento.ok, true);
+  const byId = Object.fromEntries(s.db.tables.appointments.map(a => [a.id, a.status]));
+  assert.equal(byId['a-later'], 'cancelado');
+  assert.equal(byId['a-sooner'], 'pendente');
+});
+
+test('web: sem telefone verificado não lista nada', async () => {
+  const s = await scenario({ channel: 'web', sessionId: 'sess' });
+
+  const t = await s.patient('minhas consultas', {
+    model: [call('listarMinhasConsultas'), say('Informe o ID.')]
+  });
+
+  assert.equal(t.responses.listarMinhasConsultas.ok, false);
+  assert.equal(t.responses.listarMinhasConsultas.consultas, undefined);
+});
@@ -0,0 +1,134 @@
+// Scheduler de lembretes: offsets configuráveis, idempotência, lock líder e catch-up
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRepositories } from '../src/repositories/index.js';
+import { createMemoryRepositories } from '../src/repositories/memory.js';
+import { acquireLock, releaseLock } from '../src/lock.js';
+import { getHistory, saveHistory, appendHistory, keyContactLock } from '../src/session.js';
+import { parseOffsets, dueOffset, createReminderScheduler } from '../src/reminders.js';
+
+const H = 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00Z');
+const PHONE = '5511912345678';
+const at = (hoursFromNow) => new Date(NOW.getTime() + hoursFromNow * H).toISOString();
+
+function setup(appointments) {
+  const db = createMemoryRepositories({
+    appointments: appointments.map((a, i) => ({
+      id: `appt-${i + 1}`, name: 'Maria da Silva', phone: PHONE, status: 'confirmado',
+      created_at: at(-72), ...a
+    }))
+  });
+  setRepositories(db);
+
+  const sent = [];
+  const scheduler = createReminderScheduler({
+    offsets: parseOffsets('48h,24h,2h'),
+    sendWhatsAppTemplate: async (to, name, params, opts) => { sent.push({ to, name, params, opts }); },
+    appendHistory
+  });
+  return { db, sent, scheduler };
+}
+
+test('parseOffsets: aceita m/h/d, ignora lixo e ordena do maior para o menor', () => {
+  assert.deepEqual(parseOffsets('2h, 48h,24h'), [2880, 1440, 120]);
+  assert.deepEqual(parseOffsets('90m,1d,xx,0h,1d'), [1440, 90]);
+  assert.deepEqual(parseOffsets(''), []);
+});
+
+test('dueOffset: manda só o offset mais próximo que venceu e respeita a criação do agendamento', () => {
+  const offsets = [2880, 1440, 120];
+  const appt = { datetime: at(1), created_at: at(-72) };
+
+  // processo ficou fora: 48h, 24h e 2h venceram → só o de 2h sai
+  assert.equal(dueOffset(appt, offsets, new Set(), NOW), 120);
+  assert.equal(dueOffset(appt, offsets, new Set([120]), NOW), null);
+  // o de 24h já foi, o de 2h ainda não
+  assert.equal(dueOffset(appt, offsets, new Set([1440]), NOW), 120);
+
+  // marcado há 1h para daqui a 20h: o de 24h venceu antes de existir o agendamento
+  assert.equal(dueOffset({ datetime: at(20), created_at: at(-1) }, offsets, new Set(), NOW), null);
+  assert.equal(dueOffset({ datetime: at(-1), created_at: at(-72) }, offsets, new Set(), NOW), null);
+});
+
+test('tick envia o lembrete com botões uma única vez', async () => {
+  const { db, sent, scheduler } = setup([{ datetime: at(23) }]);
+
+  assert.equal(await scheduler.tick(NOW), 1);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].name, 'appointment_reminder');
+  assert.equal(sent[0].opts.buttons.length, 3);
+  assert.match((await getHistory(PHONE)).at(-1).parts[0].text, /ID da consulta: appt-1/);
+  assert.deepEqual(db.tables.reminders_sent.map(r => r.offset_min), [1440]);
+
+  // mesmo tick de novo (reinício / outra instância): nada sai em dobro
+  assert.equal(await scheduler.tick(new Date(NOW.getTime() + 5 * 60000)), 0);
+  assert.equal(sent.length, 1);
+
+  // 21h depois vence o de 2h
+  assert.equal(await scheduler.tick(new Date(NOW.getTime() + 21 * H)), 1);
+  assert.equal(sent.length, 2);
+});
+
+test('tick ignora consultas canceladas e fora da janela', async () => {
+  const { sent, scheduler } = setup([
+    { datetime: at(1), status: 'cancelado' },
+    { datetime: at(72) }
+  ]);
+  assert.equal(await scheduler.tick(NOW), 0);
+  assert.equal(sent.length, 0);
+});
+
+test('tick não roda sem o lock líder', async () => {
+  const { sent, scheduler } = setup([{ datetime: at(1) }]);
+  const token = await acquireLock('reminders:leader', 60000);
+  try {
+    assert.equal(await scheduler.tick(NOW), null);
+    assert.equal(sent.length, 0);
+  } finally {
+    await releaseLock('reminders:leader', token);
+  }
+  assert.equal(await scheduler.tick(NOW), 1);
+});
+
+test('falha no envio desfaz o registro para tentar de novo no próximo tick', async () => {
+  const { db, scheduler } = setup([{ datetime: at(1) }]);
+  let fail = true;
+  const sent = [];
+  const flaky = createReminderScheduler({
+    offsets: [120],
+    sendWhatsAppTemplate: async (to) => {
+      if (fail) throw new Error('WhatsApp fora do ar');
+      sent.push(to);
+    },
+    appendHistory: async () => {}
+  });
+
+  assert.equal(await flaky.tick(NOW), 0);
+  assert.equal(db.tables.reminders_sent.length, 0);
+
+  fail = false;
+  assert.equal(await flaky.tick(NOW), 1);
+  assert.equal(sent.length, 1);
+  assert.equal(await scheduler.tick(NOW), 0);
+});
+
+test('lembrete entra no fim do histórico, esperando o turno em andamento do contato', async () => {
+  const { scheduler } = setup([{ datetime: at(23) }]);
+  const turn = [{ role: 'user', parts: [{ text: 'oi' }] }, { role: 'model', parts: [{ text: 'Olá! Como posso ajudar?' }] }];
+  await saveHistory(PHONE, turn);
+
+  // turno do WhatsApp segurando o contato: o lembrete só grava depois que ele termina
+  const lockKey = keyContactLock(PHONE);
+  const token = await acquireLock(lockKey, 60000);
+  const ticking = scheduler.tick(NOW);
+  await new Promise(r => setTimeout(r, 50));
+  await saveHistory(PHONE, [...turn, { role: 'user', parts: [{ text: 'quero marcar' }] }]);
+  await releaseLock(lockKey, token);
+
+  assert.equal(await ticking, 1);
+  const history = await getHistory(PHONE);
+  assert.deepEqual(history.slice(0, 3).map(c => c.parts[0].text), ['oi', 'Olá! Como posso ajudar?', 'quero marcar']);
+  assert.match(history.at(-1).parts[0].text, /^🔔 \[sistema\] Lembrete enviado/);
+});
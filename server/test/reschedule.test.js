@@ -0,0 +1,101 @@
+// Remarcação: troca de slot atômica, horário anterior no meta e rollback do slot novo
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScenario, localDateTime, localYMD, call, say, metaField } from './helpers/harness.js';
+
+const APPT_ID = '0b8f5c2e-7d4a-4f3e-9a61-5c2d8e1f7a90';
+const OLD_AT = localDateTime(2, '09:00');
+
+async function scenarioWithBooking({ status = 'pendente' } = {}) {
+  return createScenario({
+    ctx: { channel: 'whatsapp', waId: '5511912345678' },
+    slots: [
+      { medico_id: 'm1', datetime: OLD_AT, status: 'agendado' },
+      { medico_id: 'm1', datetime: localDateTime(3, '10:00') },
+      { medico_id: 'm1', datetime: localDateTime(3, '11:00') }
+    ],
+    appointments: [{
+      id: APPT_ID, name: 'Maria da Silva', cpf: '52998224725', phone: '5511912345678',
+      datetime: OLD_AT.toISOString(), status, slot_id: 1, medico_id: 'm1', meta: null
+    }]
+  });
+}
+
+const slotStatuses = (s) => s.db.tables.agenda_slots.map(x => x.status);
+
+test('remarca pelo horário listado: slot novo ocupado, antigo livre, meta com o horário anterior', async () => {
+  const s = await scenarioWithBooking();
+
+  await s.patient(`Quero remarcar a consulta ${APPT_ID} para outro dia`, {
+    model: [call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(3) }), say('1) 10:00\n2) 11:00')]
+  });
+  const t = await s.patient('2', {
+    model: [
+      (contents) => call('remarcarAgendamento', { appointmentId: APPT_ID, slotId: metaField(contents, 'slotId') }),
+      say('Consulta remarcada!')
+    ]
+  });
+
+  assert.deepEqual(t.tools, ['remarcarAgendamento']);
+  assert.equal(t.responses.remarcarAgendamento.ok, true);
+  assert.equal(t.responses.remarcarAgendamento.resumo.dataISO, localDateTime(3, '11:00').toISOString());
+  assert.deepEqual(slotStatuses(s), ['livre', 'livre', 'agendado']);
+
+  const [appt] = s.db.tables.appointments;
+  assert.equal(appt.slot_id, 3);
+  assert.equal(appt.name, 'Maria da Silva');
+  assert.equal(appt.status, 'pendente');
+  assert.equal(appt.meta.remarcacoes.length, 1);
+  assert.equal(appt.meta.remarcacoes[0].datetime_anterior, OLD_AT.toISOString());
+  assert.equal(appt.meta.remarcacoes[0].slot_anterior, 1);
+});
+
+test('remarca por data/hora do mesmo médico', async () => {
+  const s = await scenarioWithBooking();
+  const [y, M, d] = localYMD(3).split('-');
+
+  const t = await s.patient(`remarcar ${APPT_ID} para ${d}/${M}/${y} às 10h`, {
+    model: [call('remarcarAgendamento', { appointmentId: APPT_ID, dataISO: `${d}/${M}/${y} 10:00` }), say('Feito.')]
+  });
+
+  assert.equal(t.responses.remarcarAgendamento.ok, true);
+  assert.deepEqual(slotStatuses(s), ['livre', 'agendado', 'livre']);
+});
+
+test('horário novo ocupado: nada muda', async () => {
+  const s = await scenarioWithBooking();
+  s.db.tables.agenda_slots[1].status = 'agendado';
+
+  const t = await s.patient('remarcar', {
+    model: [call('remarcarAgendamento', { appointmentId: APPT_ID, slotId: 2 }), say('Esse horário não está mais livre.')]
+  });
+
+  assert.equal(t.responses.remarcarAgendamento.ok, false);
+  assert.equal(s.db.tables.appointments[0].slot_id, 1);
+  assert.deepEqual(slotStatuses(s), ['agendado', 'agendado', 'livre']);
+});
+
+test('agendamento cancelado não é remarcado e não reserva slot', async () => {
+  const s = await scenarioWithBooking({ status: 'cancelado' });
+
+  const t = await s.patient('remarcar', {
+    model: [call('remarcarAgendamento', { appointmentId: APPT_ID, slotId: 2 }), say('Está cancelado.')]
+  });
+
+  assert.equal(t.responses.remarcarAgendamento.ok, false);
+  assert.deepEqual(slotStatuses(s), ['agendado', 'livre', 'livre']);
+});
+
+test('falha na troca devolve o slot novo para livre', async () => {
+  const s = await scenarioWithBooking();
+  s.db.appointments.reschedule = async () => ({ data: null, error: { message: 'connection reset' } });
+
+  const t = await s.patient('remarcar', {
+    model: [call('remarcarAgendamento', { appointmentId: APPT_ID, slotId: 2 }), say('Não consegui remarcar.')]
+  });
+
+  assert.deepEqual(t.responses.remarcarAgendamento, { ok: false, message: 'Falha ao remarcar o agendamento.' });
+  assert.equal(s.db.tables.appointments[0].slot_id, 1);
+  assert.deepEqual(slotStatuses(s), ['agendado', 'livre', 'livre']);
+});
@@ -0,0 +1,99 @@
+// Guarda de emergência: léxico de sinais de alerta, resposta fixa e sinalização para a equipe
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScenario, say } from './helpers/harness.js';
+import { loadFakeScript } from '../src/libs/llm-fake.js';
+import { detectRedFlag } from '../src/helpers/red-flags.js';
+import { createApp } from '../src/app.js';
+
+test('léxico: sem acento/caixa, palavra inteira, risco de suicídio antes da emergência', () => {
+  assert.deepEqual(detectRedFlag('Estou com uma DOR NO PEITO forte'), { kind: 'emergencia', term: 'dor no peito' });
+  assert.deepEqual(detectRedFlag('minha mãe desmaiou agora'), { kind: 'emergencia', term: 'desmaiou agora' });
+  assert.deepEqual(detectRedFlag('não aguento mais, quero morrer... tô com falta de ar'), { kind: 'suicidio', term: 'quero morrer' });
+  assert.equal(detectRedFlag('Suicídio').kind, 'suicidio');
+
+  assert.equal(detectRedFlag('quero desmarcar minha consulta de cardiologia'), null);
+  assert.equal(detectRedFlag('a sala está sem ar-condicionado?'), null);
+  assert.equal(detectRedFlag(''), null);
+});
+
+test('léxico: pedidos de consulta que citam doenças não são emergência', () => {
+  for (const text of [
+    'quero marcar uma consulta de retorno pós-AVC',
+    'preciso de um cardiologista, meu pai teve infarto ano passado',
+    'minha avó teve um derrame e precisa de neurologista',
+    'consulta para investigar desmaio',
+    'tive sangramento no pós-operatório e o médico pediu retorno',
+    'meu filho teve convulsão febril, quero marcar pediatra'
+  ]) {
+    assert.equal(detectRedFlag(text), null, text);
+  }
+  assert.equal(detectRedFlag('acho que estou tendo um AVC, a boca ficou torta').term, 'tendo um avc');
+  assert.equal(detectRedFlag('meu filho está sangrando muito').term, 'esta sangrando');
+});
+
+test('chat: orientação fixa sem chamar o modelo e alerta gravado', async () => {
+  const s = await createScenario();
+
+  const r = await s.patient('estou sentindo falta de ar e dor no peito');   // roteiro vazio: modelo não é chamado
+  assert.match(r.text, /SAMU \(192\)/);
+  assert.deepEqual(s.history.map(c => c.role), ['user', 'model']);
+
+  const suicide = await s.patient('acho que vou me matar');
+  assert.match(suicide.text, /CVV no 188/);
+
+  assert.deepEqual(s.db.tables.safety_alerts.map(a => [a.channel, a.contact, a.kind, a.status]), [
+    ['web', 'test-session', 'emergencia', 'aberto'],
+    ['web', 'test-session', 'suicidio', 'aberto']
+  ]);
+});
+
+test('chat: com o alerta aberto, a orientação se repete mas a equipe não é avisada de novo', async () => {
+  const s = await createScenario();
+
+  await s.patient('estou com dor no peito');
+  const again = await s.patient('a dor no peito continua');
+  assert.match(again.text, /SAMU \(192\)/);
+  assert.equal(s.db.tables.safety_alerts.length, 1);
+
+  // depois de atendido, um novo episódio abre outro alerta
+  await s.db.safetyAlerts.resolve(s.db.tables.safety_alerts[0].id, { handledBy: 'recepção' });
+  await s.patient('estou com falta de ar agora');
+  assert.deepEqual(s.db.tables.safety_alerts.map(a => a.status), ['atendido', 'aberto']);
+});
+
+test('chat: pedido de retorno pós-AVC segue para o modelo e não abre alerta', async () => {
+  const s = await createScenario();
+  loadFakeScript([say('Claro! Com qual neurologista você faz acompanhamento?')]);
+
+  const r = await s.patient('quero marcar consulta de retorno pós-AVC');
+  assert.match(r.text, /neurologista/);
+  assert.deepEqual(s.db.tables.safety_alerts, []);
+});
+
+test('admin: lista alertas abertos e marca como atendido', async () => {
+  const s = await createScenario();
+  await s.patient('meu filho está sangrando muito');
+
+  const server = createApp().listen(0);
+  await new Promise(r => server.once('listening', r));
+  const base = `http://127.0.0.1:${server.address().port}/admin/safety-alerts`;
+  const headers = { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin-token' };
+
+  try {
+    const { alerts } = await (await fetch(base, { headers })).json();
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].term, 'esta sangrando');
+
+    const resolve = () => fetch(`${base}/${alerts[0].id}/resolve`, { method: 'POST', headers, body: JSON.stringify({ handledBy: 'recepção' }) });
+    const done = await resolve();
+    assert.equal(done.status, 200);
+    assert.equal((await done.json()).handled_by, 'recepção');
+    assert.equal((await resolve()).status, 404);
+
+    assert.deepEqual((await (await fetch(base, { headers })).json()).alerts, []);
+  } finally {
+    await new Promise(r => server.close(r));
+  }
+});
@@ -0,0 +1,80 @@
+// Gerador de agenda: modelos por médico → agenda_slots (intervalos, vigência, fuso e idempotência)
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRepositories } from '../src/repositories/index.js';
+import { createMemoryRepositories } from '../src/repositories/memory.js';
+import { expandTemplate, generateSlots } from '../src/slot-generator.js';
+
+const TZ = 'America/Sao_Paulo';
+
+const TEMPLATE = {
+  medico_id: 'm1',
+  weekdays: [1, 3],                    // segunda e quarta
+  start_time: '08:00',
+  end_time: '12:00:00',
+  duration_min: 45,
+  breaks: [{ start: '10:00', end: '10:30' }]
+};
+
+const localTimes = (rows) => rows.map(r => new Date(r.datetime).toLocaleString('pt-BR', {
+  timeZone: TZ, weekday: 'short', hour: '2-digit', minute: '2-digit'
+}));
+
+test('expandTemplate: dias da semana, duração, intervalo e fim do expediente', () => {
+  // 2026-10-19 é segunda-feira
+  const rows = expandTemplate(TEMPLATE, { fromYMD: '2026-10-19', toYMD: '2026-10-22', tz: TZ });
+
+  // 08:00, 08:45 | 09:30 encosta no intervalo | 10:15 também | 11:00 termina 11:45
+  assert.deepEqual(localTimes(rows), [
+    'seg., 08:00', 'seg., 08:45', 'seg., 11:00',
+    'qua., 08:00', 'qua., 08:45', 'qua., 11:00'
+  ]);
+  assert.equal(rows[0].datetime, '2026-10-19T11:00:00.000Z');
+  assert.ok(rows.every(r => r.medico_id === 'm1' && r.duration_min === 45));
+});
+
+test('expandTemplate: vigência do modelo', () => {
+  const rows = expandTemplate({ ...TEMPLATE, valid_from: '2026-10-21', valid_to: '2026-10-26' }, {
+    fromYMD: '2026-10-19', toYMD: '2026-11-02', tz: TZ
+  });
+  assert.deepEqual([...new Set(rows.map(r => r.datetime.slice(0, 10)))], ['2026-10-21', '2026-10-26']);
+});
+
+test('expandTemplate: mesma hora local antes e depois da troca de horário de verão', () => {
+  // Nova York: 2026-03-08 entra no horário de verão (UTC-5 → UTC-4)
+  const rows = expandTemplate(
+    { medico_id: 'm1', weekdays: [5, 1], start_time: '09:00', end_time: '09:30', duration_min: 30 },
+    { fromYMD: '2026-03-06', toYMD: '2026-03-10', tz: 'America/New_York' }
+  );
+  assert.deepEqual(rows.map(r => r.datetime), ['2026-03-06T14:00:00.000Z', '2026-03-09T13:00:00.000Z']);
+});
+
+test('generateSlots é idempotente e não mexe em slots existentes', async () => {
+  const now = new Date('2026-10-19T09:00:00Z'); // segunda, 06:00 local
+  const db = createMemoryRepositories({
+    agenda_templates: [
+      TEMPLATE,
+      { ...TEMPLATE, weekdays: [1], end_time: '09:30' },          // sobreposto: não duplica
+      { ...TEMPLATE, medico_id: 'm2', active: false }
+    ],
+    agenda_slots: [
+      { id: 1, medico_id: 'm1', datetime: '2026-10-19T11:45:00Z', status: 'agendado', duration_min: 45 }
+    ]
+  });
+  setRepositories(db);
+
+  const first = await generateSlots({ weeks: 1, now, tz: TZ });
+  assert.equal(first.templates, 2);
+  assert.equal(first.candidates, 6);
+  assert.equal(first.created, 5);
+
+  const booked = db.tables.agenda_slots.find(s => s.id === 1);
+  assert.equal(booked.status, 'agendado');
+  assert.equal(db.tables.agenda_slots.filter(s => s.datetime === booked.datetime).length, 1);
+  assert.ok(db.tables.agenda_slots.every(s => s.medico_id === 'm1'));
+
+  const again = await generateSlots({ weeks: 1, now, tz: TZ });
+  assert.equal(again.created, 0);
+  assert.equal(db.tables.agenda_slots.length, 6);
+});
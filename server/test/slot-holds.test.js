@@ -0,0 +1,87 @@
+// Retenção do horário escolhido: some para os outros contatos, vira a reserva e expira
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScenario, localDateTime, localYMD, call, say, metaField, PATIENT } from './helpers/harness.js';
+import { criarAgendamentoDB, listarHorariosMedicoDB } from '../src/tools/llm-tools.js';
+import { holdSlot, releaseExpiredHolds } from '../src/slot-holds.js';
+
+const OTHER = { channel: 'web', sessionId: 'outra-sessao' };
+
+async function scenarioWithSelection() {
+  const s = await createScenario({
+    slots: [
+      { medico_id: 'm1', datetime: localDateTime(1, '09:00') },
+      { medico_id: 'm1', datetime: localDateTime(1, '10:00') }
+    ]
+  });
+  await s.patient('horários da Dra. Ana amanhã', {
+    model: [call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(1) }), say('1) 09:00\n2) 10:00')]
+  });
+  const t = await s.patient('2', { model: [say('Horário guardado. Envie seus dados.')] });
+  return { s, t };
+}
+
+const freeIdsFor = async (ctx) =>
+  (await listarHorariosMedicoDB({ medicoId: 'm1', dia: localYMD(1) }, ctx)).slots.map(x => x.id);
+
+test('seleção numérica retém o slot: some para os outros e só quem escolheu reserva', async () => {
+  const { s } = await scenarioWithSelection();
+
+  const slot = s.db.tables.agenda_slots[1];
+  assert.equal(slot.held_by, 'web:test-session');
+  assert.ok(metaField(s.history, 'reservadoAte'));
+
+  // outro contato não vê nem consegue reservar
+  assert.deepEqual(await freeIdsFor(OTHER), [1]);
+  const stolen = await criarAgendamentoDB({ ...PATIENT, dataISO: slot.datetime, slotId: 2 }, OTHER);
+  assert.equal(stolen.ok, false);
+  assert.match(stolen.message, /indisponível/);
+
+  // quem reteve continua vendo o horário e converte a retenção em agendamento
+  assert.deepEqual(await freeIdsFor({ channel: 'web', sessionId: 'test-session' }), [1, 2]);
+  const t = await s.patient('Maria da Silva, CPF 529.982.247-25, 31/01/1990, 11 91234-5678, maria@example.com', {
+    model: [
+      (contents) => call('criarAgendamento', { ...PATIENT, dataISO: metaField(contents, 'dataISO'), slotId: metaField(contents, 'slotId') }),
+      say('Agendado!')
+    ]
+  });
+  assert.equal(t.responses.criarAgendamento.ok, true);
+  assert.equal(slot.status, 'agendado');
+  assert.equal(slot.held_by, null);
+});
+
+test('escolher outro horário solta a retenção anterior', async () => {
+  const { s } = await scenarioWithSelection();
+  await s.patient('1', { model: [say('Ok, 09:00 então.')] });
+
+  assert.deepEqual(s.db.tables.agenda_slots.map(x => x.held_by ?? null), ['web:test-session', null]);
+  assert.deepEqual(await freeIdsFor(OTHER), [2]);
+});
+
+test('horário retido por outro contato: a seleção avisa que não está disponível', async () => {
+  const s = await createScenario({ slots: [{ medico_id: 'm1', datetime: localDateTime(1, '09:00') }] });
+  await s.patient('horários da Dra. Ana amanhã', {
+    model: [call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(1) }), say('1) 09:00')]
+  });
+  assert.equal((await holdSlot(1, OTHER)).ok, true);
+
+  // aviso pronto, sem ida ao modelo; a meta fica no histórico para os próximos turnos
+  const r = await s.patient('1');
+  assert.match(r.text, /acabou de ser reservado por outro paciente/);
+  assert.equal(metaField(s.history, 'disponivel'), 'nao');
+  assert.equal(s.db.tables.agenda_slots[0].held_by, 'web:outra-sessao');
+});
+
+test('retenção vencida deixa de valer e o sweeper limpa', async () => {
+  const { s } = await scenarioWithSelection();
+  const slot = s.db.tables.agenda_slots[1];
+  slot.held_until = new Date(Date.now() - 1000).toISOString();
+
+  assert.deepEqual(await freeIdsFor(OTHER), [1, 2]);
+  assert.equal(await releaseExpiredHolds(), 1);
+  assert.equal(slot.held_by, null);
+
+  const r = await criarAgendamentoDB({ ...PATIENT, dataISO: slot.datetime, slotId: 2 }, OTHER);
+  assert.equal(r.ok, true);
+});
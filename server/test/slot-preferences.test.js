@@ -0,0 +1,84 @@
+// Preferências nas listagens: período do dia, faixa de horas e dias da semana (fuso da clínica)
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScenario, localDateTime, localYMD } from './helpers/harness.js';
+import {
+  listarHorariosMedicoDB,
+  listarHorariosPorEspecialidadeDB,
+  listarProximoDiaDisponivelMedicoDB,
+  listarProximoDiaDisponivelEspecialidadeDB,
+  listarAgendaSemanalMedicoDB
+} from '../src/tools/llm-tools.js';
+import { runTool } from '../src/tools/registry.js';
+
+const weekdayOf = (daysAhead) => new Date(`${localYMD(daysAhead)}T12:00:00Z`).getUTCDay();
+const hours = (r) => r.slots.map(s => new Date(s.isoUTC).toLocaleTimeString('pt-BR', {
+  timeZone: process.env.CLINIC_TZ, hour: '2-digit', minute: '2-digit'
+}));
+
+// Dra. Ana: 08:00, 11:30, 12:00, 15:00 e 19:00 de amanhã até daqui a 10 dias
+const DAY = ['08:00', '11:30', '12:00', '15:00', '19:00'];
+const SLOTS = Array.from({ length: 10 }, (_, d) => DAY.map(h => ({ medico_id: 'm1', datetime: localDateTime(d + 1, h) }))).flat();
+
+test('horários do dia: período, faixa explícita e limite aplicado depois do filtro', async () => {
+  await createScenario({ slots: SLOTS });
+
+  const manha = await listarHorariosMedicoDB({ medicoId: 'm1', dia: localYMD(2), periodo: 'manha' });
+  assert.deepEqual(hours(manha), ['08:00', '11:30']);
+  assert.deepEqual(manha.filtro, { periodo: 'manha', horaInicio: '06:00', horaFim: '12:00', diasSemana: null });
+
+  const tardeNoite = await listarHorariosMedicoDB({ medicoId: 'm1', dia: localYMD(2), horaInicio: '12:00', limite: 2 });
+  assert.deepEqual(hours(tardeNoite), ['12:00', '15:00']);
+
+  const esp = await listarHorariosPorEspecialidadeDB({ especialidadeId: 1, dia: localYMD(2), periodo: 'noite' });
+  assert.deepEqual(hours(esp), ['19:00']);
+
+  const bad = await listarHorariosMedicoDB({ medicoId: 'm1', dia: localYMD(2), horaInicio: '16:00', horaFim: '10:00' });
+  assert.equal(bad.ok, false);
+  assert.match((await runTool('listarHorariosMedico', { medicoId: 'm1', periodo: 'madrugada' })).message, /periodo/);
+
+  // sem preferência: nada muda
+  assert.equal((await listarHorariosMedicoDB({ medicoId: 'm1', dia: localYMD(2) })).filtro, undefined);
+});
+
+test('próximo dia disponível: primeiro dia que atende às preferências', async () => {
+  await createScenario({ slots: SLOTS });
+  const target = weekdayOf(4);
+
+  const r = await listarProximoDiaDisponivelMedicoDB({ medicoId: 'm1', diasSemana: [target], periodo: 'tarde' });
+  assert.equal(r.dia, localYMD(4));
+  assert.deepEqual(hours(r), ['12:00', '15:00']);
+
+  const esp = await listarProximoDiaDisponivelEspecialidadeDB({ especialidadeNome: 'Cardiologia', horaInicio: '18:30' });
+  assert.equal(esp.dia, localYMD(1));
+  assert.deepEqual(hours(esp), ['19:00']);
+
+  const none = await listarProximoDiaDisponivelMedicoDB({ medicoId: 'm1', horaInicio: '06:00', horaFim: '07:00' });
+  assert.equal(none.dia, null);
+});
+
+test('próximo dia disponível: acha o horário compatível depois de muitos que não servem', async () => {
+  // 450 horários de manhã antes do primeiro à noite (varredura em lotes)
+  const slots = [];
+  for (let d = 1; d <= 90; d++) {
+    for (const h of ['07:00', '08:00', '09:00', '10:00', '11:00']) slots.push({ medico_id: 'm1', datetime: localDateTime(d, h) });
+  }
+  slots.push({ medico_id: 'm1', datetime: localDateTime(91, '19:00') });
+  await createScenario({ slots });
+
+  const r = await listarProximoDiaDisponivelMedicoDB({ medicoId: 'm1', periodo: 'noite' });
+  assert.equal(r.dia, localYMD(91));
+  assert.deepEqual(hours(r), ['19:00']);
+});
+
+test('agenda do período com dias da semana e corte por dia depois do filtro', async () => {
+  await createScenario({ slots: SLOTS });
+  const days = [weekdayOf(1), weekdayOf(3)];
+
+  const r = await listarAgendaSemanalMedicoDB({ medicoId: 'm1', dias: 7, diasSemana: days, periodo: 'tarde', maxPorDia: 1 });
+  const withSlots = r.agenda.filter(d => d.slots.length);
+  assert.deepEqual(withSlots.map(d => d.dia), [localYMD(1), localYMD(3)]);
+  assert.deepEqual(withSlots.map(d => hours(d)), [['12:00'], ['12:00']]);
+  assert.deepEqual(r.filtro.diasSemana, [...days].sort((a, b) => a - b));
+});
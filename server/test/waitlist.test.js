@@ -0,0 +1,223 @@
+// Lista de espera: entrada pela conversa, oferta do slot liberado, aceite, recusa e expiração
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScenario, localDateTime, localYMD, call, say, PATIENT } from './helpers/harness.js';
+import { desmarcarAgendamentoDB } from '../src/tools/llm-tools.js';
+import { createWaitlistService, parseOfferPayload } from '../src/waitlist.js';
+import { getHistory, appendHistory } from '../src/session.js';
+
+const APPT_ID = '7c1e2d3f-4a5b-4c6d-8e9f-0a1b2c3d4e5f';
+const HOLDER = '5511988887777';
+const WAITING = ['5511912345678', '5511933334444', '5511955556666'];
+
+async function scenario() {
+  return createScenario({
+    ctx: { channel: 'whatsapp', waId: WAITING[0] },
+    slots: [{ medico_id: 'm1', datetime: localDateTime(5, '09:00'), status: 'agendado' }],
+    appointments: [{
+      id: APPT_ID, name: 'João Souza', phone: HOLDER, cpf: '11144477735', birthdate: '1980-05-10',
+      datetime: localDateTime(5, '09:00').toISOString(), status: 'confirmado', slot_id: 1, medico_id: 'm1'
+    }]
+  });
+}
+
+// Entradas na ordem de chegada (uma por telefone)
+async function seedWaitlist(db, phones, { medico_id = 'm1', especialidade_id = null } = {}) {
+  const ids = [];
+  for (const [i, phone] of phones.entries()) {
+    const { data } = await db.waitlist.insert({
+      name: `Paciente ${i + 1}`, cpf: '52998224725', birthdate: '1990-01-31', phone, email: `p${i + 1}@example.com`,
+      region: 'Centro', specialty: 'Cardiologia', medico_id, especialidade_id,
+      date_from: localYMD(0), date_to: localYMD(10), created_at: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString()
+    });
+    ids.push(data.id);
+  }
+  return ids;
+}
+
+function service(opts = {}) {
+  const sent = [];
+  const svc = createWaitlistService({
+    sendWhatsAppTemplate: async (to, name, params, { buttons }) => { sent.push({ to, name, params, buttons }); },
+    appendHistory,
+    holdMinutes: 30,
+    ...opts
+  });
+  const lastOfferId = () => parseOfferPayload(sent.at(-1).buttons[0]).offerId;
+  return { svc, sent, lastOfferId };
+}
+
+const cancelSlot = () => desmarcarAgendamentoDB({ appointmentId: APPT_ID }, { channel: 'whatsapp', waId: HOLDER });
+
+test('entrarListaEspera guarda o paciente com a janela de datas e o WhatsApp da conversa', async () => {
+  const s = await scenario();
+  const { nome, cpf, nascimento, email } = PATIENT;
+
+  const t = await s.patient('quero entrar na lista de espera da Dra. Ana até daqui a 10 dias', {
+    model: [
+      call('entrarListaEspera', { nome, cpf, nascimento, email, medicoId: 'm1', dataFim: localYMD(10) }),
+      say('Pronto, você está na lista de espera!')
+    ]
+  });
+
+  assert.equal(t.responses.entrarListaEspera.ok, true);
+  const [entry] = s.db.tables.waitlist;
+  assert.equal(entry.phone, WAITING[0]);
+  assert.equal(entry.medico_id, 'm1');
+  assert.equal(entry.specialty, 'Cardiologia');
+  assert.equal(entry.date_from, localYMD(0));
+  assert.equal(entry.date_to, localYMD(10));
+  assert.equal(entry.status, 'aguardando');
+});
+
+test('cancelamento oferece o slot ao primeiro da fila; aceitar agenda com os dados da entrada', async () => {
+  const s = await scenario();
+  const [entryId] = await seedWaitlist(s.db, WAITING.slice(0, 2));
+  const { svc, sent, lastOfferId } = service();
+
+  svc.start();
+  try {
+    assert.equal((await cancelSlot()).ok, true);
+    // o ouvinte do slot liberado roda fora do cancelamento
+    for (let i = 0; i < 50 && !sent.length; i++) await new Promise(r => setTimeout(r, 10));
+  } finally {
+    svc.stop();
+  }
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, WAITING[0]);
+  assert.equal(sent[0].name, 'waitlist_offer');
+  assert.equal(s.db.tables.agenda_slots[0].status, 'oferta');
+  assert.match((await getHistory(WAITING[0])).at(-1).parts[0].text, /Vaga da lista de espera oferecida/);
+
+  // outro número não responde pela oferta
+  const other = await svc.runOfferAction(`ESPERA_ACEITAR:${lastOfferId()}`, { waId: WAITING[1] });
+  assert.match(other.text, /Não encontrei/);
+
+  const r = await svc.runOfferAction(`ESPERA_ACEITAR:${lastOfferId()}`, { waId: WAITING[0] });
+  assert.match(r.text, /Vaga garantida/);
+  assert.equal(s.db.tables.agenda_slots[0].status, 'agendado');
+
+  const created = s.db.tables.appointments.find(a => a.phone === WAITING[0]);
+  assert.equal(created.slot_id, 1);
+  assert.equal(created.status, 'pendente');
+  assert.equal(created.source, 'lista_espera');
+  assert.equal(s.db.tables.waitlist.find(w => w.id === entryId).status, 'atendido');
+
+  // aceite repetido não agenda de novo
+  const again = await svc.runOfferAction(`ESPERA_ACEITAR:${lastOfferId()}`, { waId: WAITING[0] });
+  assert.match(again.text, /encerrada/);
+  assert.equal(s.db.tables.appointments.length, 2);
+});
+
+test('recusa e expiração passam a vaga adiante; sem ninguém o slot volta a ficar livre', async () => {
+  const s = await scenario();
+  await seedWaitlist(s.db, WAITING);
+  let now = new Date();
+  const { svc, sent, lastOfferId } = service({ now: () => now });
+
+  await cancelSlot();
+  await svc.offerSlot(1);
+  assert.deepEqual(sent.map(m => m.to), [WAITING[0]]);
+
+  const r = await svc.runOfferAction(`ESPERA_RECUSAR:${lastOfferId()}`, { waId: WAITING[0] });
+  assert.match(r.text, /continua na lista/);
+  assert.deepEqual(sent.map(m => m.to), [WAITING[0], WAITING[1]]);
+
+  // ninguém respondeu a tempo → próximo
+  assert.equal(await svc.expireOffers(new Date(now.getTime() + 10 * 60000)), 0);
+  now = new Date(now.getTime() + 31 * 60000);
+  assert.equal(await svc.expireOffers(now), 1);
+  assert.deepEqual(sent.map(m => m.to), [WAITING[0], WAITING[1], WAITING[2]]);
+
+  // aceitar uma oferta vencida não agenda
+  now = new Date(now.getTime() + 31 * 60000);
+  const late = await svc.runOfferAction(`ESPERA_ACEITAR:${lastOfferId()}`, { waId: WAITING[2] });
+  assert.match(late.text, /não está mais disponível/);
+
+  assert.equal(await svc.expireOffers(now), 1);
+  assert.equal(sent.length, 3);
+  assert.equal(s.db.tables.agenda_slots[0].status, 'livre');
+  assert.equal(s.db.tables.appointments.length, 1);
+});
+
+test('slot preso em oferta sem oferta pendente (queda no meio da rodada) é retomado', async () => {
+  const s = await scenario();
+  await seedWaitlist(s.db, WAITING.slice(0, 2));
+  const { svc, sent, lastOfferId } = service();
+  await cancelSlot();
+
+  // caiu logo depois de segurar o slot (livre → oferta), antes de ofertar
+  s.db.tables.agenda_slots[0].status = 'oferta';
+  assert.equal(await svc.sweepStrandedOffers(), 1);
+  assert.deepEqual(sent.map(m => m.to), [WAITING[0]]);
+  assert.equal(await svc.sweepStrandedOffers(), 0);
+
+  // caiu entre expirar a oferta e passar ao próximo
+  await s.db.waitlist.resolveOffer(lastOfferId(), 'expirada');
+  assert.equal(await svc.sweepStrandedOffers(), 1);
+  assert.deepEqual(sent.map(m => m.to), [WAITING[0], WAITING[1]]);
+
+  // sem mais ninguém na fila: o slot volta para a agenda
+  await s.db.waitlist.resolveOffer(lastOfferId(), 'expirada');
+  await svc.sweepStrandedOffers();
+  assert.equal(sent.length, 2);
+  assert.equal(s.db.tables.agenda_slots[0].status, 'livre');
+});
+
+test('slot indisponível no aceite: oferta segue pendente e nada é agendado', async () => {
+  const s = await scenario();
+  await seedWaitlist(s.db, [WAITING[0]]);
+  const { svc, lastOfferId } = service();
+
+  await cancelSlot();
+  await svc.offerSlot(1);
+  s.db.tables.agenda_slots[0].status = 'bloqueado';   // ex.: bloqueio de agenda no meio da oferta
+
+  const r = await svc.runOfferAction(`ESPERA_ACEITAR:${lastOfferId()}`, { waId: WAITING[0] });
+  assert.match(r.text, /não está mais disponível/);
+  assert.equal(s.db.tables.waitlist_offers[0].status, 'pendente');
+  assert.equal(s.db.tables.waitlist[0].status, 'aguardando');
+  assert.equal(s.db.tables.appointments.length, 1);
+});
+
+test('lista de espera vazia: o slot liberado nem passa por "oferta"', async () => {
+  const s = await scenario();
+  const { svc, sent } = service();
+  let held = 0;
+  const holdForOffer = s.db.slots.holdForOffer;
+  s.db.slots.holdForOffer = async (...args) => { held++; return holdForOffer(...args); };
+
+  await cancelSlot();
+  assert.equal(await svc.offerSlot(1), null);
+  assert.equal(held, 0);
+  assert.equal(sent.length, 0);
+  assert.equal(s.db.tables.agenda_slots[0].status, 'livre');
+});
+
+test('slot fora da janela ou de outra especialidade não é oferecido', async () => {
+  const s = await scenario();
+  await seedWaitlist(s.db, [WAITING[0]], { medico_id: null, especialidade_id: 2 });
+  await s.db.waitlist.insert({
+    name: 'Paciente Tarde', cpf: '52998224725', birthdate: '1990-01-31', phone: WAITING[1], email: 'x@example.com',
+    medico_id: 'm1', date_from: localYMD(7), date_to: localYMD(10)
+  });
+  const { svc, sent } = service();
+
+  await cancelSlot();
+  assert.equal(await svc.offerSlot(1), null);
+  assert.equal(sent.length, 0);
+  assert.equal(s.db.tables.agenda_slots[0].status, 'livre');
+});
+
+test('entrada por especialidade recebe slot de qualquer médico dela', async () => {
+  const s = await scenario();
+  await seedWaitlist(s.db, [WAITING[0]], { medico_id: null, especialidade_id: 1 });
+  const { svc, sent } = service();
+
+  await cancelSlot();
+  assert.ok(await svc.offerSlot(1));
+  assert.equal(sent[0].to, WAITING[0]);
+  assert.equal(sent[0].params[2], 'Ana Santos');
+});
@@ -0,0 +1,390 @@
+// Webhook do WhatsApp: assinatura, deduplicação, fila e resposta enviada ao contato
+import './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createScenario, localDateTime, localYMD, call, say, metaField, PATIENT } from './helpers/harness.js';
+import { createApp } from '../src/app.js';
+import { loadFakeScript, getFakeRequests } from '../src/libs/llm-fake.js';
+import { createWhatsAppProcessor, sendWhatsAppTemplate, WA_INBOUND_QUEUE } from '../src/whatsapp.js';
+import { reminderButtons, runReminderAction } from '../src/reminder-actions.js';
+import { drainQueue, listDeadJobs } from '../src/queue.js';
+import { runChatTurn } from '../src/chat.js';
+import { getHistory, saveHistory, peekInbox, ackInbox } from '../src/session.js';
+import { redis } from '../src/redis.js';
+
+const CONTACT = '5511912345678';
+
+let server;
+let baseUrl;
+let sent;                     // mensagens enviadas para a Graph API
+const realFetch = globalThis.fetch;
+
+before(async () => {
+  server = createApp().listen(0);
+  await new Promise(r => server.once('listening', r));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Intercepta só a Graph API; o resto (chamadas ao próprio app) segue normal
+  globalThis.fetch = async (url, init) => {
+    if (String(url).startsWith('https://graph.facebook.com/')) {
+      sent.push(JSON.parse(init.body));
+      return new Response(JSON.stringify({ messages: [{ id: `wamid.out.${sent.length}` }] }), { status: 200 });
+    }
+    return realFetch(url, init);
+  };
+});
+
+after(async () => {
+  globalThis.fetch = realFetch;
+  await new Promise(r => server.close(r));
+});
+
+beforeEach(() => { sent = []; });
+
+function webhookBody(messages) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      changes: [{
+        value: {
+          contacts: [{ wa_id: CONTACT }],
+          messages: messages.map(([id, body]) => ({ id, from: CONTACT, type: 'text', text: { body } }))
+        }
+      }]
+    }]
+  };
+}
+
+async function postWebhook(body, { sign = true } = {}) {
+  const raw = JSON.stringify(body);
+  const headers = { 'Content-Type': 'application/json' };
+  if (sign) {
+    headers['x-hub-signature-256'] = 'sha256=' +
+      crypto.createHmac('sha256', process.env.WHATSAPP_APP_SECRET).update(raw).digest('hex');
+  }
+  return realFetch(`${baseUrl}/whatsapp/webhook`, { method: 'POST', headers, body: raw });
+}
+
+const processor = createWhatsAppProcessor({ runChatTurn, runReminderAction, getHistory, saveHistory, peekInbox, ackInbox });
+const drain = () => drainQueue(WA_INBOUND_QUEUE, processor.handler, processor.options);
+
+test('mensagem assinada é enfileirada, processada e respondida', async () => {
+  await createScenario({ slots: [{ medico_id: 'm1', datetime: localDateTime(1, '09:00') }] });
+
+  loadFakeScript({
+    chat: [call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(1) }), say('Horários da Dra. Ana amanhã:')]
+  });
+
+  const r = await postWebhook(webhookBody([['wamid.1', 'horários da Dra. Ana amanhã']]));
+  assert.equal(r.status, 200);
+  assert.equal(sent.length, 0, 'nada é respondido dentro do request');
+
+  assert.equal(await drain(), 1);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, CONTACT);
+  assert.equal(sent[0].type, 'interactive');
+  assert.equal(sent[0].interactive.body.text, 'Horários da Dra. Ana amanhã:');
+
+  const history = await getHistory(CONTACT);
+  assert.equal(history[0].parts[0].text, 'horários da Dra. Ana amanhã');
+  assert.match(history.at(-1).parts[0].text, /^Horários da Dra\. Ana amanhã:\n\n1- .+09:00/);
+});
+
+test('sem assinatura válida → 401 e nada entra na fila', async () => {
+  await createScenario();
+
+  const r = await postWebhook(webhookBody([['wamid.2', 'oi']]), { sign: false });
+  assert.equal(r.status, 401);
+  assert.equal(await drain(), 0);
+  assert.deepEqual(await peekInbox(CONTACT), []);
+});
+
+test('reentrega da mesma mensagem é ignorada', async () => {
+  await createScenario();
+  loadFakeScript([say('Olá!')]);
+
+  const body = webhookBody([['wamid.3', 'oi']]);
+  assert.equal((await postWebhook(body)).status, 200);
+  assert.equal((await postWebhook(body)).status, 200);
+
+  assert.equal(await drain(), 1);
+  assert.equal(sent.length, 1);
+});
+
+test('falha ao enfileirar no meio do lote: reentrega processa só o que faltou', async () => {
+  await createScenario();
+  loadFakeScript([say('resposta A'), say('resposta B')]);
+
+  // caixa de entrada fora do ar a partir da segunda mensagem
+  const rpush = redis.rpush;
+  let calls = 0;
+  redis.rpush = async (...args) => {
+    if (++calls > 1) throw new Error('redis fora do ar');
+    return rpush.apply(redis, args);
+  };
+  const body = webhookBody([['wamid.q1', 'primeira'], ['wamid.q2', 'segunda']]);
+  try {
+    assert.equal((await postWebhook(body)).status, 500);
+  } finally {
+    redis.rpush = rpush;
+  }
+
+  // a Meta reenvia o payload inteiro: a primeira já está na fila, a segunda entra agora
+  assert.equal((await postWebhook(body)).status, 200);
+  await drain();
+
+  assert.deepEqual(sent.map(m => m.text.body), ['resposta A', 'resposta B']);
+  const userTurns = (await getHistory(CONTACT)).filter(c => c.role === 'user').map(c => c.parts[0].text);
+  assert.deepEqual(userTurns, ['primeira', 'segunda']);
+});
+
+test('mensagens do mesmo contato viram turnos em ordem', async () => {
+  await createScenario();
+  loadFakeScript([say('resposta A'), say('resposta B')]);
+
+  await postWebhook(webhookBody([['wamid.4', 'primeira'], ['wamid.5', 'segunda']]));
+  await drain();
+
+  assert.deepEqual(sent.map(m => m.text.body), ['resposta A', 'resposta B']);
+  const userTurns = (await getHistory(CONTACT)).filter(c => c.role === 'user').map(c => c.parts[0].text);
+  assert.deepEqual(userTurns, ['primeira', 'segunda']);
+});
+
+test('falha em todas as tentativas → dead-letter e aviso ao contato', async () => {
+  await createScenario();   // roteiro vazio: o modelo fake lança erro
+
+  await postWebhook(webhookBody([['wamid.6', 'oi']]));
+  const options = { ...processor.options, maxAttempts: 1 };
+  await drainQueue(WA_INBOUND_QUEUE, processor.handler, options);
+
+  const [dead] = await listDeadJobs(WA_INBOUND_QUEUE);
+  assert.equal(dead.payload.userId, CONTACT);
+  assert.deepEqual(dead.details.messages, ['oi']);
+  assert.match(sent.at(-1).text.body, /tive um problema/);
+  assert.deepEqual(await peekInbox(CONTACT), []);
+});
+
+test('sinal de emergência: orientação enviada mesmo com o modelo fora do ar', async () => {
+  const s = await createScenario();   // roteiro vazio: o modelo fake lança erro
+
+  await postWebhook(webhookBody([['wamid.e1', 'meu pai desmaiou e está com dor no peito']]));
+  await drainQueue(WA_INBOUND_QUEUE, processor.handler, { ...processor.options, maxAttempts: 1 });
+
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].text.body, /SAMU \(192\)/);
+  assert.deepEqual(await listDeadJobs(WA_INBOUND_QUEUE), []);
+  assert.equal((await getHistory(CONTACT)).at(-1).parts[0].text, sent[0].text.body);
+  assert.deepEqual(s.db.tables.safety_alerts.map(a => [a.channel, a.contact, a.kind]), [['whatsapp', CONTACT, 'emergencia']]);
+  assert.equal(getFakeRequests('chat').length, 0);
+});
+
+/* ---------------- botões do lembrete ---------------- */
+const APPT_ID = '9a3e8f7c-1b2d-4c5e-8f90-a1b2c3d4e5f6';
+
+async function scenarioWithReminder() {
+  return createScenario({
+    slots: [{ medico_id: 'm1', datetime: localDateTime(1, '09:00'), status: 'agendado' }],
+    appointments: [{
+      id: APPT_ID, name: 'Maria da Silva', phone: CONTACT, cpf: '52998224725', birthdate: '1990-01-31',
+      datetime: localDateTime(1, '09:00').toISOString(), status: 'pendente', slot_id: 1, medico_id: 'm1'
+    }]
+  });
+}
+
+const buttonReply = (id, text, payload) => ({
+  object: 'whatsapp_business_account',
+  entry: [{ changes: [{ value: {
+    contacts: [{ wa_id: CONTACT }],
+    messages: [{ id, from: CONTACT, type: 'button', button: { text, payload } }]
+  } }] }]
+});
+
+test('lembrete sai com os botões quick-reply carregando o ID da consulta', async () => {
+  await sendWhatsAppTemplate(CONTACT, 'appointment_reminder', ['Maria', '20/10/2026 às 09:00'], {
+    buttons: reminderButtons(APPT_ID)
+  });
+
+  const buttons = sent[0].template.components.filter(c => c.type === 'button');
+  assert.deepEqual(buttons.map(b => [b.sub_type, b.index, b.parameters[0].payload]), [
+    ['quick_reply', '0', `CONFIRMAR:${APPT_ID}`],
+    ['quick_reply', '1', `CANCELAR:${APPT_ID}`],
+    ['quick_reply', '2', `REMARCAR:${APPT_ID}`]
+  ]);
+});
+
+test('template recusado pela Graph API lança (quem envia precisa saber)', async () => {
+  const graphOk = globalThis.fetch;
+  globalThis.fetch = async () => new Response(JSON.stringify({ error: { message: 'Template name does not exist' } }), { status: 400 });
+  try {
+    await assert.rejects(
+      sendWhatsAppTemplate(CONTACT, 'appointment_reminder', ['Maria', '20/10/2026 às 09:00']),
+      /Template name does not exist/
+    );
+  } finally {
+    globalThis.fetch = graphOk;
+  }
+});
+
+test('botão Confirmar: confirma sem passar pelo LLM', async () => {
+  const s = await scenarioWithReminder();
+
+  await postWebhook(buttonReply('wamid.b1', 'Confirmar', `CONFIRMAR:${APPT_ID}`));
+  await drain();
+
+  assert.equal(s.db.tables.appointments[0].status, 'confirmado');
+  assert.equal(s.db.tables.appointment_status_history[0].actor, 'lembrete');
+  assert.match(sent[0].text.body, /Presença confirmada/);
+  assert.equal(getFakeRequests('chat').length, 0);
+
+  const history = await getHistory(CONTACT);
+  assert.deepEqual(history.map(c => c.role), ['user', 'model']);
+  assert.equal(history[0].parts[0].text, 'Confirmar');
+});
+
+test('botão Cancelar: cancela e libera o horário', async () => {
+  const s = await scenarioWithReminder();
+
+  await postWebhook(buttonReply('wamid.b2', 'Cancelar', `CANCELAR:${APPT_ID}`));
+  await drain();
+
+  assert.equal(s.db.tables.appointments[0].status, 'cancelado');
+  assert.equal(s.db.tables.agenda_slots[0].status, 'livre');
+  assert.match(sent[0].text.body, /cancelada/);
+});
+
+test('falha ao enviar a resposta: a nova tentativa não repete a ação do botão', async () => {
+  const s = await scenarioWithReminder();
+  await postWebhook(buttonReply('wamid.b4', 'Cancelar', `CANCELAR:${APPT_ID}`));
+
+  const graphOk = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    if (String(url).startsWith('https://graph.facebook.com/')) throw new Error('rede fora do ar');
+    return graphOk(url, init);
+  };
+  try {
+    await assert.rejects(processor.handler({ userId: CONTACT }, { attempt: 1, maxAttempts: 4 }), /rede fora do ar/);
+  } finally {
+    globalThis.fetch = graphOk;
+  }
+
+  // o turno já foi gravado e tirado da caixa: a nova tentativa não cancela de novo
+  await processor.handler({ userId: CONTACT }, { attempt: 2, maxAttempts: 4 });
+  assert.equal(sent.length, 0);
+  assert.equal(s.db.tables.appointment_status_history.length, 1);
+  assert.deepEqual((await getHistory(CONTACT)).map(c => c.role), ['user', 'model']);
+});
+
+test('botão Remarcar: segue no LLM já com o ID da consulta', async () => {
+  await scenarioWithReminder();
+  loadFakeScript([say('Para qual dia você quer remarcar?')]);
+
+  await postWebhook(buttonReply('wamid.b3', 'Remarcar', `REMARCAR:${APPT_ID}`));
+  await drain();
+
+  const [req] = getFakeRequests('chat');
+  assert.equal(req.contents.at(-1).parts[0].text, `Quero remarcar a consulta ${APPT_ID}`);
+  assert.equal(sent[0].text.body, 'Para qual dia você quer remarcar?');
+});
+
+/* ---------------- listas interativas ---------------- */
+const interactiveReply = (id, reply, kind = 'list_reply') => ({
+  object: 'whatsapp_business_account',
+  entry: [{ changes: [{ value: {
+    contacts: [{ wa_id: CONTACT }],
+    messages: [{ id, from: CONTACT, type: 'interactive', interactive: { type: kind, [kind]: reply } }]
+  } }] }]
+});
+
+const hourSlots = (hours) => hours.map(h => ({ medico_id: 'm1', datetime: localDateTime(1, h) }));
+
+test('horários viram lista interativa e a linha tocada seleciona o slot sem depender do texto', async () => {
+  await createScenario({ slots: hourSlots(['09:00', '10:00', '11:00', '14:00']) });
+  loadFakeScript([
+    call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(1) }), say('Estes são os horários da Dra. Ana:'),
+    say('Ótimo! Qual o seu nome completo?')
+  ]);
+
+  await postWebhook(webhookBody([['wamid.l1', 'horários da Dra. Ana amanhã']]));
+  await drain();
+
+  const { interactive } = sent[0];
+  assert.equal(interactive.type, 'list');
+  assert.equal(interactive.action.button, 'Ver opções');
+  const rows = interactive.action.sections[0].rows;
+  assert.equal(interactive.action.sections[0].title, 'Horários');
+  assert.deepEqual(rows.map(r => r.id), ['OPCAO:1:1', 'OPCAO:2:2', 'OPCAO:3:3', 'OPCAO:4:4']);
+  assert.match(rows[2].title, /11:00$/);
+  assert.match(rows[2].description, /Ana Santos/);
+
+  await postWebhook(interactiveReply('wamid.l2', { id: rows[2].id, title: rows[2].title }));
+  await drain();
+
+  const history = await getHistory(CONTACT);
+  assert.equal(metaField(history, 'slotId'), '3');
+  assert.ok(history.some(c => c.role === 'user' && c.parts[0].text === rows[2].title));
+});
+
+test('listou e agendou no mesmo turno: confirmação em texto, sem lista interativa', async () => {
+  await createScenario({ slots: [{ medico_id: 'm1', datetime: localDateTime(1, '09:00') }, { medico_id: 'm1', datetime: localDateTime(1, '14:00') }] });
+  loadFakeScript({
+    chat: [
+      call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(1) }),
+      call('criarAgendamento', { ...PATIENT, dataISO: localDateTime(1, '09:00').toISOString(), slotId: 1, medicoId: 'm1' }),
+      say('Agendamento confirmado!')
+    ]
+  });
+
+  await postWebhook(webhookBody([['wamid.l9', 'quero o das 9h amanhã com a Dra. Ana, Maria da Silva, CPF 529.982.247-25, 31/01/1990']]));
+  await drain();
+
+  assert.deepEqual(sent.map(m => m.type), ['text']);
+  assert.equal(sent[0].text.body, 'Agendamento confirmado!');
+  assert.ok((await getHistory(CONTACT)).every(c => !c.lista));
+});
+
+test('linha de uma lista antiga não seleciona outro item: segue para o modelo', async () => {
+  await createScenario({ slots: hourSlots(['09:00', '10:00']) });
+  loadFakeScript([
+    call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(1) }), say('Horários:'),
+    say('Esse horário não está mais na lista. Quer ver os horários de novo?')
+  ]);
+
+  await postWebhook(webhookBody([['wamid.l3', 'horários amanhã']]));
+  await drain();
+  await postWebhook(interactiveReply('wamid.l4', { id: 'OPCAO:2:99', title: 'ter 01/09 às 15:00' }));
+  await drain();
+
+  assert.equal(metaField(await getHistory(CONTACT), 'slotId'), null);
+  assert.equal(getFakeRequests('chat').at(-1).contents.at(-1).parts[0].text.includes('ter 01/09 às 15:00'), true);
+});
+
+test('mais de 10 opções: texto numerado; até 3 médicos: botões', async () => {
+  const hours = Array.from({ length: 12 }, (_, i) => `${String(8 + i).padStart(2, '0')}:00`);
+  await createScenario({ slots: hourSlots(hours) });
+  loadFakeScript([
+    call('listarHorariosMedico', { medicoId: 'm1', dia: localYMD(1), limite: 12 }), say('Horários de amanhã:'),
+    call('listarMedicosPorEspecialidade', { especialidadeNome: 'Cardiologia' }), say('Médicos de Cardiologia:')
+  ]);
+
+  await postWebhook(webhookBody([['wamid.l5', 'horários amanhã']]));
+  await drain();
+  assert.equal(sent[0].type, 'text');
+  assert.match(sent[0].text.body, /^Horários de amanhã:\n\n1- .+08:00/);
+  assert.match(sent[0].text.body, /\n12- .+19:00/);
+  assert.match(sent[0].text.body, /responda apenas com o número/);
+
+  await postWebhook(webhookBody([['wamid.l6', 'quais médicos de cardiologia?']]));
+  await drain();
+  const { interactive } = sent[1];
+  assert.equal(interactive.type, 'button');
+  assert.deepEqual(interactive.action.buttons.map(b => [b.reply.id, b.reply.title]), [
+    ['OPCAO:1:m1', 'Ana Santos'],
+    ['OPCAO:2:m2', 'Carlos Pereira']
+  ]);
+
+  await postWebhook(interactiveReply('wamid.l7', { id: 'OPCAO:2:m2', title: 'Carlos Pereira' }, 'button_reply'));
+  loadFakeScript([say('Certo, Dr. Carlos.')]);
+  await drain();
+  assert.equal(metaField(await getHistory(CONTACT), 'medicoId'), 'm2');
+});